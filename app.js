@@ -25,6 +25,8 @@ const profileDashboardRoutes = require("./routes/profileDashboardRoutes");
 const referralRoutes = require("./routes/referralRoutes");
 const settingsRoutes = require("./routes/settingsRoutes");
 const achievementRoutes = require("./routes/achievementRoutes");
+const moderationRoutes = require("./routes/moderationRoutes");
+const storeRoutes = require("./routes/storeRoutes");
 
 
 
@@ -35,6 +37,9 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Leaderboard closing and weekly quest rotation
+initCronJobs();
+
 // Enhanced security headers
 app.use(helmet());
 
@@ -49,7 +54,14 @@ app.use(
     ],
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Telegram-Init-Data"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Telegram-Init-Data",
+      "Idempotency-Key",
+      "X-Timezone-Offset",
+    ],
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 
@@ -113,6 +125,8 @@ app.use("/api/profile-dashboard", auth, profileDashboardRoutes);
 app.use("/api/referral", auth, referralRoutes);
 app.use("/api/settings", auth, settingsRoutes);
 app.use("/api/achievements", auth, achievementRoutes);
+app.use("/api/moderation", auth, moderationRoutes);
+app.use("/api/store", auth, storeRoutes);
 
 // Apply the tap-specific rate limiter to the tap route
 // app.post("/api/tap", auth, tapLimiter, userController.tap);
@@ -9,5 +9,133 @@ module.exports = {
   corsOrigin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['https://d14amhlx1vsse8.cloudfront.net','http://localhost:3000'],
   serverUrl: process.env.SERVER_URL,
   webAppUrl: process.env.WEB_APP_URL,
+  tap: {
+    signingSecret: process.env.TAP_SIGNING_SECRET || process.env.JWT_SECRET,
+    maxTapsPerSecond: parseInt(process.env.TAP_MAX_PER_SECOND, 10) || 15,
+    maxBatchSize: parseInt(process.env.TAP_MAX_BATCH_SIZE, 10) || 500,
+    maxBatchAgeMs: parseInt(process.env.TAP_MAX_BATCH_AGE_MS, 10) || 5 * 60 * 1000,
+    maxClockSkewMs: parseInt(process.env.TAP_MAX_CLOCK_SKEW_MS, 10) || 30 * 1000,
+  },
+  energy: {
+    costPerTap: 1,
+    baseMax: 500,
+    baseRegenPerSecond: 1,
+  },
+  boosts: {
+    cooldownMs: 60 * 60 * 1000,
+    // The item each charge of the old User.boostCount turns into
+    legacyChargeItem: { type: 'xp_multiplier', tier: 1, durationMinutes: 15 },
+  },
+  levels: {
+    xpPerLevel: 25000,
+    // Paid once for every level reached; milestone rewards are added on top
+    rewards: {
+      default: { compute: 1000 },
+      milestones: {
+        5: { boostRewards: [{ type: 'xp_multiplier', tier: 1, durationMinutes: 15 }] },
+        10: { boostRewards: [{ type: 'xp_multiplier', tier: 2, durationMinutes: 15 }] },
+        25: { boostRewards: [{ type: 'compute_power', tier: 3, durationMinutes: 30 }] },
+      },
+    },
+  },
+  passive: {
+    computePerPowerPerHour: parseInt(process.env.PASSIVE_COMPUTE_PER_POWER_HOUR, 10) || 10,
+    maxHours: parseFloat(process.env.PASSIVE_MAX_HOURS) || 3,
+    minAccrualMs: 60 * 1000,
+  },
+  rig: {
+    baseSlots: 2,
+    maxSlots: 6,
+    levelsPerExtraSlot: 5,
+    sellRefundRate: 0.5,
+  },
+  antiCheat: {
+    flagThreshold: parseInt(process.env.ANTICHEAT_FLAG_THRESHOLD, 10) || 70,
+    windowSize: 50,
+    minBatchesForScoring: 20,
+    fingerprintLength: 20,
+    sessionGapMs: 5 * 60 * 1000,
+    maxSessionHours: parseInt(process.env.ANTICHEAT_MAX_SESSION_HOURS, 10) || 6,
+  },
+  checkIn: {
+    // XP for each day of the repeating 7-day cycle
+    cycleRewards: [100, 120, 140, 160, 180, 200, 250],
+    // Paid on top every time the streak reaches a multiple of bonusEveryDays
+    bonusEveryDays: 7,
+    bonusXp: 500,
+    scheduleDays: 7,
+    // Each freeze covers one missed day and is used up automatically
+    maxStreakFreezes: 5,
+    // A broken streak can be bought back with Compute while at most
+    // graceDays were missed, up to the end of the day it restarted
+    repair: {
+      graceDays: 2,
+      minStreak: 3,
+      computePerStreakDay: 1000,
+      minCompute: 5000,
+    },
+  },
+  timezone: {
+    // Offsets in minutes east of UTC; real zones run from UTC-12 to UTC+14
+    minOffsetMinutes: -12 * 60,
+    maxOffsetMinutes: 14 * 60,
+    // Daily resets follow the user's offset, so changes are rate limited
+    changeCooldownHours: 72,
+  },
+  tokens: {
+    name: 'NLOV',
+    xpConversion: {
+      enabled: process.env.NLOV_CONVERSION_ENABLED !== 'false',
+      dailyCap: parseInt(process.env.NLOV_DAILY_CAP, 10) || 100,
+      // The season with the latest start that has begun sets the rate
+      seasons: [
+        { id: 'season-1', startsAt: '2024-01-01T00:00:00Z', xpPerToken: 1000 },
+      ],
+    },
+  },
+  ton: {
+    // -239 is mainnet, -3 testnet
+    network: process.env.TON_NETWORK || '-239',
+    // Domains the mini-app is served from; ton_proof must name one of them
+    allowedDomains: (process.env.TON_PROOF_DOMAINS || 'd14amhlx1vsse8.cloudfront.net').split(','),
+    payloadTtlSeconds: 15 * 60,
+    proofTtlSeconds: 15 * 60,
+  },
+  quests: {
+    // Finished daily and weekly quest progress is kept this long after the
+    // period ends, then removed
+    progressRetentionDays: 14,
+    // Templates picked for each weekly rotation (utils/questTemplatesCatalog.js)
+    rotation: {
+      dailyCount: 2,
+      weeklyCount: 2,
+    },
+  },
+  twitter: {
+    // Set TWITTER_FAKE=true to use the in-memory client from utils/twitterFakeClient.js
+    useFake: process.env.TWITTER_FAKE === 'true',
+    // OAuth 2.0 callback registered with the X app
+    callbackUrl: process.env.TWITTER_CALLBACK_URL || 'http://localhost:3000/api/users/twitter/callback',
+    // Where the browser goes after linking; the result is added as ?twitter=
+    linkedRedirectUrl: process.env.TWITTER_LINKED_REDIRECT_URL,
+    // Linking only reads the account's id and handle; no user tokens are kept
+    scopes: ['tweet.read', 'users.read'],
+    oauthTtlSeconds: 10 * 60,
+    verification: {
+      // Passing checks are kept longer than failing ones, which users retry
+      // right after following or liking
+      passCacheMinutes: 24 * 60,
+      failCacheMinutes: 2,
+      maxRetries: 2,
+      // Wait out a rate limit only when it resets this soon
+      maxRetryWaitSeconds: 5,
+      // Pages of followers or likers scanned per check
+      maxPages: 5,
+    },
+  },
+  idempotency: {
+    ttlHours: 24,
+    maxKeyLength: 255,
+  },
 
 };
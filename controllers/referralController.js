@@ -1,8 +1,14 @@
 
 const User = require('../models/User');
 const Referral = require('../models/Referral');
+const Activity = require('../models/Activity');
+const WithheldReferralReward = require('../models/WithheldReferralReward');
 const logger = require('../utils/logger');
 const { generateReferralCode, validateReferralCode, calculateReferralReward } = require('../utils/referralUtils');
+const { getUserModifiers } = require('../utils/boostEngine');
+const { recordXp } = require('../utils/xpLedger');
+const { announceLevelUps } = require('../utils/levelProgression');
+const { recordQuestEvent } = require('../utils/questProgress');
 
 // Helper function to validate and get referral chain
 async function validateAndGetReferralChain(referrerId, userId, maxTier = 3, session = null) {
@@ -57,8 +63,8 @@ async function validateAndGetReferralChain(referrerId, userId, maxTier = 3, sess
   }
   
 
-async function processReferralReward(userId, xpAmount) {
-    const session = await mongoose.startSession();
+async function processReferralReward(userId, xpAmount, sourceKey) {
+    const session = await User.startSession();
     let retries = 3;
     
     while (retries > 0) {
@@ -96,8 +102,13 @@ async function processReferralReward(userId, xpAmount) {
                 return null;
               }
   
-              referrer.xp += rewardAmount;
-              referrer.totalReferralXP = (referrer.totalReferralXP || 0) + rewardAmount;
+              await recordXp(referrer._id, rewardAmount, {
+                reason: 'referral',
+                source: { kind: 'referral', id: referral._id.toString() },
+                idempotencyKey: `referral:${sourceKey}:${referral._id}`,
+                inc: { totalReferralXP: rewardAmount },
+                session
+              });
   
               // Add activity log
               await new Activity({
@@ -112,10 +123,7 @@ async function processReferralReward(userId, xpAmount) {
   
               logger.info(`Processed referral reward: ${rewardAmount} XP for user ${referrer.telegramId} (Tier ${referral.tier})`);
   
-              return Promise.all([
-                referral.save({ session }),
-                referrer.save({ session })
-              ]);
+              return referral.save({ session });
             } catch (err) {
               logger.error(`Failed to process individual referral: ${err.message}`);
               return null;
@@ -202,6 +210,7 @@ exports.generateReferralCode = async (req, res) => {
 
 exports.applyReferralCode = async (req, res) => {
     const session = await User.startSession();
+    let newReferrer = null;
     try {
         await session.withTransaction(async () => {
             const { referralCode } = req.body;
@@ -267,6 +276,7 @@ exports.applyReferralCode = async (req, res) => {
                 referrer.save({ session })
             ]);
 
+            newReferrer = referrer;
             logger.info(`User ${user.telegramId} applied referral code ${referralCode}`);
             res.json({ 
                 message: 'Referral code applied successfully',
@@ -276,6 +286,9 @@ exports.applyReferralCode = async (req, res) => {
                 }
             });
         });
+
+        // Counts towards the referrer's daily and weekly referral quests
+        if (newReferrer) await recordQuestEvent(newReferrer, 'referral');
     } catch (error) {
         logger.error(`Error applying referral code: ${error.message}`);
         const statusCode = error.message.includes('already used') ? 400 : 
@@ -286,11 +299,19 @@ exports.applyReferralCode = async (req, res) => {
     }
 };
 
-exports.processReferralReward = async (userId, xpAmount) => {
-  const session = await mongoose.startSession();
+exports.processReferralReward = async (userId, xpAmount, sourceKey) => {
+  const session = await User.startSession();
   try {
     let success = false;
+    let grants = [];
     await session.withTransaction(async () => {
+      grants = [];
+      const source = await User.findById(userId).select('isFlagged').session(session);
+      if (!source) {
+        logger.debug(`Skipping referral rewards for missing user ${userId}`);
+        return;
+      }
+
       const referrals = await Referral.find({
         referred: userId,
         isActive: true
@@ -305,16 +326,12 @@ exports.processReferralReward = async (userId, xpAmount) => {
 
       const updatePromises = referrals.map(async (referral) => {
         try {
-          const rewardAmount = calculateReferralReward(referral.tier, xpAmount);
+          let rewardAmount = calculateReferralReward(referral.tier, xpAmount);
           if (rewardAmount <= 0 || !referral.referrer) {
             logger.debug(`No reward to process for referral ${referral._id}`);
             return null;
           }
 
-          // Update referral document
-          referral.totalRewardsDistributed += rewardAmount;
-          referral.lastRewardDate = new Date();
-
           // Update referrer's stats
           const referrer = await User.findById(referral.referrer._id).session(session);
           if (!referrer) {
@@ -322,10 +339,44 @@ exports.processReferralReward = async (userId, xpAmount) => {
             return null;
           }
 
-          // Update both XP fields
-          referrer.xp += rewardAmount;
-          referrer.totalReferralXP = (referrer.totalReferralXP || 0) + rewardAmount;
-          referrer.totalReferralRewards = (referrer.totalReferralRewards || 0) + rewardAmount;
+          // The referrer's own XP multiplier applies to what they receive
+          const { xpMultiplier } = await getUserModifiers(referrer._id);
+          rewardAmount = Math.floor(rewardAmount * xpMultiplier);
+          const idempotencyKey = `referral:${sourceKey}:${referral._id}`;
+
+          // While either side is flagged the payout is held back, and paid
+          // once a reviewer clears the flag
+          if (source.isFlagged || referrer.isFlagged) {
+            await WithheldReferralReward.updateOne(
+              { idempotencyKey },
+              {
+                $setOnInsert: {
+                  referral: referral._id,
+                  referrer: referrer._id,
+                  referred: userId,
+                  tier: referral.tier,
+                  amount: rewardAmount
+                }
+              },
+              { upsert: true, session }
+            );
+            logger.debug(`Withheld referral reward ${idempotencyKey} from a flagged account`);
+            return null;
+          }
+
+          // Update referral document
+          referral.totalRewardsDistributed += rewardAmount;
+          referral.lastRewardDate = new Date();
+
+          // Update both XP fields through the ledger
+          const grant = await recordXp(referrer._id, rewardAmount, {
+            reason: 'referral',
+            source: { kind: 'referral', id: referral._id.toString() },
+            idempotencyKey,
+            inc: { totalReferralXP: rewardAmount, totalReferralRewards: rewardAmount },
+            session
+          });
+          grants.push(grant);
 
           // Add activity logging if needed
           await new Activity({
@@ -340,10 +391,7 @@ exports.processReferralReward = async (userId, xpAmount) => {
 
           logger.info(`Processed referral reward: ${rewardAmount} XP for user ${referrer.telegramId} (Tier ${referral.tier})`);
 
-          return Promise.all([
-            referral.save({ session }),
-            referrer.save({ session })
-          ]);
+          return referral.save({ session });
         } catch (err) {
           logger.error(`Error processing individual referral reward: ${err.message}`);
           return null;
@@ -354,6 +402,7 @@ exports.processReferralReward = async (userId, xpAmount) => {
       success = results.length > 0;
     });
 
+    announceLevelUps(...grants);
     if (success) {
       logger.info(`Successfully processed referral rewards for user ${userId}`);
     }
@@ -365,6 +414,74 @@ exports.processReferralReward = async (userId, xpAmount) => {
   }
 };
 
+/**
+ * Pays the referral rewards withheld while userId was flagged, called when a
+ * reviewer clears the flag. A payout whose other side is still flagged stays
+ * withheld until that account is cleared too. Each payout is released in its
+ * own transaction under its original idempotency key.
+ * Returns the number of payouts released.
+ */
+exports.releaseWithheldReferralRewards = async (userId) => {
+  const withheld = await WithheldReferralReward.find({
+    $or: [{ referrer: userId }, { referred: userId }]
+  }).sort({ createdAt: 1 });
+  let released = 0;
+
+  for (const reward of withheld) {
+    const stillFlagged = await User.exists({
+      _id: { $in: [reward.referrer, reward.referred] },
+      isFlagged: true
+    });
+    if (stillFlagged) continue;
+
+    const session = await User.startSession();
+    try {
+      let grant = null;
+      await session.withTransaction(async () => {
+        grant = null;
+        // Deleting first means a concurrent release pays it only once
+        const claimed = await WithheldReferralReward.findOneAndDelete({ _id: reward._id }, { session });
+        if (!claimed) return;
+
+        grant = await recordXp(reward.referrer, reward.amount, {
+          reason: 'referral',
+          source: { kind: 'referral', id: reward.referral.toString() },
+          idempotencyKey: reward.idempotencyKey,
+          inc: { totalReferralXP: reward.amount, totalReferralRewards: reward.amount },
+          session
+        });
+        await Referral.updateOne(
+          { _id: reward.referral },
+          { $inc: { totalRewardsDistributed: reward.amount } },
+          { session }
+        );
+        await new Activity({
+          user: reward.referrer,
+          type: 'referral_reward',
+          details: {
+            amount: reward.amount,
+            fromUser: reward.referred,
+            tier: reward.tier,
+            withheldAt: reward.createdAt
+          }
+        }).save({ session });
+      });
+
+      if (grant) {
+        announceLevelUps(grant);
+        released++;
+      }
+    } finally {
+      session.endSession();
+    }
+  }
+
+  if (released) {
+    logger.info(`Released ${released} withheld referral rewards for user ${userId}`);
+  }
+  return released;
+};
+
 exports.getReferralStats = async (req, res) => {
   try {
     const user = await User.findOne({ telegramId: req.user.telegramId });
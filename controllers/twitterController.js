@@ -0,0 +1,159 @@
+const User = require("../models/User");
+const TwitterAccountBinding = require("../models/TwitterAccountBinding");
+const logger = require("../utils/logger");
+const config = require("../config");
+const { getTwitterClient } = require("../utils/twitterClient");
+
+const formatTwitter = (user) =>
+  user.twitter && user.twitter.id
+    ? { id: user.twitter.id, username: user.twitter.username, linkedAt: user.twitter.linkedAt }
+    : null;
+
+exports.formatTwitter = formatTwitter;
+
+// Binds the X account to the user unless another user bound it first.
+// Returns the user id the account belongs to.
+const bindTwitterAccount = async (xUserId, userId) => {
+  const bind = () =>
+    TwitterAccountBinding.findOneAndUpdate(
+      { xUserId },
+      { $setOnInsert: { user: userId, boundAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  let binding;
+  try {
+    binding = await bind();
+  } catch (error) {
+    // A concurrent first link won the insert; read the winner's binding
+    if (error.code !== 11000) throw error;
+    binding = await bind();
+  }
+  return binding.user;
+};
+
+// Sends the X redirect back to the mini-app when it is configured, as JSON otherwise
+const finishCallback = (res, status, body) => {
+  const { linkedRedirectUrl } = config.twitter;
+  if (!linkedRedirectUrl) return res.status(status).json(body);
+
+  const url = new URL(linkedRedirectUrl);
+  url.searchParams.set("twitter", status === 200 ? "linked" : "error");
+  if (status !== 200) url.searchParams.set("message", body.message);
+  res.redirect(url.toString());
+};
+
+// Starts the OAuth 2.0 login; the state ties the callback back to this user
+exports.startTwitterLink = async (req, res) => {
+  try {
+    if (req.user.twitter && req.user.twitter.id) {
+      return res.status(409).json({
+        message: "Unlink your current X account before linking another",
+        twitter: formatTwitter(req.user),
+      });
+    }
+
+    const { callbackUrl, oauthTtlSeconds } = config.twitter;
+    const { url, state, codeVerifier } = await getTwitterClient().generateAuthLink(callbackUrl);
+    const expiresAt = new Date(Date.now() + oauthTtlSeconds * 1000);
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { twitterOAuth: { state, codeVerifier, expiresAt } } }
+    );
+
+    res.json({ url, expiresAt });
+  } catch (error) {
+    logger.error(`Twitter link start error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// X redirects here after the user approves; no Telegram auth is available
+exports.twitterCallback = async (req, res) => {
+  try {
+    const { state, code, error: denied } = req.query;
+    if (!state || typeof state !== "string") {
+      return finishCallback(res, 400, { message: "Missing OAuth state" });
+    }
+
+    const user = await User.findOne({ "twitterOAuth.state": state });
+    if (!user || !(user.twitterOAuth.expiresAt > new Date())) {
+      return finishCallback(res, 400, { message: "Link request expired, please start again" });
+    }
+    if (denied || !code || typeof code !== "string") {
+      await User.updateOne({ _id: user._id }, { $unset: { twitterOAuth: 1 } });
+      return finishCallback(res, 400, { message: "X account access was not granted" });
+    }
+
+    let account;
+    try {
+      account = await getTwitterClient().exchangeCode({
+        code,
+        codeVerifier: user.twitterOAuth.codeVerifier,
+        redirectUri: config.twitter.callbackUrl,
+      });
+    } catch (error) {
+      logger.warn(`Twitter code exchange failed for ${user.telegramId}: ${error.message}`);
+      return finishCallback(res, 400, { message: "Could not confirm the X account, please start again" });
+    }
+
+    const owner = await bindTwitterAccount(account.id, user._id);
+    if (!owner.equals(user._id)) {
+      await User.updateOne({ _id: user._id }, { $unset: { twitterOAuth: 1 } });
+      return finishCallback(res, 409, { message: "X account is already linked to another account" });
+    }
+
+    // Consuming the state in the same update makes each login single use;
+    // the unique index on the X id keeps an account to one user
+    let updated;
+    try {
+      updated = await User.findOneAndUpdate(
+        { _id: user._id, "twitterOAuth.state": state, "twitter.id": { $exists: false } },
+        {
+          $set: {
+            twitter: { id: account.id, username: account.username, linkedAt: new Date() },
+            twitterConnected: true,
+          },
+          $unset: { twitterOAuth: 1 },
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return finishCallback(res, 409, { message: "X account is already linked to another account" });
+    }
+    if (!updated) {
+      return finishCallback(res, 409, { message: "Link request was already used" });
+    }
+
+    logger.info(`User ${user.telegramId} linked X account @${account.username} (${account.id})`);
+    finishCallback(res, 200, { message: "X account linked", twitter: formatTwitter(updated) });
+  } catch (error) {
+    logger.error(`Twitter callback error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.unlinkTwitter = async (req, res) => {
+  try {
+    // Accounts linked before bindings existed are bound on the way out
+    if (req.user.twitter && req.user.twitter.id) {
+      await bindTwitterAccount(req.user.twitter.id, req.user._id);
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: req.user._id, "twitter.id": { $exists: true } },
+      { $unset: { twitter: 1 }, $set: { twitterConnected: false } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: "No X account linked" });
+    }
+
+    logger.info(`User ${updated.telegramId} unlinked their X account`);
+    res.json({ message: "X account unlinked", twitter: null });
+  } catch (error) {
+    logger.error(`Unlink Twitter error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
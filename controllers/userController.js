@@ -3,12 +3,72 @@ const referralController = require("../controllers/referralController");
 const Leaderboard = require("../models/Leaderboard");
 const { verifyTelegramWebAppData } = require("../utils/telegramUtils");
 const logger = require("../utils/logger");
+const config = require("../config");
 const { calculateReferralReward } = require("../utils/referralUtils");
 const Referral = require("../models/Referral");
+const Activity = require("../models/Activity");
+const { REJECTION, getTapKey, verifyTapBatch } = require("../utils/tapBatch");
+const { trackTapBatch } = require("../utils/tapAnomaly");
+const { collectPassiveIncome } = require("../utils/passiveMining");
+const { getLevelProgress, announceLevelUps } = require("../utils/levelProgression");
+const { recordXp, getLedgerPage, checkBalance } = require("../utils/xpLedger");
+const {
+  getTokenSummary,
+  convertXpToTokens,
+  formatConversion,
+  getConversionHistory,
+} = require("../utils/nlovTokens");
+const {
+  activateBoost,
+  getActiveBoosts,
+  getAvailableBoosts,
+  getEffectiveModifiers,
+  getNextBoostTime,
+  getTapXp,
+  getUserModifiers,
+  formatActiveBoost,
+} = require("../utils/boostEngine");
+const {
+  countUsableItems,
+  formatBoostItem,
+  grantBoostItems,
+  listInventory,
+} = require("../utils/boostInventory");
+const {
+  checkGpuPurchase,
+  getNextGpuTier,
+  getShopView,
+} = require("../utils/gpuCatalog");
+const {
+  addGpuToRig,
+  ensureStarterRig,
+  equipGpu,
+  formatGpu,
+  getRig,
+  removeGpu,
+  unequipGpu,
+} = require("../utils/rigBuilder");
 
 // const { getCachedUser, updateCachedUser } = require('../utils/userCache');
 // const { queueLeaderboardUpdate } = require("../jobs/jobQueue");
-const Quest = require("../models/Quest");
+const { formatWallet } = require("./walletController");
+const { formatTwitter } = require("./twitterController");
+const {
+  formatEquipped,
+  getCollection,
+  equipCosmetic,
+} = require("../utils/cosmetics");
+const { formatTitle, getTitles, setActiveTitle } = require("../utils/titles");
+const {
+  getCheckInState,
+  getCheckInHistory,
+  getSchedule,
+  performCheckIn,
+  getRepairOffer,
+  repairStreak,
+} = require("../utils/checkInCalendar");
+const { formatDayBoundary, setUtcOffset } = require("../utils/userDay");
+const { recordQuestEvent, getVisibleQuests } = require("../utils/questProgress");
 
 exports.authenticateTelegram = async (req, res) => {
   try {
@@ -45,33 +105,55 @@ exports.authenticateTelegram = async (req, res) => {
           lastName: userData.last_name,
           languageCode: userData.language_code,
           photoUrl: userData.photo_url,
+          isPremium: !!userData.is_premium,
         },
         $setOnInsert: { telegramId: userData.id },
       },
       { new: true, upsert: true }
     );
       console.log("user", user);
+
+    // The mini-app reports its UTC offset so daily resets follow local midnight
+    const offsetHeader = req.header("X-Timezone-Offset");
+    if (offsetHeader !== undefined) {
+      const offset = await setUtcOffset(user, Number(offsetHeader));
+      if (offset.ok) {
+        user = offset.user;
+      } else {
+        logger.warn(`Timezone offset ${offsetHeader} not applied for ${user.telegramId}: ${offset.message}`);
+      }
+    }
     // Check if user can claim daily XP
     let dailyXPClaimed = false;
     let xpGained = 0;
     // if the user is new then claim daily xp.
-    if (user.canClaimDailyXP() && user?.xp == 0) {
+    // New users get a welcome bonus; the ledger key makes it a one-off
+    if (user?.xp == 0) {
       xpGained = 500;
-      user.xp += xpGained;
-      user.lastDailyClaimDate = new Date();
-      user.checkInStreak += 1;
-      dailyXPClaimed = true;
-      await user.save();
+      const grant = await recordXp(user._id, xpGained, {
+        reason: "daily_claim",
+        source: { kind: "welcome" },
+        idempotencyKey: "welcome",
+      });
+      user = grant.user;
+      dailyXPClaimed = !grant.duplicate;
       logger.info(
         `Daily XP claimed for user: ${user.telegramId}, XP gained: ${xpGained}`
       );
     }
 
+    // Credit compute mined while the user was away
+    const passive = await collectPassiveIncome(user);
+    user = passive.user;
+
     const token = user.generateAuthToken();
+    const tapKey = getTapKey(user.telegramId);
 
     logger.info(`User authenticated successfully: ${user.telegramId}`);
     res.json({
       token,
+      tapKey,
+      tapSeq: user.lastTapSeq,
       user: {
         id: user.telegramId,
         username: user.username,
@@ -80,9 +162,13 @@ exports.authenticateTelegram = async (req, res) => {
         languageCode: user.languageCode,
         photoUrl: user.photoUrl,
         xp: user.xp,
+        compute: user.compute,
+        ...getLevelProgress(user),
         dailyXPClaimed,
         xpGained,
         lastDailyClaimDate: user.lastDailyClaimDate,
+        dayBoundary: formatDayBoundary(user),
+        offlineEarnings: passive.summary,
       },
     });
   } catch (error) {
@@ -104,19 +190,18 @@ exports.getProfile = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Fetch all quests
-    const allQuests = await Quest.find({});
+    const passive = await collectPassiveIncome(user);
+    const offlineEarnings = passive.summary;
+    user.compute = passive.user.compute;
 
     // Create a set of completed quest IDs for efficient lookup
     const completedQuestIds = new Set(
       user.completedQuests.map((quest) => quest._id.toString())
     );
 
-    // Add 'claimed' key to each quest
-    const questsWithClaimedStatus = allQuests.map((quest) => ({
-      ...quest.toObject(),
-      claimed: completedQuestIds.has(quest._id.toString()),
-    }));
+    // Running quests the user qualifies for, with 'claimed' and progress;
+    // daily and weekly ones reopen each period
+    const questsWithClaimedStatus = await getVisibleQuests(user);
 
     // Prepare the response object with both reward fields
     const profileData = {
@@ -136,13 +221,21 @@ exports.getProfile = async (req, res) => {
       id: user.telegramId,
       quests: questsWithClaimedStatus,
       completedQuestsCount: completedQuestIds.size,
+      offlineEarnings,
+      tokens: getTokenSummary(user),
+      tonWallet: formatWallet(user),
+      twitter: formatTwitter(user),
+      cosmetics: formatEquipped(user),
+      title: formatTitle(user.activeTitle),
+      dayBoundary: formatDayBoundary(user),
       // Additional user stats
       stats: {
-        checkInStreak: user.checkInStreak,
+        checkInStreak: getCheckInState(user).currentStreak,
+        bestStreak: user.checkInStreak,
         lastDailyClaimDate: user.lastDailyClaimDate,
         gpuLevel: user.gpuLevel,
-        level: user.level,
-        boostCount: user.boostCount,
+        ...getLevelProgress(user),
+        boostCount: await countUsableItems(user._id),
         lastBoostTime: user.lastBoostTime
       },
       // Referral specific stats
@@ -193,32 +286,40 @@ exports.claimDailyXP = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const now = new Date();
-    const lastClaim = new Date(user.lastDailyClaimDate);
-    const timeDiff = now - lastClaim;
-    const hoursSinceLastClaim = timeDiff / (1000 * 60 * 60);
-
-    if (hoursSinceLastClaim < 24) {
+    const result = await performCheckIn(user);
+    if (!result.ok) {
       return res.status(400).json({
         message: "Daily XP already claimed",
-        nextClaimTime: new Date(lastClaim.getTime() + 24 * 60 * 60 * 1000),
+        nextClaimTime: result.state.nextClaimTime,
+        checkInStreak: result.state.currentStreak,
+        streakRepair: getRepairOffer(user),
+        ...formatDayBoundary(user),
       });
     }
 
-    const xpGained = 100;
-    user.xp += xpGained;
-    user.lastDailyClaimDate = now;
-    user.checkInStreak += 1;
-    await user.save();
+    const { checkIn, grant } = result;
+    const { levelUps, user: updated } = grant;
+    await recordQuestEvent(updated, "check_in");
 
     // Queue leaderboard update
     // await queueLeaderboardUpdate(user.telegramId, user.xp);
 
     res.json({
       message: "Daily XP claimed successfully",
-      xpGained,
-      newTotalXp: user.xp,
-      checkInStreak: user.checkInStreak,
+      xpGained: checkIn.xp + checkIn.bonusXp,
+      bonusXp: checkIn.bonusXp,
+      cycleDay: checkIn.cycleDay,
+      newTotalXp: updated.xp,
+      checkInStreak: checkIn.streak,
+      bestStreak: updated.checkInStreak,
+      freezesUsed: checkIn.freezesUsed,
+      streakFreezes: updated.streakFreezes,
+      streakRepair: getRepairOffer(updated),
+      nextClaimTime: getCheckInState(updated).nextClaimTime,
+      schedule: getSchedule(updated),
+      ...formatDayBoundary(updated),
+      ...getLevelProgress(updated),
+      levelUps,
     });
   } catch (error) {
     logger.error(`Claim daily XP error: ${error.message}`);
@@ -232,28 +333,69 @@ exports.checkDailyXPClaimable = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const now = new Date();
-    const lastClaim = new Date(user.lastDailyClaimDate);
-    const timeDiff = now - lastClaim;
-    const hoursSinceLastClaim = timeDiff / (1000 * 60 * 60);
+    const state = getCheckInState(user);
+    res.json({
+      isClaimable: state.claimable,
+      nextClaimTime: state.nextClaimTime,
+      checkInStreak: state.currentStreak,
+      bestStreak: user.checkInStreak,
+      streakFreezes: state.streakFreezes,
+      // Freezes the next check-in will spend to keep the streak alive
+      freezesNeeded: state.freezesNeeded,
+      streakRepair: getRepairOffer(user),
+      schedule: getSchedule(user),
+      ...formatDayBoundary(user),
+      recentCheckIns: (await getCheckInHistory(user._id, 7)).map((checkIn) => ({
+        day: checkIn.day,
+        streak: checkIn.streak,
+        xp: checkIn.xp + checkIn.bonusXp,
+        freezesUsed: checkIn.freezesUsed,
+      })),
+    });
+  } catch (error) {
+    logger.error(`Check daily XP claimable error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.repairStreak = async (req, res) => {
+  try {
+    const user = await User.findOne({ telegramId: req.user.telegramId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-    const isClaimable = hoursSinceLastClaim >= 24;
-    const nextClaimTime = isClaimable
-      ? now
-      : new Date(lastClaim.getTime() + 24 * 60 * 60 * 1000);
+    const result = await repairStreak(user);
+    if (!result.ok) {
+      return res.status(result.status).json({
+        message: result.message,
+        streakRepair: getRepairOffer(user),
+      });
+    }
 
+    const { user: updated, offer } = result;
+    logger.info(
+      `Streak repaired for user: ${updated.telegramId}, streak: ${offer.streak}, cost: ${offer.compute}`
+    );
+    const state = getCheckInState(updated);
     res.json({
-      isClaimable,
-      nextClaimTime,
-      checkInStreak: user.checkInStreak,
+      message: "Streak repaired",
+      computeSpent: offer.compute,
+      compute: updated.compute,
+      checkInStreak: state.currentStreak,
+      bestStreak: updated.checkInStreak,
+      isClaimable: state.claimable,
+      nextClaimTime: state.nextClaimTime,
+      schedule: getSchedule(updated),
+      ...formatDayBoundary(updated),
     });
   } catch (error) {
-    logger.error(`Check daily XP claimable error: ${error.message}`);
+    logger.error(`Repair streak error: ${error.message}`);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-const distributeReferralXP = async (userId, xpGained) => {
+const distributeReferralXP = async (userId, xpGained, sourceKey) => {
   try {
     const user = await User.findById(userId).populate("referredBy");
     if (!user || !user.referredBy) return;
@@ -266,9 +408,12 @@ const distributeReferralXP = async (userId, xpGained) => {
       const referralXP = Math.floor(xpGained * tierPercentages[currentTier - 1]);
       
       // Update both XP tracking fields
-      currentReferrer.xp += referralXP;
-      currentReferrer.totalReferralXP = (currentReferrer.totalReferralXP || 0) + referralXP;
-      currentReferrer.totalReferralRewards = (currentReferrer.totalReferralRewards || 0) + referralXP;
+      await recordXp(currentReferrer._id, referralXP, {
+        reason: "referral",
+        source: { kind: "user", id: user._id.toString() },
+        idempotencyKey: `referral:${sourceKey}:${currentReferrer._id}`,
+        inc: { totalReferralXP: referralXP, totalReferralRewards: referralXP },
+      });
 
       // Update the referral document
       await Referral.findOneAndUpdate(
@@ -279,7 +424,6 @@ const distributeReferralXP = async (userId, xpGained) => {
         }
       );
 
-      await currentReferrer.save();
       logger.info(
         `Distributed ${referralXP} XP to referrer ${currentReferrer._id} (Tier ${currentTier})`
       );
@@ -300,8 +444,9 @@ exports.tap = async (req, res) => {
   try {
     let result;
     await session.withTransaction(async () => {
+      result = null;
       const userId = req.user.telegramId;
-      const { count = 1 } = req.body;
+      const batch = req.body;
 
       let user = await User.findOne({ telegramId: userId }).session(session);
       if (!user) {
@@ -309,30 +454,99 @@ exports.tap = async (req, res) => {
       }
 
       const now = new Date();
+      const modifiers = await getUserModifiers(user._id, now);
+      const check = verifyTapBatch(user, batch, now.getTime(), modifiers);
+      if (!check.ok) {
+        result = check;
+        return;
+      }
+
       const xpBefore = user.xp;
-      const xpGained = user.computePower * count;
-      
-      user.xp += xpGained;
-      user.compute += xpGained;
-      user.totalTaps += count;
-      user.lastTapTime = now;
+      const xpGained = getTapXp(user, check.acceptedTaps, modifiers);
+
+      // Conditional on the sequence so a concurrent replay cannot also apply
+      user = await User.findOneAndUpdate(
+        { _id: user._id, lastTapSeq: { $lt: batch.seq } },
+        {
+          $inc: {
+            compute: xpGained,
+            totalTaps: check.acceptedTaps,
+          },
+          $set: {
+            lastTapTime: now,
+            lastTapSeq: batch.seq,
+            lastTapBatchEnd: new Date(batch.endedAt),
+            energy: check.energyAfter,
+            energyUpdatedAt: now,
+          },
+        },
+        { new: true, session }
+      );
+      if (!user) {
+        result = {
+          ok: false,
+          status: 409,
+          rejection: { code: REJECTION.REPLAYED_BATCH, message: 'Tap batch was already processed' },
+        };
+        return;
+      }
+
+      const tapKey = `tap:${batch.seq}`;
+      const leveled = await recordXp(user._id, xpGained, {
+        reason: "tap",
+        source: { kind: "tap_batch", id: String(batch.seq) },
+        idempotencyKey: tapKey,
+        session,
+      });
+      user = leveled.user;
 
-      await user.save({ session });
-      
       // Call the correct function from referralController
-      await referralController.processReferralReward(user._id, xpGained);
+      await referralController.processReferralReward(
+        user._id,
+        xpGained,
+        `${user._id}:${tapKey}`
+      );
 
       result = {
-        message: 'Tap successful',
-        xpGained,
-        xpBefore,
-        newTotalXp: user.xp,
-        totalTaps: user.totalTaps,
-        computePower: user.computePower
+        ok: true,
+        user,
+        grant: leveled,
+        acceptedTaps: check.acceptedTaps,
+        body: {
+          message: 'Tap successful',
+          seq: batch.seq,
+          acceptedTaps: check.acceptedTaps,
+          xpGained,
+          xpBefore,
+          newTotalXp: user.xp,
+          totalTaps: user.totalTaps,
+          computePower: user.computePower,
+          effectiveComputePower: user.computePower + modifiers.computePowerBonus,
+          xpMultiplier: modifiers.xpMultiplier,
+          ...getLevelProgress(user),
+          levelUps: leveled.levelUps,
+          ...user.getEnergyStatus(now.getTime()),
+        },
       };
     });
 
-    res.json(result);
+    if (!result.ok) {
+      logger.warn(`Tap batch rejected for ${req.user.telegramId}: ${result.rejection.code}`);
+      return res.status(result.status).json({
+        message: 'Tap batch rejected',
+        rejection: result.rejection,
+      });
+    }
+
+    announceLevelUps(result.grant);
+    res.json(result.body);
+
+    // Cadence tracking and quest progress run after the response so they
+    // never slow tapping down
+    trackTapBatch(result.user, req.body, result.acceptedTaps).catch((error) =>
+      logger.error(`Tap anomaly tracking error: ${error.message}`)
+    );
+    recordQuestEvent(result.user, "tap", result.acceptedTaps);
   } catch (error) {
     logger.error(`Tap error: ${error.message}`);
     res.status(error.message === 'User not found' ? 404 : 500)
@@ -353,39 +567,97 @@ exports.boost = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    if (user.boostCount < 1) {
-      return res.status(400).json({ message: "No boost available" });
+    const itemId = req.params.itemId || req.body.itemId;
+    const result = await activateBoost(user, itemId);
+    if (!result.ok) {
+      return res.status(result.status).json({
+        message: result.message,
+        nextBoostTime: result.nextBoostTime,
+      });
     }
 
-    const now = new Date();
-    const boostDuration = 10 * 1000; // 10 seconds
-    const tapsPerSecond = 10; // Assuming 10 taps per second during boost
-    const totalBoostTaps = tapsPerSecond * (boostDuration / 1000);
+    const { boost } = result;
+    logger.info(
+      `Boost activated for user ${user.telegramId}: ${boost.type} tier ${boost.tier} for ${boost.durationMinutes}m`
+    );
+    res.json({
+      message: "Boost activated",
+      boost: formatActiveBoost(boost),
+      boostCount: await countUsableItems(user._id),
+      nextBoostTime: getNextBoostTime(result.user),
+    });
+  } catch (error) {
+    logger.error(`Boost error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
 
-    user.boostCount -= 1;
-    user.lastBoostTime = now;
-    user.totalTaps += totalBoostTaps;
-    const xpGained = totalBoostTaps * user.computePower;
-    user.xp += xpGained;
-    user.compute += xpGained;
+exports.getBoosts = async (req, res) => {
+  try {
+    const user = await User.findOne({ telegramId: req.user.telegramId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-    // Reset cooldown
-    user.cooldownEndTime = null;
+    const [active, inventory] = await Promise.all([
+      getActiveBoosts(user._id),
+      listInventory(user._id),
+    ]);
+    const nextBoostTime = getNextBoostTime(user);
 
-    await user.save();
+    res.json({
+      active: active.map(formatActiveBoost),
+      modifiers: getEffectiveModifiers(active),
+      available: getAvailableBoosts(),
+      inventory: inventory.map(formatBoostItem),
+      boostCount: inventory.length,
+      canActivate: inventory.length > 0 && !nextBoostTime,
+      nextBoostTime,
+    });
+  } catch (error) {
+    logger.error(`Get boosts error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
 
+exports.getBoostInventory = async (req, res) => {
+  try {
+    const inventory = await listInventory(req.user._id);
     res.json({
-      message: "Boost activated",
-      user: {
-        xp: user.xp,
-        compute: user.compute,
-        totalTaps: user.totalTaps,
-        boostCount: user.boostCount,
-        lastBoostTime: user.lastBoostTime,
-      },
+      items: inventory.map(formatBoostItem),
+      nextBoostTime: getNextBoostTime(req.user),
     });
   } catch (error) {
-    logger.error(`Boost error: ${error.message}`);
+    logger.error(`Get boost inventory error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.grantBoosts = async (req, res) => {
+  try {
+    const { telegramIds, reward } = req.body;
+    const users = await User.find({ telegramId: { $in: telegramIds } }).select(
+      "_id telegramId"
+    );
+
+    const items = await grantBoostItems(
+      users.map((u) => u._id),
+      reward,
+      { source: "team_grant", grantedBy: req.user._id }
+    );
+
+    const found = new Set(users.map((u) => u.telegramId));
+    logger.info(
+      `${req.user.telegramId} granted ${items.length} boost item(s) to ${users.length} user(s)`
+    );
+    res.status(201).json({
+      message: "Boosts granted",
+      usersGranted: users.length,
+      itemsGranted: items.length,
+      notFound: telegramIds.filter((id) => !found.has(id)),
+    });
+  } catch (error) {
+    logger.error(`Grant boosts error: ${error.message}`);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -413,9 +685,10 @@ exports.getCooldownStatus = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
     logger.info(`Cooldown status retrieved for user: ${user.telegramId}`);
+    const energyStatus = user.getEnergyStatus();
     res.json({
-      cooldownEndTime: user.cooldownEndTime,
-      isCoolingDown: user.cooldownEndTime > Date.now(),
+      ...energyStatus,
+      isCoolingDown: energyStatus.energy < config.energy.costPerTap,
     });
   } catch (error) {
     logger.error(`Get cooldown status error: ${error.message}`);
@@ -453,8 +726,9 @@ exports.getUserStats = async (req, res) => {
       compute: user.compute,
       totalTaps: user.totalTaps,
       computePower: user.computePower,
-      cooldownEndTime: user.cooldownEndTime,
       lastTapTime: user.lastTapTime,
+      nlovBalance: user.nlovBalance || 0,
+      ...user.getEnergyStatus(),
     });
   } catch (error) {
     logger.error(
@@ -465,28 +739,304 @@ exports.getUserStats = async (req, res) => {
   }
 };
 
-exports.upgradeGPU = async (req, res) => {
+exports.getGpuShop = async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     if (!user) {
-      logger.warn(`User not found for GPU upgrade: ${req.user._id}`);
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Implement GPU upgrade logic here
-    // This is a placeholder implementation
-    user.computePower += 1;
-    await user.save();
+    res.json({
+      gpuLevel: user.gpuLevel,
+      computePower: user.computePower,
+      balance: { xp: user.xp, compute: user.compute },
+      catalog: getShopView(user),
+    });
+  } catch (error) {
+    logger.error(`Get GPU shop error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.upgradeGPU = async (req, res) => {
+  const session = await User.startSession();
+  try {
+    // Outside the transaction: a racing duplicate would abort it
+    await ensureStarterRig(req.user);
+    let result;
+    await session.withTransaction(async () => {
+      const user = await User.findById(req.user._id).session(session);
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      const tier = getNextGpuTier(user);
+      const check = checkGpuPurchase(user, tier);
+      if (!check.ok) {
+        result = check;
+        return;
+      }
+
+      const { currency, amount } = tier.price;
+      // The balance, tier and level are re-checked in the update itself
+      const charged = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          gpuLevel: user.gpuLevel,
+          level: { $gte: tier.requiredLevel },
+          [currency]: { $gte: amount },
+        },
+        {
+          $inc: { [currency]: -amount },
+          $set: { gpuLevel: tier.level },
+        },
+        { new: true, session }
+      );
+      if (!charged) {
+        result = {
+          ok: false,
+          reason: "conflict",
+          message: "GPU changed during the upgrade, please retry",
+        };
+        return;
+      }
+
+      // The new card joins the rig and compute power is recalculated
+      const { gpu, user: updated } = await addGpuToRig(charged, tier, session);
+
+      await new Activity({
+        user: user._id,
+        type: "gpu_upgrade",
+        details: {
+          from: user.gpuLevel,
+          to: tier.level,
+          gpu: tier.id,
+          card: gpu._id,
+          currency,
+          price: amount,
+        },
+      }).save({ session });
+
+      result = { ok: true, user: updated, tier, gpu };
+    });
 
+    if (!result.ok) {
+      return res
+        .status(result.reason === "conflict" ? 409 : 400)
+        .json({ message: result.message, reason: result.reason });
+    }
+
+    const { user, tier, gpu } = result;
     logger.info(
-      `GPU upgraded for user: ${user.telegramId}, New compute power: ${user.computePower}`
+      `GPU upgraded for user: ${user.telegramId}, New tier: ${tier.id}, New compute power: ${user.computePower}`
     );
     res.json({
       message: "GPU upgraded successfully",
+      gpu: formatGpu(gpu),
       newComputePower: user.computePower,
+      balance: { xp: user.xp, compute: user.compute },
+      ...user.getEnergyStatus(),
     });
   } catch (error) {
     logger.error(`Upgrade GPU error: ${error.message}`);
+    res
+      .status(error.message === "User not found" ? 404 : 500)
+      .json({ message: "Server error", error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+exports.getRig = async (req, res) => {
+  try {
+    const rig = await getRig(req.user);
+    res.json(rig);
+  } catch (error) {
+    logger.error(`Get rig error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.updateRig = async (req, res) => {
+  try {
+    const { gpuId } = req.params;
+    const { action, slot } = req.body;
+
+    let result;
+    switch (action) {
+      case "equip":
+        result = await equipGpu(req.user, gpuId, slot);
+        break;
+      case "unequip":
+        result = await unequipGpu(req.user, gpuId);
+        break;
+      case "sell":
+      case "scrap":
+        result = await removeGpu(req.user, gpuId, action);
+        break;
+    }
+
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    logger.info(`Rig ${action} for user ${req.user.telegramId}: GPU ${gpuId}`);
+    res.json({
+      message: "Rig updated",
+      gpu: formatGpu(result.gpu),
+      refund: result.refund,
+      computePower: result.user.computePower,
+      rig: await getRig(result.user),
+    });
+  } catch (error) {
+    logger.error(`Update rig error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.getXpLedger = async (req, res) => {
+  try {
+    const telegramId = req.params.telegramId || req.user.telegramId;
+    if (telegramId !== req.user.telegramId && !req.user.isTeamMember) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view this ledger" });
+    }
+
+    const user =
+      telegramId === req.user.telegramId
+        ? req.user
+        : await User.findOne({ telegramId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const [ledger, balance] = await Promise.all([
+      getLedgerPage(user._id, { page: req.query.page, limit: req.query.limit }),
+      checkBalance(user._id),
+    ]);
+
+    res.json({ telegramId, balance, ...ledger });
+  } catch (error) {
+    logger.error(`Get XP ledger error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.getTokens = async (req, res) => {
+  try {
+    const history = await getConversionHistory(req.user._id, {
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    res.json({ ...getTokenSummary(req.user), history });
+  } catch (error) {
+    logger.error(`Get tokens error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.convertXp = async (req, res) => {
+  try {
+    const result = await convertXpToTokens(req.user, req.body.tokens);
+    if (!result.ok) {
+      return res.status(result.status).json({
+        message: result.message,
+        reason: result.reason,
+        tokens: getTokenSummary(req.user),
+      });
+    }
+
+    res.json({
+      message: "XP converted successfully",
+      conversion: formatConversion(result.conversion),
+      tokens: getTokenSummary(result.user),
+    });
+  } catch (error) {
+    logger.error(`Convert XP error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.getCosmetics = async (req, res) => {
+  try {
+    res.json(await getCollection(req.user));
+  } catch (error) {
+    logger.error(`Get cosmetics error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.equipCosmetic = async (req, res) => {
+  try {
+    const { slot, cosmeticId } = req.body;
+    const result = await equipCosmetic(req.user, slot, cosmeticId || null);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: "Cosmetic equipped",
+      equipped: formatEquipped(result.user),
+    });
+  } catch (error) {
+    logger.error(`Equip cosmetic error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// What other players can see about a user
+exports.getPublicProfile = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      telegramId: req.params.telegramId,
+      isFlagged: { $ne: true },
+    });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({
+      telegramId: user.telegramId,
+      username: user.username,
+      level: user.level,
+      xp: user.xp,
+      computePower: user.computePower,
+      gpuLevel: user.gpuLevel,
+      achievements: (user.achievements || [])
+        .filter((achievement) => achievement.completed)
+        .map((achievement) => achievement.id),
+      cosmetics: formatEquipped(user),
+      title: formatTitle(user.activeTitle),
+    });
+  } catch (error) {
+    logger.error(`Get public profile error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.getTitles = async (req, res) => {
+  try {
+    res.json(await getTitles(req.user));
+  } catch (error) {
+    logger.error(`Get titles error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.setActiveTitle = async (req, res) => {
+  try {
+    const result = await setActiveTitle(req.user, req.body.titleId || null);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: "Active title updated",
+      title: formatTitle(result.user.activeTitle),
+    });
+  } catch (error) {
+    logger.error(`Set active title error: ${error.message}`);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -0,0 +1,116 @@
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const config = require("../config");
+const { verifyTonProof, generateProofPayload } = require("../utils/tonProof");
+
+const formatWallet = (user) =>
+  user.tonWallet && user.tonWallet.address
+    ? { address: user.tonWallet.address, linkedAt: user.tonWallet.linkedAt }
+    : null;
+
+exports.formatWallet = formatWallet;
+
+// Issues the nonce the wallet has to sign as the ton_proof payload
+exports.getTonProofPayload = async (req, res) => {
+  try {
+    const payload = generateProofPayload();
+    const expiresAt = new Date(Date.now() + config.ton.payloadTtlSeconds * 1000);
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { tonProofNonce: payload, tonProofNonceExpiresAt: expiresAt } }
+    );
+
+    res.json({ payload, expiresAt });
+  } catch (error) {
+    logger.error(`TON proof payload error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.linkTonWallet = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const nonceValid =
+      user.tonProofNonce && user.tonProofNonceExpiresAt > new Date();
+
+    const result = verifyTonProof(req.body, nonceValid ? user.tonProofNonce : null);
+    if (!result.ok) {
+      logger.warn(
+        `TON proof rejected for ${user.telegramId}: ${result.reason}`
+      );
+      return res
+        .status(400)
+        .json({ message: result.message, reason: result.reason });
+    }
+
+    if (user.tonWallet && user.tonWallet.address) {
+      const sameWallet = user.tonWallet.address === result.address;
+      return res.status(sameWallet ? 200 : 409).json({
+        message: sameWallet
+          ? "Wallet already linked"
+          : "Unlink your current wallet before linking another",
+        wallet: formatWallet(user),
+      });
+    }
+
+    // Consuming the nonce in the same update makes each proof single use;
+    // the unique index on the address keeps a wallet to one user
+    let updated;
+    try {
+      updated = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          tonProofNonce: user.tonProofNonce,
+          "tonWallet.address": { $exists: false },
+        },
+        {
+          $set: {
+            tonWallet: {
+              address: result.address,
+              publicKey: result.publicKey,
+              linkedAt: new Date(),
+            },
+          },
+          $unset: { tonProofNonce: 1, tonProofNonceExpiresAt: 1 },
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res
+        .status(409)
+        .json({ message: "Wallet is already linked to another account" });
+    }
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ message: "Proof was already used, request a new payload" });
+    }
+
+    logger.info(`User ${user.telegramId} linked TON wallet ${result.address}`);
+    res.json({ message: "Wallet linked", wallet: formatWallet(updated) });
+  } catch (error) {
+    logger.error(`Link TON wallet error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+exports.unlinkTonWallet = async (req, res) => {
+  try {
+    const updated = await User.findOneAndUpdate(
+      { _id: req.user._id, "tonWallet.address": { $exists: true } },
+      { $unset: { tonWallet: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: "No wallet linked" });
+    }
+
+    logger.info(`User ${updated.telegramId} unlinked their TON wallet`);
+    res.json({ message: "Wallet unlinked", wallet: null });
+  } catch (error) {
+    logger.error(`Unlink TON wallet error: ${error.message}`);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const GPU = require('../models/GPU');
 
 const connectDB = async () => {
   try {
@@ -12,6 +13,15 @@ const connectDB = async () => {
     logger.error('MongoDB connection error:', error);
     process.exit(1);
   }
+
+  // GPUs used to be one document per user; syncing drops the legacy unique
+  // user_1 index, which would reject every card after the first
+  try {
+    const dropped = await GPU.syncIndexes();
+    if (dropped.length) logger.info(`Dropped stale GPU indexes: ${dropped.join(', ')}`);
+  } catch (error) {
+    logger.error(`GPU index sync failed: ${error.message}`);
+  }
 };
 
 module.exports = connectDB;
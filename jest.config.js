@@ -1,5 +1,5 @@
 module.exports = {
     testEnvironment: 'node',
     coveragePathIgnorePatterns: ['/node_modules/'],
-    setupFiles: ['<rootDir>/tests/setup.js'],
+    setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
   };
\ No newline at end of file
@@ -0,0 +1,92 @@
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+const replayStored = async (req, res, key, request) => {
+  const record = await IdempotencyRecord.findOne({ user: req.user._id, key });
+  if (record && (record.method !== request.method || record.path !== request.path)) {
+    return res
+      .status(422)
+      .json({ message: 'Idempotency-Key was already used for a different request' });
+  }
+  // A missing record means the first request failed and is being cleaned up
+  if (!record || record.state !== 'completed') {
+    return res.status(409).json({ message: 'Request with this Idempotency-Key is in progress' });
+  }
+
+  logger.info(`Replaying ${request.method} ${request.path} for ${req.user.telegramId} (key ${key})`);
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+};
+
+/**
+ * Honours an optional Idempotency-Key header on reward claims. The first
+ * response for a key and user is stored and replayed for later requests with
+ * the same key. Server errors and requests that fail without a response
+ * store nothing, so they can be retried with the same key. Must run after auth.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key || key.length > config.idempotency.maxKeyLength) {
+    return res.status(400).json({ message: 'Invalid Idempotency-Key header' });
+  }
+
+  const request = { method: req.method, path: req.originalUrl.split('?')[0] };
+
+  try {
+    await IdempotencyRecord.create({ user: req.user._id, key, ...request });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return replayStored(req, res, key, request).catch((replayError) => {
+        logger.error(`Idempotency replay error: ${replayError.message}`);
+        res.status(500).json({ message: 'Server error', error: replayError.message });
+      });
+    }
+    logger.error(`Idempotency error: ${error.message}`);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+
+  const filter = { user: req.user._id, key };
+  let answered = false;
+
+  // A request that ends without going through res.json (a thrown error
+  // answered by Express, or a dropped connection) releases its key, so a
+  // retry is not refused as in progress until the record expires
+  res.on('close', () => {
+    if (answered) return;
+    IdempotencyRecord.deleteOne({ ...filter, state: 'pending' })
+      .exec()
+      .catch((error) => logger.error(`Failed to release Idempotency-Key: ${error.message}`));
+  });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    answered = true;
+    // Server errors are not stored so the client can retry with the same key
+    const save =
+      res.statusCode >= 500
+        ? IdempotencyRecord.deleteOne(filter)
+        : IdempotencyRecord.updateOne(filter, {
+            $set: {
+              state: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: body,
+              completedAt: new Date(),
+            },
+          });
+
+    save
+      .exec()
+      .catch((error) => logger.error(`Failed to store idempotent response: ${error.message}`))
+      .finally(() => json(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const activeBoostSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['xp_multiplier', 'tap_speed', 'compute_power'],
+    required: true
+  },
+  tier: { type: Number, min: 1, max: 3, required: true },
+  value: { type: Number, required: true },
+  durationMinutes: { type: Number, enum: [5, 15, 30], required: true },
+  startedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+// Active boosts for a user are looked up on every tap
+activeBoostSchema.index({ user: 1, expiresAt: -1 });
+
+module.exports = mongoose.model('ActiveBoost', activeBoostSchema);
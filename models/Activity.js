@@ -5,7 +5,7 @@ const activitySchema = new mongoose.Schema({
   type: { 
     type: String, 
     required: true, 
-    enum: ['tap', 'quest_complete', 'referral', 'gpu_upgrade', 'boost_used', 'achievement_unlocked', 'daily_claim'],
+    enum: ['tap', 'quest_complete', 'referral', 'referral_reward', 'gpu_upgrade', 'rig_change', 'boost_used', 'achievement_unlocked', 'daily_claim', 'level_up', 'passive_income', 'risk_flag', 'risk_review', 'purchase', 'purchase_refund', 'streak_repair'],
     index: true
   },
   timestamp: { type: Date, default: Date.now, index: true },
@@ -14,5 +14,7 @@ const activitySchema = new mongoose.Schema({
 
 // Compound index for querying user activities efficiently
 activitySchema.index({ user: 1, type: 1, timestamp: -1 });
+// Lets the anti-cheat detector find accounts sharing a tap pattern
+activitySchema.index({ 'details.fingerprint': 1, timestamp: -1 }, { sparse: true });
 
 module.exports = mongoose.model('Activity', activitySchema);
\ No newline at end of file
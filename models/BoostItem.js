@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const boostItemSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['xp_multiplier', 'tap_speed', 'compute_power'],
+    required: true
+  },
+  tier: { type: Number, min: 1, max: 3, required: true },
+  durationMinutes: { type: Number, enum: [5, 15, 30], required: true },
+  source: {
+    type: String,
+    enum: ['quest', 'achievement', 'team_grant', 'bot', 'level_up', 'purchase', 'legacy_charge'],
+    required: true
+  },
+  sourceId: { type: String },
+  grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  grantedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date },
+  usedAt: { type: Date, default: null },
+});
+
+// Unused items per user, oldest expiry first
+boostItemSchema.index({ user: 1, usedAt: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('BoostItem', boostItemSchema);
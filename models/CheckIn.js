@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const checkInSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Local calendar day of the check-in, YYYY-MM-DD
+  day: { type: String, required: true },
+  streak: { type: Number, required: true },
+  cycleDay: { type: Number, required: true },
+  xp: { type: Number, required: true },
+  bonusXp: { type: Number, default: 0 },
+  // Streak freezes spent to bridge missed days before this check-in
+  freezesUsed: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One check-in per user and day
+checkInSchema.index({ user: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
@@ -1,15 +1,23 @@
 const mongoose = require('mongoose');
 
+// One GPU card owned by a user; equipped cards make up the rig
 const gpuSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  model: { type: String, required: true },
   level: { type: Number, default: 1 },
   computePower: { type: Number, default: 1 },
-  totalTaps: { type: Number, default: 0 },
-  lastTapTime: { type: Date },
-  cooldownEndTime: { type: Date },
+  equipped: { type: Boolean, default: false },
+  slot: { type: Number, default: null },
+  source: { type: String, enum: ['starter', 'shop'], default: 'shop' },
+  acquiredAt: { type: Date, default: Date.now },
 });
 
-gpuSchema.index({ user: 1 });
+gpuSchema.index({ user: 1, equipped: 1 });
 gpuSchema.index({ computePower: -1 }); // For leaderboard queries
+// One starter card per user, however many requests race to create it
+gpuSchema.index(
+  { user: 1, source: 1 },
+  { unique: true, partialFilterExpression: { source: 'starter' } }
+);
 
-module.exports = mongoose.model('GPU', gpuSchema);
\ No newline at end of file
+module.exports = mongoose.model('GPU', gpuSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  key: { type: String, required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  state: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+});
+
+// One stored response per key and user
+idempotencyRecordSchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.idempotency.ttlHours * 60 * 60 }
+);
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
@@ -8,7 +8,10 @@ const leaderboardSchema = new mongoose.Schema({
   entries: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     username: String,
-    score: Number
+    score: Number,
+    // Set false when a closed period is stored and true once the placement
+    // is paid, so an interrupted payout can pick up where it stopped
+    paid: Boolean
   }]
 });
 
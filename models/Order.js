@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  // Sent to Telegram as the invoice payload and echoed back on payment
+  orderId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  telegramId: { type: String, required: true },
+  item: { type: String, required: true },
+  title: { type: String, required: true },
+  currency: { type: String, default: 'XTR' },
+  stars: { type: Number, required: true, min: 1 },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'fulfilled', 'refunding', 'refunded'],
+    default: 'pending',
+    index: true,
+  },
+  telegramPaymentChargeId: { type: String },
+  fulfilment: {
+    boostItems: [{ type: mongoose.Schema.Types.ObjectId, ref: 'BoostItem' }],
+    compute: { type: Number },
+    gpu: { type: mongoose.Schema.Types.ObjectId, ref: 'GPU' },
+    cosmetics: [{ type: String }],
+    streakFreezes: { type: Number },
+  },
+  refund: {
+    reason: { type: String },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revoked: { type: mongoose.Schema.Types.Mixed },
+  },
+  createdAt: { type: Date, default: Date.now },
+  paidAt: { type: Date },
+  fulfilledAt: { type: Date },
+  refundedAt: { type: Date },
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ item: 1, status: 1 });
+// A Telegram payment can only ever settle one order
+orderSchema.index(
+  { telegramPaymentChargeId: 1 },
+  { unique: true, partialFilterExpression: { telegramPaymentChargeId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -3,7 +3,17 @@ const mongoose = require('mongoose');
 const questSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String, required: true },
-  xpReward: { type: Number, required: true },
+  xpReward: { type: Number, default: 0, min: 0 },
+  boostRewards: [{
+    type: { type: String, enum: ['xp_multiplier', 'tap_speed', 'compute_power'], required: true },
+    tier: { type: Number, min: 1, max: 3, required: true },
+    durationMinutes: { type: Number, enum: [5, 15, 30], required: true },
+    quantity: { type: Number, min: 1, default: 1 },
+    expiresInHours: { type: Number, min: 1 },
+    _id: false,
+  }],
+  // Ids from utils/cosmeticsCatalog.js
+  cosmeticRewards: [{ type: String }],
   type: { 
     type: String, 
     enum: ['daily', 'weekly', 'twitter', 'telegram', 'discord', 'referral', 'achievement', 'level', 'leaderboard'], 
@@ -24,7 +34,43 @@ const questSchema = new mongoose.Schema({
     required: function() { return ['twitter', 'telegram', 'discord'].includes(this.type); }
   },
   requirement: { type: Number, default: 1 },
+  // Achievement quests: ids that must all be unlocked; without them
+  // requirement is the number of achievements
+  achievementIds: [{ type: String }],
+  // Each level adds this much to a user's requirement, up to maxRequirement
+  requirementPerLevel: { type: Number, default: 0, min: 0 },
+  maxRequirement: { type: Number, min: 1 },
+  // Set on quests generated from utils/questTemplatesCatalog.js; rotation is
+  // the first day of the week they run
+  template: { type: String },
+  rotation: { type: String, index: true },
+  // Locked until every prerequisite quest is claimed and minLevel is reached
+  prerequisites: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Quest' }],
+  minLevel: { type: Number, default: 0, min: 0 },
+  chain: { type: mongoose.Schema.Types.ObjectId, ref: 'QuestChain', index: true },
+  chainStep: { type: Number, min: 1 },
+  // Hidden before startsAt; once claimCap users have claimed it only they see it.
+  // Only one-off quests take a cap (routes/questRoutes.js)
+  startsAt: { type: Date },
   expiresAt: { type: Date, required: true },
+  claimCap: { type: Number, min: 1 },
+  claimCount: { type: Number, default: 0 },
+  // Only users matching every rule that is set see the quest (utils/questAudience.js)
+  audience: {
+    languages: [{ type: String }],
+    minLevel: { type: Number, min: 0 },
+    maxLevel: { type: Number, min: 0 },
+    signedUpAfter: { type: Date },
+    signedUpBefore: { type: Date },
+    referred: { type: Boolean },
+    isPremium: { type: Boolean },
+  },
 });
 
+// A template appears at most once per rotation
+questSchema.index(
+  { rotation: 1, template: 1 },
+  { unique: true, partialFilterExpression: { rotation: { $exists: true } } }
+);
+
 module.exports = mongoose.model('Quest', questSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A story-style series of quests; claiming every quest in it pays the bonus
+const questChainSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: { type: String, required: true },
+  bonus: {
+    xpReward: { type: Number, default: 0, min: 0 },
+    boostRewards: [{
+      type: { type: String, enum: ['xp_multiplier', 'tap_speed', 'compute_power'], required: true },
+      tier: { type: Number, min: 1, max: 3, required: true },
+      durationMinutes: { type: Number, enum: [5, 15, 30], required: true },
+      quantity: { type: Number, min: 1, default: 1 },
+      expiresInHours: { type: Number, min: 1 },
+      _id: false,
+    }],
+    // Ids from utils/cosmeticsCatalog.js
+    cosmeticRewards: [{ type: String }],
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('QuestChain', questChainSchema);
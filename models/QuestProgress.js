@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A user's run at a daily or weekly quest within one of their local periods
+const questProgressSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  quest: { type: mongoose.Schema.Types.ObjectId, ref: 'Quest', required: true },
+  // Local day of the period start, YYYY-MM-DD
+  period: { type: String, required: true },
+  progress: { type: Number, default: 0 },
+  target: { type: Number, required: true },
+  completedAt: { type: Date, default: null },
+  claimedAt: { type: Date, default: null },
+  // Removed once the period is over and the retention window has passed
+  expiresAt: { type: Date, required: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// One instance per user, quest and period
+questProgressSchema.index({ user: 1, quest: 1, period: 1 }, { unique: true });
+questProgressSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QuestProgress', questProgressSchema);
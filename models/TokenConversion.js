@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const tokenConversionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  xpSpent: { type: Number, required: true, min: 1 },
+  tokens: { type: Number, required: true, min: 1 },
+  xpPerToken: { type: Number, required: true },
+  season: { type: String, required: true },
+  // UTC day the conversion counts against for the daily cap
+  day: { type: String, required: true },
+  balanceAfter: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+tokenConversionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TokenConversion', tokenConversionSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// The first Telegram user to link an X account keeps it for good, so the
+// same account cannot be unlinked and relinked elsewhere to claim its
+// follow, retweet and like rewards again
+const twitterAccountBindingSchema = new mongoose.Schema({
+  xUserId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  boundAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('TwitterAccountBinding', twitterAccountBindingSchema);
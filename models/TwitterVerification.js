@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Cached outcome of checking one X account against one follow, retweet or like
+const twitterVerificationSchema = new mongoose.Schema({
+  xUserId: { type: String, required: true },
+  action: { type: String, required: true },
+  targetId: { type: String, required: true },
+  verified: { type: Boolean, required: true },
+  checkedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+twitterVerificationSchema.index({ xUserId: 1, action: 1, targetId: 1 }, { unique: true });
+twitterVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TwitterVerification', twitterVerificationSchema);
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const config = require("../config");
+const { getEnergyStatus, formatEnergyStatus } = require("../utils/energy");
+const { checkGpuPurchase, getNextGpuTier } = require("../utils/gpuCatalog");
 
 const userSchema = new mongoose.Schema(
   {
@@ -10,7 +12,9 @@ const userSchema = new mongoose.Schema(
     lastName: { type: String },
     languageCode: { type: String },
     photoUrl: { type: String },
+    isPremium: { type: Boolean, default: false },
     xp: { type: Number, default: 0, index: true },
+    xpLedgerOpened: { type: Boolean, default: false },
     compute: { type: Number, default: 0, index: true },
     computePower: { type: Number, default: 1, index: true },
     level: { type: Number, default: 0 },
@@ -18,7 +22,11 @@ const userSchema = new mongoose.Schema(
     totalTaps: { type: Number, default: 0 },
     lastTapTime: { type: Date, index: true },
     cooldownEndTime: { type: Date, index: true },
-    boostCount: { type: Number, default: 0 },
+    energy: { type: Number, default: null },
+    energyUpdatedAt: { type: Date },
+    lastPassiveCollectAt: { type: Date },
+    lastTapSeq: { type: Number, default: 0 },
+    lastTapBatchEnd: { type: Date },
     lastBoostTime: { type: Date },
     referredBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -37,17 +45,26 @@ const userSchema = new mongoose.Schema(
         dateCompleted: Date,
       },
     ],
-    dailyQuests: [
-      {
-        id: String,
-        completed: Boolean,
-        progress: Number,
-        dateCompleted: Date,
-      },
-    ],
     lastDailyClaimDate: { type: Date },
+    // Local calendar day (YYYY-MM-DD) of the last check-in, or the last day a
+    // repair carried the streak through; loginStreak is the current run of
+    // consecutive days and checkInStreak the longest one
+    lastCheckInDay: { type: String },
     checkInStreak: { type: Number, default: 0 },
+    streakFreezes: { type: Number, default: 0, min: 0 },
+    // The streak lost at the last reset, kept while it can still be repaired
+    brokenStreak: {
+      streak: { type: Number },
+      lastDay: { type: String },
+      day: { type: String },
+    },
+    // Minutes east of UTC reported by the mini-app; daily resets happen at
+    // the user's local midnight
+    utcOffsetMinutes: { type: Number, default: 0, min: -720, max: 840 },
+    utcOffsetUpdatedAt: { type: Date },
     completedQuests: [{ type: mongoose.Schema.Types.ObjectId, ref: "Quest" }],
+    // Quest chains whose completion bonus was paid
+    completedChains: [{ type: mongoose.Schema.Types.ObjectId, ref: "QuestChain" }],
     notifications: { type: Boolean, default: true },
     language: { type: String, default: "en" },
     theme: { type: String, default: "dark" },
@@ -55,6 +72,51 @@ const userSchema = new mongoose.Schema(
     vibrationEnabled: { type: Boolean, default: true },
     isTeamMember: { type: Boolean, default: false },
 
+    // NLOV tokens; xpConverted is the XP already turned into tokens
+    nlovBalance: { type: Number, default: 0, min: 0 },
+    xpConverted: { type: Number, default: 0 },
+    tokenConversionDay: { type: String },
+    tokensConvertedToday: { type: Number, default: 0 },
+
+    // Cosmetic ids per slot; unset slots show the default item
+    equippedCosmetics: {
+      rig_skin: { type: String },
+      avatar_frame: { type: String },
+      tap_effect: { type: String },
+    },
+
+    // Id from utils/titlesCatalog.js shown next to the username
+    activeTitle: { type: String },
+
+    // TON wallet linked through ton_proof; an address belongs to one user
+    tonWallet: {
+      address: { type: String },
+      publicKey: { type: String },
+      linkedAt: { type: Date },
+    },
+    tonProofNonce: { type: String },
+    tonProofNonceExpiresAt: { type: Date },
+
+    // X account linked through OAuth 2.0; twitterOAuth holds a pending login
+    twitter: {
+      id: { type: String },
+      username: { type: String },
+      linkedAt: { type: Date },
+    },
+    twitterOAuth: {
+      state: { type: String, index: true },
+      codeVerifier: { type: String },
+      expiresAt: { type: Date },
+    },
+
+    // anti-cheat review state
+    riskScore: { type: Number, default: 0 },
+    isFlagged: { type: Boolean, default: false, index: true },
+    flagReasons: [{ type: String }],
+    flaggedAt: { type: Date },
+    flagReviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    flagReviewedAt: { type: Date },
+
     // achievement tracking
     twitterConnected: { type: Boolean, default: false },
     telegramConnected: { type: Boolean, default: true }, // Assumed true since they're using Telegram
@@ -79,40 +141,44 @@ const userSchema = new mongoose.Schema(
 
 // Add compound index for efficient querying
 userSchema.index({ telegramId: 1, lastTapTime: -1 });
+userSchema.index(
+  { "tonWallet.address": 1 },
+  { unique: true, partialFilterExpression: { "tonWallet.address": { $type: "string" } } }
+);
+userSchema.index(
+  { "twitter.id": 1 },
+  { unique: true, partialFilterExpression: { "twitter.id": { $type: "string" } } }
+);
 
-// Optimize the tap method
+// Single tap spending energy; batches go through the tap controller instead
 userSchema.methods.tap = async function () {
   const now = new Date();
-  if (this.cooldownEndTime && now < this.cooldownEndTime) {
-    return { success: false, message: "Cooling down" };
+  const status = getEnergyStatus(this, now.getTime());
+  if (status.exactEnergy < config.energy.costPerTap) {
+    return { success: false, message: "Out of energy", ...formatEnergyStatus(status) };
   }
 
   this.totalTaps += 1;
   const xpGained = this.computePower;
-  this.xp += xpGained;
   this.compute += xpGained;
   this.lastTapTime = now;
-
-  if (this.totalTaps % 500 === 0) {
-    this.cooldownEndTime = new Date(now.getTime() + 10 * 1000);
-  }
+  this.energy = status.exactEnergy - config.energy.costPerTap;
+  this.energyUpdatedAt = now;
 
   await this.save();
+  // Required lazily: the XP ledger depends on this model
+  const { user } = await require("../utils/xpLedger").recordXp(this._id, xpGained, {
+    reason: "tap",
+    source: { kind: "tap" },
+    idempotencyKey: `tap:single:${this.totalTaps}`,
+  });
+  this.xp = user.xp;
 
   return { success: true, xpGained, newTotalXp: this.xp };
 };
 
-userSchema.methods.canClaimDailyXP = function () {
-  if (!this.lastDailyClaimDate) {
-    return true;
-  }
-  const now = new Date();
-  const lastClaim = new Date(this.lastDailyClaimDate);
-  return (
-    now.getDate() !== lastClaim.getDate() ||
-    now.getMonth() !== lastClaim.getMonth() ||
-    now.getFullYear() !== lastClaim.getFullYear()
-  );
+userSchema.methods.getEnergyStatus = function (now = Date.now()) {
+  return formatEnergyStatus(getEnergyStatus(this, now));
 };
 
 userSchema.methods.generateAuthToken = function () {
@@ -129,31 +195,7 @@ userSchema.methods.toJSON = function () {
 };
 
 userSchema.methods.shouldUpgradeGPU = function () {
-  return this.xp >= this.gpuLevel * 25000;
-};
-
-userSchema.methods.upgradeGPU = function () {
-  if (this.shouldUpgradeGPU()) {
-    this.gpuLevel += 1;
-    this.computePower += 1;
-    return true;
-  }
-  return false;
-};
-
-// update login streak
-userSchema.methods.updateLoginStreak = function () {
-  const now = new Date();
-  const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-  if (this.lastDailyClaimDate && this.lastDailyClaimDate >= yesterday) {
-    this.loginStreak += 1;
-  } else {
-    this.loginStreak = 1;
-  }
-
-  this.lastDailyClaimDate = now;
-  this.checkInStreak = Math.max(this.checkInStreak, this.loginStreak);
+  return checkGpuPurchase(this, getNextGpuTier(this)).ok;
 };
 
 // update leaderboard rank
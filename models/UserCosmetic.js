@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const userCosmeticSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  cosmetic: { type: String, required: true },
+  source: {
+    type: String,
+    enum: ['achievement', 'leaderboard', 'quest', 'purchase'],
+    required: true
+  },
+  sourceId: { type: String },
+  acquiredAt: { type: Date, default: Date.now },
+});
+
+// Owning an item twice means nothing, so grants are idempotent
+userCosmeticSchema.index({ user: 1, cosmetic: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserCosmetic', userCosmeticSchema);
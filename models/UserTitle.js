@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const userTitleSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true },
+  source: { type: String, enum: ['achievement', 'leaderboard'], required: true },
+  // Achievement id, or leaderboard type and period start for placements
+  sourceId: { type: String },
+  firstEarnedAt: { type: Date, default: Date.now },
+  lastEarnedAt: { type: Date, default: Date.now },
+  timesEarned: { type: Number },
+});
+
+userTitleSchema.index({ user: 1, title: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserTitle', userTitleSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A referral payout held back because the earner or the referrer was
+// flagged. Released by the moderation review that clears the flag, under the
+// idempotency key the payout would have used.
+const withheldReferralRewardSchema = new mongoose.Schema({
+  referral: { type: mongoose.Schema.Types.ObjectId, ref: 'Referral', required: true },
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  referred: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tier: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  idempotencyKey: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('WithheldReferralReward', withheldReferralRewardSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const xpLedgerSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true },
+  balanceAfter: { type: Number },
+  reason: {
+    type: String,
+    enum: ['opening_balance', 'tap', 'daily_claim', 'quest', 'achievement', 'referral', 'adjustment'],
+    required: true
+  },
+  source: {
+    kind: { type: String },
+    id: { type: String },
+  },
+  idempotencyKey: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One entry per key and user, so retried grants are recorded once
+xpLedgerSchema.index({ user: 1, idempotencyKey: 1 }, { unique: true });
+xpLedgerSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('XpLedger', xpLedgerSchema);
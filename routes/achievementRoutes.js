@@ -2,18 +2,25 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const logger = require('../utils/logger');
+const { grantBoostRewards, formatBoostItem } = require('../utils/boostInventory');
+const { getLevelProgress, announceLevelUps } = require('../utils/levelProgression');
+const { recordXp } = require('../utils/xpLedger');
+const { grantCosmetics } = require('../utils/cosmetics');
+const { grantTitle, formatTitle } = require('../utils/titles');
+const { getCheckInState } = require('../utils/checkInCalendar');
 
 const achievements = [
-  { id: 'noviceMiner', name: 'Novice Miner', description: "You've taken your first steps into the world of GPU mining", xpReward: 100, requirement: 1, type: 'tap' },
-  { id: 'socialButterfly', name: 'Social Butterfly', description: "Connected on all social platforms. You're officially part of the community", xpReward: 500, requirement: 3, type: 'social' },
-  { id: 'tapMaster', name: 'Tap Master', description: "Your fingers are on fire! 1 million taps and counting.", xpReward: 10000, requirement: 1000000, type: 'tap' },
-  { id: 'referralGuru', name: 'Referral Guru', description: "Your network is your net worth. 100 referrals reached!", xpReward: 5000, requirement: 100, type: 'referral' },
-  { id: 'powerSurge', name: 'Power Surge', description: "Reached Computing Power Level 10. Your rig is unstoppable!", xpReward: 2000, requirement: 10, type: 'level' },
-  { id: 'consistentMiner', name: 'Consistent Miner', description: "30-day login streak. Your dedication is admirable!", xpReward: 3000, requirement: 30, type: 'login' },
-  { id: 'rigCustomizer', name: 'Rig Customizer', description: "Created a truly unique mining setup. It's a work of art!", xpReward: 1000, requirement: 1, type: 'customization' },
+  { id: 'noviceMiner', name: 'Novice Miner', description: "You've taken your first steps into the world of GPU mining", xpReward: 100, requirement: 1, type: 'tap', titleReward: 'novice-miner', boostRewards: [{ type: 'tap_speed', tier: 1, durationMinutes: 5 }] },
+  { id: 'socialButterfly', name: 'Social Butterfly', description: "Connected on all social platforms. You're officially part of the community", xpReward: 500, requirement: 3, type: 'social', cosmeticRewards: ['frame-circuit'] },
+  { id: 'tapMaster', name: 'Tap Master', description: "Your fingers are on fire! 1 million taps and counting.", xpReward: 10000, requirement: 1000000, type: 'tap', titleReward: 'tap-master', cosmeticRewards: ['tap-supernova'] },
+  { id: 'referralGuru', name: 'Referral Guru', description: "Your network is your net worth. 100 referrals reached!", xpReward: 5000, requirement: 100, type: 'referral', titleReward: 'networker' },
+  { id: 'powerSurge', name: 'Power Surge', description: "Reached Computing Power Level 10. Your rig is unstoppable!", xpReward: 2000, requirement: 10, type: 'level', titleReward: 'powerhouse', boostRewards: [{ type: 'compute_power', tier: 2, durationMinutes: 15 }] },
+  { id: 'consistentMiner', name: 'Consistent Miner', description: "30-day login streak. Your dedication is admirable!", xpReward: 3000, requirement: 30, type: 'login', titleReward: 'devoted', boostRewards: [{ type: 'xp_multiplier', tier: 2, durationMinutes: 15 }], cosmeticRewards: ['frame-streak'] },
+  { id: 'rigCustomizer', name: 'Rig Customizer', description: "Created a truly unique mining setup. It's a work of art!", xpReward: 1000, requirement: 1, type: 'customization', cosmeticRewards: ['rig-artisan'] },
   { id: 'cryptoPioneer', name: 'Crypto Pioneer', description: "Successfully mined your first full coin. To the moon!", xpReward: 5000, requirement: 1, type: 'mining' },
-  { id: 'legendaryTapper', name: 'Legendary Tapper', description: "Reached the #1 spot on the global leaderboard. You're a legend!", xpReward: 20000, requirement: 1, type: 'leaderboard' },
+  { id: 'legendaryTapper', name: 'Legendary Tapper', description: "Reached the #1 spot on the global leaderboard. You're a legend!", xpReward: 20000, requirement: 1, type: 'leaderboard', titleReward: 'legend', boostRewards: [{ type: 'xp_multiplier', tier: 3, durationMinutes: 30 }], cosmeticRewards: ['frame-champion'] },
 ];
 
 router.get('/', auth, async (req, res) => {
@@ -35,7 +42,7 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-router.post('/claim/:achievementId', auth, async (req, res) => {
+router.post('/claim/:achievementId', auth, idempotency, async (req, res) => {
   try {
     const { achievementId } = req.params;
     const user = await User.findOne({ telegramId: req.user.telegramId });
@@ -54,17 +61,72 @@ router.post('/claim/:achievementId', auth, async (req, res) => {
       return res.status(400).json({ message: 'Achievement requirements not met' });
     }
 
-    if (!userAchievement) {
-      user.achievements.push({ id: achievementId, completed: true });
-    } else {
-      userAchievement.completed = true;
+    // Each update only matches an unclaimed achievement, so concurrent
+    // duplicates cannot both succeed
+    const session = await User.startSession();
+    let claim;
+    try {
+      await session.withTransaction(async () => {
+        claim = null;
+        const claimed =
+          (await User.findOneAndUpdate(
+            { _id: user._id, 'achievements.id': { $ne: achievementId } },
+            { $push: { achievements: { id: achievementId, completed: true } } },
+            { new: true, session }
+          )) ||
+          (await User.findOneAndUpdate(
+            { _id: user._id, achievements: { $elemMatch: { id: achievementId, completed: { $ne: true } } } },
+            { $set: { 'achievements.$.completed': true } },
+            { new: true, session }
+          ));
+        if (!claimed) return;
+
+        const grant = await recordXp(user._id, achievement.xpReward, {
+          reason: 'achievement',
+          source: { kind: 'achievement', id: achievementId },
+          idempotencyKey: `achievement:${achievementId}`,
+          session,
+        });
+        const boostItems = await grantBoostRewards(user._id, achievement.boostRewards, {
+          source: 'achievement',
+          sourceId: achievementId,
+          session,
+        });
+        const cosmetics = await grantCosmetics(user._id, achievement.cosmeticRewards, {
+          source: 'achievement',
+          sourceId: achievementId,
+          session,
+        });
+        const title = await grantTitle(user._id, achievement.titleReward, {
+          source: 'achievement',
+          sourceId: achievementId,
+          session,
+        });
+        claim = { grant, boostItems, cosmetics, title };
+      });
+    } finally {
+      session.endSession();
+    }
+    if (!claim) {
+      return res.status(400).json({ message: 'Achievement already claimed' });
     }
 
-    user.xp += achievement.xpReward;
-    await user.save();
+    const { grant, boostItems, cosmetics, title } = claim;
+    announceLevelUps(grant);
+    const { levelUps } = grant;
+    user.xp = grant.user.xp;
+    user.level = grant.user.level;
 
     logger.info(`Achievement claimed: ${achievementId} for user ${user.telegramId}`);
-    res.json({ message: 'Achievement claimed', xp: user.xp });
+    res.json({
+      message: 'Achievement claimed',
+      xp: user.xp,
+      ...getLevelProgress(user),
+      levelUps,
+      boostItems: boostItems.map(formatBoostItem),
+      cosmetics,
+      title: formatTitle(title)
+    });
   } catch (error) {
     logger.error(`Error claiming achievement: ${error.message}`);
     res.status(500).json({ message: error.message });
@@ -82,7 +144,7 @@ function getAchievementProgress(user, achievement) {
     case 'level':
       return user.level || 0;
     case 'login':
-      return user.loginStreak || 0;
+      return getCheckInState(user).currentStreak;
     case 'customization':
       return user.hasCustomizedRig ? 1 : 0;
     case 'mining':
@@ -7,6 +7,8 @@ const profileDashboardRoutes = require('./profileDashboardRoutes');
 const referralRoutes = require('./referralRoutes');
 const settingsRoutes = require('./settingsRoutes');
 const achievementRoutes = require('./achievementRoutes');
+const moderationRoutes = require('./moderationRoutes');
+const storeRoutes = require('./storeRoutes');
 
 router.use('/users', userRoutes);
 router.use('/quests', questRoutes);
@@ -15,5 +17,7 @@ router.use('/leaderboard', leaderboardRoutes);
 router.use('/profile-dashboard', profileDashboardRoutes);
 router.use('/referral', referralRoutes);
 router.use('/settings', settingsRoutes);
+router.use('/moderation', moderationRoutes);
+router.use('/store', storeRoutes);
 
 module.exports = router;
\ No newline at end of file
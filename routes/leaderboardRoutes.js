@@ -3,6 +3,20 @@ const router = express.Router();
 const User = require("../models/User");
 const auth = require("../middleware/auth");
 const { param } = require("express-validator");
+const { getActiveBoosts, getEffectiveModifiers } = require("../utils/boostEngine");
+const { formatEquipped } = require("../utils/cosmetics");
+const { formatTitle } = require("../utils/titles");
+const { getStandingsQuery, getPeriodStart } = require("../utils/leaderboardStandings");
+const { dayStartExpression, getNextDailyReset } = require("../utils/userDay");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the user's standing on a board next resets; all-time never does
+const getNextResetAt = (type, user, now = new Date()) => {
+  if (type === "daily") return getNextDailyReset(user, now);
+  if (type === "weekly") return new Date(getPeriodStart("weekly", now).getTime() + 7 * DAY_MS);
+  return null;
+};
 
 router.get(
   "/:type",
@@ -10,40 +24,30 @@ router.get(
   async (req, res) => {
     try {
       const { type } = req.params;
-      console.log("type", type);
-      let query = { username: { $exists: true, $ne: "" } }; // Ensure username exists and is not empty
-      let sort = {};
-
-      switch (type) {
-        case "daily":
-          query.lastTapTime = {
-            $gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
-          };
-          query.compute = { $gt: 0 }; // Ensure compute is greater than 0
-          // sort = { compute: -1 };
-          sort = { xp: -1 };
-          break;
-        case "weekly":
-          query.lastTapTime = {
-            $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-          };
-          query.compute = { $gt: 0 }; // Ensure compute is greater than 0
-          // sort = { compute: -1 };
-          sort = { xp: -1 };
-          break;
-        case "all-time":
-          query.computePower = { $gt: 0 }; // Ensure computePower is greater than 0
-          // sort = { computePower: -1, compute: -1 };
-          sort = { xp: -1 };
-          break;
-      }
+      const { query, sort } = getStandingsQuery(type);
 
       const leaderboard = await User.find(query)
         .sort(sort)
         .limit(100)
-        .select("username computePower compute xp");
+        .select("telegramId username computePower compute xp equippedCosmetics activeTitle")
+        .lean();
+
+      // Attach each row's current boost effects
+      const activeBoosts = await getActiveBoosts(leaderboard.map((u) => u._id));
+      const rows = leaderboard.map(({ equippedCosmetics, activeTitle, ...entry }) => {
+        const boosts = activeBoosts.filter((b) => b.user.equals(entry._id));
+        const modifiers = getEffectiveModifiers(boosts);
+        return {
+          ...entry,
+          effectiveComputePower: entry.computePower + modifiers.computePowerBonus,
+          xpMultiplier: modifiers.xpMultiplier,
+          boosted: boosts.length > 0,
+          cosmetics: formatEquipped({ equippedCosmetics }),
+          title: formatTitle(activeTitle),
+        };
+      });
 
-      res.json(leaderboard);
+      res.json(rows);
     } catch (error) {
       res.status(500).json({ message: "Server error", error: error.message });
     }
@@ -64,7 +68,7 @@ router.get(
       switch (type) {
         case "daily":
           query = {
-            lastTapTime: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+            $expr: { $gte: ["$lastTapTime", dayStartExpression()] },
             compute: { $gt: user.compute },
           };
           break;
@@ -89,10 +93,11 @@ router.get(
           break;
       }
 
+      query.isFlagged = { $ne: true };
       const position = (await User.countDocuments(query)) + 1;
-      const totalUsers = await User.countDocuments();
+      const totalUsers = await User.countDocuments({ isFlagged: { $ne: true } });
 
-      res.json({ position, totalUsers });
+      res.json({ position, totalUsers, nextResetAt: getNextResetAt(type, user) });
     } catch (error) {
       res.status(500).json({ message: "Server error", error: error.message });
     }
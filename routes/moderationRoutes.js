@@ -0,0 +1,147 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const Activity = require("../models/Activity");
+const isTeamMember = require("../middleware/isTeamMember");
+const { body, param, validationResult } = require("express-validator");
+const logger = require("../utils/logger");
+const { getCadenceStats } = require("../utils/tapAnomaly");
+const { releaseWithheldReferralRewards } = require("../controllers/referralController");
+const config = require("../config");
+
+// List flagged users awaiting review (team members only)
+router.get("/flagged", [isTeamMember], async (req, res) => {
+  try {
+    const flagged = await User.find({ isFlagged: true })
+      .sort({ riskScore: -1, flaggedAt: 1 })
+      .limit(100)
+      .select("telegramId username xp totalTaps riskScore flagReasons flaggedAt");
+
+    res.json(flagged);
+  } catch (error) {
+    logger.error("Error fetching flagged users:", error);
+    res
+      .status(500)
+      .json({ message: "Error fetching flagged users", error: error.message });
+  }
+});
+
+// Tap cadence evidence for a single user (team members only)
+router.get(
+  "/users/:telegramId",
+  [isTeamMember, param("telegramId").notEmpty()],
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ telegramId: req.params.telegramId });
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      const [taps, history] = await Promise.all([
+        Activity.find({ user: user._id, type: "tap" })
+          .sort({ timestamp: -1 })
+          .limit(config.antiCheat.windowSize)
+          .lean(),
+        Activity.find({
+          user: user._id,
+          type: { $in: ["risk_flag", "risk_review"] },
+        })
+          .sort({ timestamp: -1 })
+          .limit(20)
+          .lean(),
+      ]);
+
+      res.json({
+        telegramId: user.telegramId,
+        username: user.username,
+        riskScore: user.riskScore,
+        isFlagged: user.isFlagged,
+        flagReasons: user.flagReasons,
+        flaggedAt: user.flaggedAt,
+        flagReviewedAt: user.flagReviewedAt,
+        cadence: getCadenceStats(taps.reverse().map((a) => a.details)),
+        recentBatches: taps.map((a) => a.details),
+        history,
+      });
+    } catch (error) {
+      logger.error("Error fetching user risk details:", error);
+      res
+        .status(500)
+        .json({ message: "Error fetching user risk details", error: error.message });
+    }
+  }
+);
+
+// Resolve a review: clear the flag or keep the user flagged (team members only)
+router.post(
+  "/users/:telegramId/review",
+  [
+    isTeamMember,
+    param("telegramId").notEmpty(),
+    body("decision").isIn(["clear", "flag"]),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { decision, note } = req.body;
+      const now = new Date();
+      const update =
+        decision === "clear"
+          ? { isFlagged: false, riskScore: 0, flagReasons: [] }
+          : { isFlagged: true, flaggedAt: now, flagReasons: ["manual_review"] };
+
+      const user = await User.findOneAndUpdate(
+        { telegramId: req.params.telegramId },
+        {
+          $set: {
+            ...update,
+            flagReviewedBy: req.user._id,
+            flagReviewedAt: now,
+          },
+        },
+        { new: true }
+      );
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      await new Activity({
+        user: user._id,
+        type: "risk_review",
+        details: { decision, note, reviewer: req.user.telegramId },
+      }).save();
+
+      logger.info(
+        `User ${user.telegramId} review by ${req.user.telegramId}: ${decision}`
+      );
+
+      // Referral payouts held back while the user was flagged are paid now;
+      // a failure leaves them withheld and does not undo the review
+      let releasedReferralRewards = 0;
+      if (decision === "clear") {
+        try {
+          releasedReferralRewards = await releaseWithheldReferralRewards(user._id);
+        } catch (error) {
+          logger.error(
+            `Error releasing referral rewards for ${user.telegramId}: ${error.message}`
+          );
+        }
+      }
+
+      res.json({
+        message: "Review recorded",
+        telegramId: user.telegramId,
+        isFlagged: user.isFlagged,
+        releasedReferralRewards,
+      });
+    } catch (error) {
+      logger.error("Error recording review:", error);
+      res
+        .status(500)
+        .json({ message: "Error recording review", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
-const Quest = require("../models/Quest");
 const auth = require("../middleware/auth");
 const { body, validationResult } = require("express-validator");
+const config = require("../config");
+const { getVisibleQuests } = require("../utils/questProgress");
+const { formatDayBoundary } = require("../utils/userDay");
 
 router.get("/", auth, async (req, res) => {
   try {
@@ -11,16 +13,14 @@ router.get("/", auth, async (req, res) => {
       .populate("referredBy", "username")
       .populate("referrals", "username");
 
-    // const activeQuests = await Quest.find({ expiresAt: { $gt: new Date() } });
-    const activeQuests = await Quest.aggregate([
-      {
-        $addFields: {
-          completed: {
-            $in: ["$_id", user.completedQuests], // Check if quest ID is in completedQuests
-          },
-        },
-      },
-    ]);
+    // Running quests the user qualifies for; daily and weekly quests count as
+    // completed for the user's current period
+    const quests = await getVisibleQuests(user);
+    const activeQuests = quests.map(({ claimed, completed, ...quest }) => ({
+      ...quest,
+      completed: claimed,
+    }));
+    const energyStatus = user.getEnergyStatus();
     const dashboardData = {
       user: {
         username: user.username,
@@ -34,15 +34,9 @@ router.get("/", auth, async (req, res) => {
         id: user.telegramId,
       },
       quests: activeQuests,
-      cooldownStatus:
-        user.cooldownEndTime > Date.now()
-          ? {
-              cooling: true,
-              remainingTime: Math.ceil(
-                (user.cooldownEndTime - Date.now()) / 1000
-              ),
-            }
-          : { cooling: false },
+      dayBoundary: formatDayBoundary(user),
+      energyStatus,
+      cooldownStatus: { cooling: energyStatus.energy < config.energy.costPerTap },
     };
 
     res.json(dashboardData);
@@ -3,10 +3,77 @@ const router = express.Router();
 const Quest = require("../models/Quest");
 const User = require("../models/User");
 const auth = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
 const isTeamMember = require("../middleware/isTeamMember");
 const { body, validationResult } = require("express-validator");
 const logger = require("../utils/logger");
-const { verifyTelegramQuest } = require("../utils/questVerification");
+const { grantBoostRewards, formatBoostItem } = require("../utils/boostInventory");
+const { boostRewardRules } = require("../validation/userValidation");
+const { getLevelProgress, announceLevelUps } = require("../utils/levelProgression");
+const { recordXp } = require("../utils/xpLedger");
+const { grantCosmetics } = require("../utils/cosmetics");
+const { getCosmetic } = require("../utils/cosmeticsCatalog");
+const {
+  PERIODIC_QUEST_TYPES,
+  getQuestPeriod,
+  ensureQuestInstance,
+  claimQuestInstance,
+  getVisibleQuests,
+} = require("../utils/questProgress");
+const { generateRotation, previewNextRotation } = require("../utils/questRotation");
+const { verifyQuest } = require("../utils/questVerifiers");
+const QuestChain = require("../models/QuestChain");
+const {
+  estimateAudience,
+  checkQuestAvailable,
+  takeClaimSlot,
+} = require("../utils/questAudience");
+const {
+  checkQuestLinks,
+  getLockedReasons,
+  getPrerequisiteTitles,
+  withLockStatus,
+  completeChainIfDone,
+  formatChainBonus,
+  getChains,
+} = require("../utils/questChains");
+
+const questAudienceRules = [
+  body("audience").optional().isObject(),
+  body("audience.languages").optional().isArray({ max: 10 }),
+  body("audience.languages.*").isString().isLength({ min: 2, max: 10 }),
+  body("audience.minLevel").optional().isInt({ min: 0 }).toInt(),
+  body("audience.maxLevel").optional().isInt({ min: 0 }).toInt(),
+  body("audience.signedUpAfter").optional().isISO8601(),
+  body("audience.signedUpBefore").optional().isISO8601(),
+  body("audience.referred").optional().isBoolean().toBoolean(),
+  body("audience.isPremium").optional().isBoolean().toBoolean(),
+  body("audience").optional().custom((audience) => {
+    if (audience.minLevel !== undefined && audience.maxLevel !== undefined && audience.minLevel > audience.maxLevel) {
+      throw new Error("audience.minLevel cannot be above audience.maxLevel");
+    }
+    return true;
+  }),
+];
+
+// Caps count claims, and daily and weekly quests are claimed every period,
+// so the same users would use up a "first N claimers" cap
+const CLAIM_CAP_PERIODIC_MESSAGE = "Daily and weekly quests cannot have a claim cap";
+
+const questScheduleRules = [
+  body("startsAt").optional().isISO8601(),
+  body("claimCap").optional().isInt({ min: 1 }),
+  body().custom((value) => {
+    if (value.startsAt && value.expiresAt && new Date(value.startsAt) >= new Date(value.expiresAt)) {
+      throw new Error("startsAt must be before expiresAt");
+    }
+    if (value.claimCap && PERIODIC_QUEST_TYPES.includes(value.type)) {
+      throw new Error(CLAIM_CAP_PERIODIC_MESSAGE);
+    }
+    return true;
+  }),
+  ...questAudienceRules,
+];
 
 // Get all quests
 router.get("/", auth, async (req, res) => {
@@ -16,22 +83,11 @@ router.get("/", auth, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const completedQuests = user.completedQuests || [];
-
-    const allQuests = await Quest.aggregate([
-      {
-        $match: { expiresAt: { $gt: new Date() } },
-      },
-      {
-        $addFields: {
-          claimed: {
-            $in: ["$_id", completedQuests],
-          },
-        },
-      },
-    ]);
-
-    res.json(allQuests);
+    // Only running quests the user is in the audience for; daily and weekly
+    // quests reopen at the user's local reset and quests in a chain stay
+    // locked until their prerequisites are met
+    const quests = await getVisibleQuests(user);
+    res.json(await withLockStatus(user, quests));
   } catch (error) {
     logger.error("Error fetching quests:", error);
     res
@@ -41,7 +97,7 @@ router.get("/", auth, async (req, res) => {
 });
 
 // Claim a quest
-router.post("/claim/:questId", auth, async (req, res) => {
+router.post("/claim/:questId", auth, idempotency, async (req, res) => {
   try {
     const { questId } = req.params;
     const user = await User.findOne({ telegramId: req.user.telegramId });
@@ -51,27 +107,112 @@ router.post("/claim/:questId", auth, async (req, res) => {
     const quest = await Quest.findById(questId);
     if (!quest) return res.status(404).json({ message: "Quest not found" });
 
-    if (user.completedQuests.includes(questId)) {
-      return res.status(400).json({ message: "Quest already claimed" });
+    // Daily and weekly quests are claimed once per period on their instance
+    const period = getQuestPeriod(user, quest);
+    const instance = period ? await ensureQuestInstance(user, quest, period) : null;
+    if (instance ? instance.claimedAt : user.completedQuests.includes(questId)) {
+      return res.status(400).json({
+        message: "Quest already claimed",
+        ...(period && { resetsAt: period.resetsAt }),
+      });
+    }
+    const availability = checkQuestAvailable(user, quest);
+    if (!availability.ok) {
+      const { status, ...details } = availability;
+      return res.status(status).json(details);
     }
 
-    // Verify quest completion logic here
-    // This is a simplified version. In production, implement proper verification for each quest type
-    let verified = await verifyQuestCompletion(user, quest);
-    // console.log("verified", verified);
-    if (!verified && quest?.type == "telegram") {
-      return res.status(400).json({
-        message: "User has not joined telegram channel",
-        joined: false,
+    const lockedReasons = getLockedReasons(user, quest, await getPrerequisiteTitles([quest]));
+    if (lockedReasons.length) {
+      return res.status(403).json({ message: "Quest is locked", lockedReasons });
+    }
+    // Each type and action has its own verifier in utils/questVerifiers.js
+    const { verified, ...verification } = await verifyQuest(user, quest, { instance });
+    if (!verified) {
+      const status = verification.rateLimited ? 429 : verification.unavailable ? 503 : 400;
+      return res.status(status).json({
+        ...verification,
+        message: verification.message || "Quest not completed yet",
+        ...(period && { resetsAt: period.resetsAt }),
+      });
+    }
+
+    // The conditional claim only matches once per quest, or once per period
+    // for daily and weekly quests, so concurrent duplicates lose
+    const session = await User.startSession();
+    let claim;
+    try {
+      await session.withTransaction(async () => {
+        claim = null;
+        // First claimCap claimers only; taken before anything is granted
+        if (!(await takeClaimSlot(quest, session))) {
+          claim = { capReached: true };
+          return;
+        }
+
+        const claimed = instance
+          ? await claimQuestInstance(instance, quest, { session })
+          : await User.findOneAndUpdate(
+              { _id: user._id, completedQuests: { $ne: quest._id } },
+              { $push: { completedQuests: quest._id } },
+              { new: true, session }
+            );
+        if (!claimed) {
+          await session.abortTransaction();
+          return;
+        }
+
+        const grant = await recordXp(user._id, quest.xpReward, {
+          reason: "quest",
+          source: { kind: "quest", id: questId },
+          idempotencyKey: period ? `quest:${questId}:${period.key}` : `quest:${questId}`,
+          session,
+        });
+        const boostItems = await grantBoostRewards(user._id, quest.boostRewards, {
+          source: "quest",
+          sourceId: quest._id,
+          session,
+        });
+        const cosmetics = await grantCosmetics(user._id, quest.cosmeticRewards, {
+          source: "quest",
+          sourceId: quest._id,
+          session,
+        });
+        // Claiming the last quest of a chain pays the chain bonus too
+        const chainBonus =
+          !instance && quest.chain
+            ? await completeChainIfDone(user._id, claimed.completedQuests, quest.chain, session)
+            : null;
+        claim = { grant, boostItems, cosmetics, chainBonus };
       });
+    } finally {
+      session.endSession();
+    }
+    if (!claim) {
+      return res.status(400).json({ message: "Quest already claimed" });
+    }
+    if (claim.capReached) {
+      return res.status(409).json({ message: "All rewards for this quest were claimed" });
     }
 
-    user.xp += quest.xpReward;
-    user.completedQuests.push(questId);
-    await user.save();
+    const { grant, boostItems, cosmetics, chainBonus } = claim;
+    announceLevelUps(grant, chainBonus && chainBonus.grant);
+    const latest = chainBonus ? chainBonus.grant : grant;
+    const levelUps = chainBonus ? [...grant.levelUps, ...chainBonus.grant.levelUps] : grant.levelUps;
+    user.xp = latest.user.xp;
+    user.level = latest.user.level;
 
     logger.info(`User ${user.telegramId} claimed quest ${questId}`);
-    res.json({ message: "Quest claimed successfully", xp: user.xp });
+    res.json({
+      message: "Quest claimed successfully",
+      xp: user.xp,
+      ...getLevelProgress(user),
+      levelUps,
+      boostItems: boostItems.map(formatBoostItem),
+      cosmetics,
+      chainBonus: chainBonus ? formatChainBonus(chainBonus) : null,
+      ...(period && { resetsAt: period.resetsAt }),
+    });
   } catch (error) {
     logger.error("Error claiming quest:", error);
     res
@@ -80,69 +221,6 @@ router.post("/claim/:questId", auth, async (req, res) => {
   }
 });
 
-// Helper function to verify quest completion
-// async function verifyQuestCompletion(user, quest) {
-//   switch (quest.type) {
-//     case "daily":
-//     case "weekly":
-//       // Implement daily/weekly quest verification
-//       return true;
-//     case "twitter":
-//     case "telegram": {
-//       return await verifyTelegramQuest(
-//         quest?.action,
-//         quest?.targetId,
-//         user?.telegramId
-//       );
-//     }
-//     case "discord":
-//       // Implement social media quest verification
-//       return true;
-//     case "tap":
-//       return user.totalTaps >= quest.requirement;
-//     case "level":
-//       return user.level >= quest.requirement;
-//     default:
-//       return false;
-//   }
-// }
-async function verifyQuestCompletion(user, quest) {
-  if (!user || !quest) throw new Error("User or quest is undefined");
-
-  switch (quest.type) {
-    case "daily":
-    case "weekly":
-      return true;
-    case "twitter":
-      return true;
-    case "telegram":
-      if (!quest.action || !quest.targetId || !user.telegramId)
-        throw new Error("Missing data");
-      return await verifyTelegramQuest(
-        quest.action,
-        quest.targetId,
-        user.telegramId
-      );
-    case "discord":
-      return true;
-
-    case "tap":
-      return user.totalTaps >= quest.requirement;
-
-    case "level":
-      return user.level >= quest.requirement;
-    case "leaderboard":
-      return true;
-
-    case "referral":
-      return true;
-    case "achievement":
-      return true;
-    default:
-      throw new Error("Unknown quest type");
-  }
-}
-
 // Create a new quest (team members only)
 router.post(
   "/",
@@ -152,7 +230,36 @@ router.post(
     [
       body("title").notEmpty().trim(),
       body("description").notEmpty().trim(),
-      body("xpReward").isInt({ min: 1 }),
+      body("xpReward").optional().isInt({ min: 0 }),
+      body("boostRewards").optional().isArray({ max: 10 }),
+      ...boostRewardRules("boostRewards.*"),
+      body("cosmeticRewards").optional().isArray({ max: 10 }),
+      body("cosmeticRewards.*").custom((id) => {
+        if (!getCosmetic(id)) throw new Error(`Unknown cosmetic ${id}`);
+        return true;
+      }),
+      body().custom((value) => {
+        if (
+          !(value.xpReward > 0) &&
+          !(value.boostRewards || []).length &&
+          !(value.cosmeticRewards || []).length
+        ) {
+          throw new Error("A quest needs an XP, boost or cosmetic reward");
+        }
+        if (value.action === "unlock_skin" && !getCosmetic(value.targetId)) {
+          throw new Error("unlock_skin quests need a cosmetic id as targetId");
+        }
+        // Only these can be checked against the linked X account
+        if (value.type === "twitter") {
+          if (!["follow", "retweet", "like"].includes(value.action)) {
+            throw new Error("Twitter quests must be follow, retweet or like");
+          }
+          if (!value.targetId) {
+            throw new Error("Twitter quests need the account or tweet id as targetId");
+          }
+        }
+        return true;
+      }),
       body("type").isIn([
         "daily",
         "weekly",
@@ -181,7 +288,25 @@ router.post(
       body("platform").optional().isIn(["twitter", "discord", "telegram"]),
       body("targetId").optional(),
       body("requirement").optional().isInt({ min: 1 }),
+      body("requirementPerLevel").optional().isInt({ min: 0 }),
+      body("maxRequirement").optional().isInt({ min: 1 }),
+      body("prerequisites").optional().isArray({ max: 10 }),
+      body("prerequisites.*").isMongoId(),
+      body("minLevel").optional().isInt({ min: 0 }),
+      body("chain").optional().isMongoId(),
+      body("chainStep").optional().isInt({ min: 1 }),
+      body("achievementIds").optional().isArray({ max: 20 }),
+      body("achievementIds.*").isString().trim().notEmpty(),
+      body().custom((value) => {
+        // Periodic quests reopen every period, so nothing can depend on them
+        const periodic = ["daily", "weekly"].includes(value.type);
+        if (periodic && (value.chain || (value.prerequisites || []).length)) {
+          throw new Error("Daily and weekly quests cannot be part of a chain");
+        }
+        return true;
+      }),
       body("expiresAt").isISO8601(),
+      ...questScheduleRules,
     ],
   ],
   async (req, res) => {
@@ -191,10 +316,16 @@ router.post(
     }
 
     try {
+      const linkError = await checkQuestLinks(req.body);
+      if (linkError) return res.status(400).json({ message: linkError });
+
       const newQuest = new Quest(req.body);
       await newQuest.save();
       logger.info(`New quest created: ${newQuest._id}`);
-      res.status(201).json(newQuest);
+      res.status(201).json({
+        ...newQuest.toObject(),
+        audienceEstimate: await estimateAudience(newQuest.audience),
+      });
     } catch (error) {
       logger.error("Error creating quest:", error);
       res
@@ -204,9 +335,120 @@ router.post(
   }
 );
 
+// Estimate how many users a draft audience reaches (team members only)
+router.post(
+  "/audience/estimate",
+  [auth, isTeamMember, questAudienceRules],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json({ audienceEstimate: await estimateAudience(req.body.audience) });
+    } catch (error) {
+      logger.error("Error estimating quest audience:", error);
+      res
+        .status(500)
+        .json({ message: "Error estimating quest audience", error: error.message });
+    }
+  }
+);
+
+// Quest chains with the user's progress
+router.get("/chains", auth, async (req, res) => {
+  try {
+    const user = await User.findOne({ telegramId: req.user.telegramId });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json(await getChains(user));
+  } catch (error) {
+    logger.error("Error fetching quest chains:", error);
+    res
+      .status(500)
+      .json({ message: "Error fetching quest chains", error: error.message });
+  }
+});
+
+// Create a quest chain; quests join it through their chain field (team members only)
+router.post(
+  "/chains",
+  [
+    auth,
+    isTeamMember,
+    [
+      body("title").notEmpty().trim(),
+      body("description").notEmpty().trim(),
+      body("bonus.xpReward").optional().isInt({ min: 0 }),
+      body("bonus.boostRewards").optional().isArray({ max: 10 }),
+      ...boostRewardRules("bonus.boostRewards.*"),
+      body("bonus.cosmeticRewards").optional().isArray({ max: 10 }),
+      body("bonus.cosmeticRewards.*").custom((id) => {
+        if (!getCosmetic(id)) throw new Error(`Unknown cosmetic ${id}`);
+        return true;
+      }),
+    ],
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { title, description, bonus } = req.body;
+      const chain = await QuestChain.create({ title, description, bonus });
+      logger.info(`New quest chain created: ${chain._id}`);
+      res.status(201).json(chain);
+    } catch (error) {
+      logger.error("Error creating quest chain:", error);
+      res
+        .status(500)
+        .json({ message: "Error creating quest chain", error: error.message });
+    }
+  }
+);
+
+// Preview the next weekly rotation (team members only)
+router.get("/rotation/preview", [auth, isTeamMember], async (req, res) => {
+  try {
+    res.json(await previewNextRotation());
+  } catch (error) {
+    logger.error("Error previewing quest rotation:", error);
+    res
+      .status(500)
+      .json({ message: "Error previewing quest rotation", error: error.message });
+  }
+});
+
+// Generate the current rotation now if the weekly job has not (team members only)
+router.post("/rotation/generate", [auth, isTeamMember], async (req, res) => {
+  try {
+    const result = await generateRotation();
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error("Error generating quest rotation:", error);
+    res
+      .status(500)
+      .json({ message: "Error generating quest rotation", error: error.message });
+  }
+});
+
 // Update a quest (team members only)
 router.put("/:questId", [auth, isTeamMember], async (req, res) => {
   try {
+    const quest = await Quest.findById(req.params.questId).lean();
+    if (!quest) return res.status(404).json({ message: "Quest not found" });
+
+    // Check the quest as it will be after the update
+    const updated = { ...quest, ...req.body };
+    const linkError = await checkQuestLinks(updated, quest._id);
+    if (linkError) return res.status(400).json({ message: linkError });
+    if (updated.claimCap && PERIODIC_QUEST_TYPES.includes(updated.type)) {
+      return res.status(400).json({ message: CLAIM_CAP_PERIODIC_MESSAGE });
+    }
+
     const updatedQuest = await Quest.findByIdAndUpdate(
       req.params.questId,
       req.body,
@@ -3,6 +3,7 @@ const router = express.Router();
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const { isValidUtcOffset, setUtcOffset, getNextDailyReset } = require('../utils/userDay');
 
 router.get('/', auth, async (req, res) => {
   try {
@@ -14,7 +15,9 @@ router.get('/', auth, async (req, res) => {
       language: user.language,
       theme: user.theme,
       soundEnabled: user.soundEnabled,
-      vibrationEnabled: user.vibrationEnabled
+      vibrationEnabled: user.vibrationEnabled,
+      utcOffsetMinutes: user.utcOffsetMinutes,
+      nextResetAt: getNextDailyReset(user)
     };
 
     res.json(settings);
@@ -29,7 +32,9 @@ router.put('/', [
   body('language').optional().isIn(['en', 'ru']),
   body('theme').optional().isIn(['light', 'dark']),
   body('soundEnabled').optional().isBoolean(),
-  body('vibrationEnabled').optional().isBoolean()
+  body('vibrationEnabled').optional().isBoolean(),
+  body('utcOffsetMinutes').optional().custom((value) => isValidUtcOffset(value))
+    .withMessage('utcOffsetMinutes must be a multiple of 15 between -720 and 840')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -37,7 +42,15 @@ router.put('/', [
   }
 
   try {
-    const { notifications, language, theme, soundEnabled, vibrationEnabled } = req.body;
+    const { notifications, language, theme, soundEnabled, vibrationEnabled, utcOffsetMinutes } = req.body;
+
+    if (utcOffsetMinutes !== undefined) {
+      const offset = await setUtcOffset(req.user, utcOffsetMinutes);
+      if (!offset.ok) {
+        return res.status(offset.status).json({ message: offset.message, retryAt: offset.retryAt });
+      }
+    }
+
     const user = await User.findOneAndUpdate(
       { telegramId: req.user.telegramId },
       { $set: { notifications, language, theme, soundEnabled, vibrationEnabled } },
@@ -53,7 +66,9 @@ router.put('/', [
         language: user.language,
         theme: user.theme,
         soundEnabled: user.soundEnabled,
-        vibrationEnabled: user.vibrationEnabled
+        vibrationEnabled: user.vibrationEnabled,
+        utcOffsetMinutes: user.utcOffsetMinutes,
+        nextResetAt: getNextDailyReset(user)
       }
     });
   } catch (error) {
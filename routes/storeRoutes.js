@@ -0,0 +1,118 @@
+const express = require("express");
+const router = express.Router();
+const Order = require("../models/Order");
+const auth = require("../middleware/auth");
+const isTeamMember = require("../middleware/isTeamMember");
+const { body, param, validationResult } = require("express-validator");
+const logger = require("../utils/logger");
+const {
+  getPaymentsBot,
+  getStoreView,
+  formatOrder,
+  createInvoice,
+  refundOrder,
+} = require("../utils/starsPayments");
+
+// Store catalog with Stars prices and whether the user can buy each item
+router.get("/", auth, async (req, res) => {
+  try {
+    res.json({ currency: "XTR", items: await getStoreView(req.user) });
+  } catch (error) {
+    logger.error("Error fetching store:", error);
+    res
+      .status(500)
+      .json({ message: "Error fetching store", error: error.message });
+  }
+});
+
+// Create a Stars invoice the mini-app opens with Telegram.WebApp.openInvoice
+router.post(
+  "/invoice/:itemId",
+  [auth, param("itemId").notEmpty()],
+  async (req, res) => {
+    const bot = getPaymentsBot();
+    if (!bot) {
+      return res.status(503).json({ message: "Payments are unavailable" });
+    }
+
+    try {
+      const result = await createInvoice(bot, req.user, req.params.itemId);
+      if (!result.ok) {
+        return res
+          .status(result.status)
+          .json({ message: result.message, reason: result.reason });
+      }
+
+      res.status(201).json({
+        order: formatOrder(result.order),
+        invoiceLink: result.invoiceLink,
+      });
+    } catch (error) {
+      logger.error("Error creating invoice:", error);
+      res
+        .status(500)
+        .json({ message: "Error creating invoice", error: error.message });
+    }
+  }
+);
+
+router.get("/orders", auth, async (req, res) => {
+  try {
+    const orders = await Order.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json(orders.map(formatOrder));
+  } catch (error) {
+    logger.error("Error fetching orders:", error);
+    res
+      .status(500)
+      .json({ message: "Error fetching orders", error: error.message });
+  }
+});
+
+// Refund a paid order (team members only)
+router.post(
+  "/orders/:orderId/refund",
+  [
+    auth,
+    isTeamMember,
+    param("orderId").isHexadecimal(),
+    body("reason").isString().trim().isLength({ min: 1, max: 500 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bot = getPaymentsBot();
+    if (!bot) {
+      return res.status(503).json({ message: "Payments are unavailable" });
+    }
+
+    try {
+      const result = await refundOrder(bot, req.params.orderId, {
+        reason: req.body.reason,
+        requestedBy: req.user._id,
+      });
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      logger.info(
+        `Order ${req.params.orderId} refunded by ${req.user.telegramId}`
+      );
+      res.json({
+        order: formatOrder(result.order),
+        revoked: result.order.refund.revoked,
+      });
+    } catch (error) {
+      logger.error("Error refunding order:", error);
+      res
+        .status(500)
+        .json({ message: "Error refunding order", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
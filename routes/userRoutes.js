@@ -1,22 +1,50 @@
 
 const userController = require('../controllers/userController');
-const { validateUser, validateTelegramAuth } = require('../validation/userValidation');
+const walletController = require('../controllers/walletController');
+const twitterController = require('../controllers/twitterController');
+const { validateUser, validateTelegramAuth, validateTapBatch, validateBoost, validateBoostActivation, validateBoostGrant, validateRigChange, validateLedgerQuery, validateTokenConversion, validateTonProof, validateEquipCosmetic, validateActiveTitle } = require('../validation/userValidation');
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const isTeamMember = require('../middleware/isTeamMember');
 
 // Public routes
 router.post('/auth/telegram', userController.authenticateTelegram);
+router.get('/twitter/callback', twitterController.twitterCallback);
 
 // Protected routes
 router.get('/profile', auth, userController.getProfile);
 router.put('/profile', auth, userController.updateProfile);
-router.post('/claim-daily-xp', auth, userController.claimDailyXP);
-router.post('/tap', auth, userController.tap);
-router.post('/boost', auth, userController.boost);
+router.get('/claim-daily-xp', auth, userController.checkDailyXPClaimable);
+router.post('/claim-daily-xp', auth, idempotency, userController.claimDailyXP);
+router.post('/claim-daily-xp/repair', auth, idempotency, userController.repairStreak);
+router.post('/tap', auth, validateTapBatch, userController.tap);
+router.post('/boost', auth, validateBoost, userController.boost);
+router.get('/boosts', auth, userController.getBoosts);
+router.get('/boosts/inventory', auth, userController.getBoostInventory);
+router.post('/boosts/inventory/:itemId/activate', auth, validateBoostActivation, userController.boost);
+router.post('/boosts/grant', auth, isTeamMember, validateBoostGrant, userController.grantBoosts);
 router.get('/cooldown-status', auth, userController.getCooldownStatus);
 router.get('/daily-points', auth, userController.getDailyPoints);
+router.get('/gpu-shop', auth, userController.getGpuShop);
 router.post('/upgrade-gpu', auth, userController.upgradeGPU);
+router.get('/rig', auth, userController.getRig);
+router.post('/rig/gpus/:gpuId', auth, validateRigChange, userController.updateRig);
+router.get('/xp-ledger', auth, validateLedgerQuery, userController.getXpLedger);
+router.get('/xp-ledger/:telegramId', auth, validateLedgerQuery, userController.getXpLedger);
+router.get('/tokens', auth, validateLedgerQuery, userController.getTokens);
+router.post('/tokens/convert', auth, idempotency, validateTokenConversion, userController.convertXp);
+router.post('/wallet/ton-proof/payload', auth, walletController.getTonProofPayload);
+router.post('/wallet/ton-proof', auth, validateTonProof, walletController.linkTonWallet);
+router.delete('/wallet', auth, walletController.unlinkTonWallet);
+router.post('/twitter/link', auth, twitterController.startTwitterLink);
+router.delete('/twitter', auth, twitterController.unlinkTwitter);
+router.get('/cosmetics', auth, userController.getCosmetics);
+router.post('/cosmetics/equip', auth, validateEquipCosmetic, userController.equipCosmetic);
+router.get('/titles', auth, userController.getTitles);
+router.post('/titles/active', auth, validateActiveTitle, userController.setActiveTitle);
+router.get('/public/:telegramId', auth, userController.getPublicProfile);
 
 // Add this new route for getting user stats
 router.get('/stats', auth, userController.getUserStats);
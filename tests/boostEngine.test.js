@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const ActiveBoost = require('../models/ActiveBoost');
+const { stubModel, resetStores } = require('./helpers/memoryDb');
+const {
+  getBoostDefinition,
+  getEffectiveModifiers,
+  getUserModifiers,
+  getTapXp,
+  getNextBoostTime,
+} = require('../utils/boostEngine');
+const { getTapKey, signTapBatch, verifyTapBatch } = require('../utils/tapBatch');
+
+const MINUTE = 60 * 1000;
+
+describe('boost engine', () => {
+  const boost = (type, value) => ({ type, value });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('definitions', () => {
+    test.each([
+      ['xp_multiplier', 3, 3],
+      ['tap_speed', 1, 0.25],
+      ['compute_power', 2, 100],
+    ])('%s tier %i is worth %d', (type, tier, value) => {
+      expect(getBoostDefinition(type, tier)).toMatchObject({ type, tier, value });
+    });
+
+    test.each([
+      ['an unknown type', 'luck', 1],
+      ['a tier above 3', 'xp_multiplier', 4],
+      ['a tier given as text', 'xp_multiplier', '1'],
+    ])('has none for %s', (_, type, tier) => {
+      expect(getBoostDefinition(type, tier)).toBeNull();
+    });
+  });
+
+  describe('modifiers', () => {
+    test('are neutral without boosts', () => {
+      expect(getEffectiveModifiers([])).toEqual({ xpMultiplier: 1, tapEnergyDiscount: 0, computePowerBonus: 0 });
+    });
+
+    test('combine boosts of different types', () => {
+      const modifiers = getEffectiveModifiers([
+        boost('xp_multiplier', 2),
+        boost('tap_speed', 0.5),
+        boost('compute_power', 50),
+      ]);
+
+      expect(modifiers).toEqual({ xpMultiplier: 2, tapEnergyDiscount: 0.5, computePowerBonus: 50 });
+    });
+
+    test('take the strongest of overlapping boosts of one type', () => {
+      const modifiers = getEffectiveModifiers([boost('xp_multiplier', 3), boost('xp_multiplier', 1.5)]);
+
+      expect(modifiers.xpMultiplier).toBe(3);
+    });
+
+    test('come only from boosts that have not expired', async () => {
+      resetStores();
+      const boosts = stubModel(ActiveBoost);
+      const user = new mongoose.Types.ObjectId();
+      const now = new Date('2026-10-19T10:00:00Z');
+      boosts.docs.push(
+        { _id: new mongoose.Types.ObjectId(), user, type: 'xp_multiplier', value: 2, expiresAt: new Date(now.getTime() + MINUTE) },
+        { _id: new mongoose.Types.ObjectId(), user, type: 'compute_power', value: 200, expiresAt: now },
+        { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), type: 'tap_speed', value: 0.75, expiresAt: new Date(now.getTime() + MINUTE) }
+      );
+
+      await expect(getUserModifiers(user, now)).resolves.toEqual({
+        xpMultiplier: 2,
+        tapEnergyDiscount: 0,
+        computePowerBonus: 0,
+      });
+    });
+  });
+
+  describe('effects', () => {
+    test('compute power and the XP multiplier raise tap XP', () => {
+      const user = { computePower: 4 };
+
+      expect(getTapXp(user, 10)).toBe(40);
+      expect(getTapXp(user, 10, getEffectiveModifiers([boost('compute_power', 50)]))).toBe(540);
+      expect(getTapXp(user, 3, getEffectiveModifiers([boost('xp_multiplier', 1.5)]))).toBe(18);
+    });
+
+    test('tap speed lowers the energy each tap costs', () => {
+      const now = Date.parse('2026-10-19T10:00:00Z');
+      const { signingSecret } = config.tap;
+      config.tap.signingSecret = 'tap-signing-secret';
+      const batch = { seq: 1, count: 10, startedAt: now - 5000, endedAt: now - 1000 };
+      const signed = { ...batch, signature: signTapBatch(getTapKey('1001'), batch) };
+      const user = { telegramId: '1001', energy: 5, energyUpdatedAt: new Date(now) };
+
+      try {
+        expect(verifyTapBatch(user, signed, now)).toMatchObject({ acceptedTaps: 5 });
+        expect(verifyTapBatch(user, signed, now, { tapEnergyDiscount: 0.5 })).toMatchObject({
+          acceptedTaps: 10,
+          energyAfter: 0,
+        });
+      } finally {
+        config.tap.signingSecret = signingSecret;
+      }
+    });
+  });
+
+  describe('cooldown', () => {
+    test('runs for an hour after the last activation', () => {
+      const lastBoostTime = new Date(Date.now() - 10 * MINUTE);
+
+      expect(getNextBoostTime({ lastBoostTime })).toEqual(new Date(lastBoostTime.getTime() + config.boosts.cooldownMs));
+    });
+
+    test('is over once the hour has passed', () => {
+      expect(getNextBoostTime({ lastBoostTime: new Date(Date.now() - config.boosts.cooldownMs - 1) })).toBeNull();
+      expect(getNextBoostTime({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BoostItem = require('../models/BoostItem');
+const ActiveBoost = require('../models/ActiveBoost');
+const Activity = require('../models/Activity');
+const logger = require('../utils/logger');
+const { stubModel, stubSessions, resetStores } = require('./helpers/memoryDb');
+const {
+  grantBoostItems,
+  listInventory,
+  countUsableItems,
+  convertLegacyCharges,
+} = require('../utils/boostInventory');
+const { activateBoost } = require('../utils/boostEngine');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('boost inventory', () => {
+  let users;
+  let items;
+  let user;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(async () => {
+    resetStores();
+    users = stubModel(User);
+    items = stubModel(BoostItem);
+    [ActiveBoost, Activity].forEach((Model) => stubModel(Model));
+    stubSessions(User);
+    user = await User.create({ telegramId: '1', username: 'booster' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('legacy boost charges', () => {
+    // A user saved before the inventory, with charges on the old field
+    const legacyUser = (boostCount) => {
+      const doc = { _id: new mongoose.Types.ObjectId(), telegramId: '2', username: 'veteran', boostCount };
+      users.docs.push(doc);
+      return doc;
+    };
+
+    test('turn into inventory items on the first read', async () => {
+      const veteran = legacyUser(3);
+
+      const inventory = await listInventory(veteran._id);
+
+      expect(inventory).toHaveLength(3);
+      expect(inventory[0]).toMatchObject({
+        type: 'xp_multiplier',
+        tier: 1,
+        durationMinutes: 15,
+        source: 'legacy_charge',
+        usedAt: null,
+      });
+      expect(users.docs.find((doc) => doc._id.equals(veteran._id))).not.toHaveProperty('boostCount');
+    });
+
+    test('are converted only once', async () => {
+      const veteran = legacyUser(2);
+
+      await expect(countUsableItems(veteran._id)).resolves.toBe(2);
+      await expect(countUsableItems(veteran._id)).resolves.toBe(2);
+      await expect(convertLegacyCharges(veteran._id)).resolves.toEqual([]);
+      expect(items.docs).toHaveLength(2);
+    });
+
+    test('keep the count when the items cannot be written', async () => {
+      const veteran = legacyUser(2);
+      BoostItem.insertMany.mockImplementationOnce(async () => {
+        throw new Error('connection reset');
+      });
+
+      await expect(listInventory(veteran._id)).rejects.toThrow('connection reset');
+      expect(users.docs.find((doc) => doc._id.equals(veteran._id)).boostCount).toBe(2);
+    });
+
+    test('leave users without charges alone', async () => {
+      legacyUser(0);
+      await expect(countUsableItems(user._id)).resolves.toBe(0);
+      expect(items.docs).toHaveLength(0);
+    });
+  });
+
+  describe('listing', () => {
+    test('shows only items that are neither used nor expired', async () => {
+      const reward = { type: 'tap_speed', tier: 2, durationMinutes: 5 };
+      const [lasting] = await grantBoostItems(user._id, reward, { source: 'bot' });
+      const [expiring] = await grantBoostItems(user._id, { ...reward, expiresInHours: 1 }, { source: 'quest' });
+      const [used] = await grantBoostItems(user._id, reward, { source: 'bot' });
+      await BoostItem.updateOne({ _id: used._id }, { $set: { usedAt: new Date() } });
+      await grantBoostItems(user._id, { ...reward, expiresAt: new Date(Date.now() - HOUR) }, { source: 'bot' });
+
+      const inventory = await listInventory(user._id);
+
+      expect(inventory.map((item) => item._id.toString()).sort()).toEqual(
+        [expiring._id.toString(), lasting._id.toString()].sort()
+      );
+    });
+
+    test('grants the quantity of a reward to every user', async () => {
+      const other = await User.create({ telegramId: '3', username: 'other' });
+
+      const created = await grantBoostItems(
+        [user._id, other._id],
+        { type: 'compute_power', tier: 3, durationMinutes: 30, quantity: 2 },
+        { source: 'team_grant', grantedBy: user._id }
+      );
+
+      expect(created).toHaveLength(4);
+      await expect(countUsableItems(other._id)).resolves.toBe(2);
+    });
+  });
+
+  describe('activation', () => {
+    test('starts the boost stored in the item and uses the item up', async () => {
+      const [item] = await grantBoostItems(
+        user._id,
+        { type: 'xp_multiplier', tier: 2, durationMinutes: 30 },
+        { source: 'quest' }
+      );
+
+      const result = await activateBoost(user, item._id);
+
+      expect(result.ok).toBe(true);
+      expect(result.boost).toMatchObject({ type: 'xp_multiplier', tier: 2, durationMinutes: 30 });
+      expect(result.boost.expiresAt - result.boost.startedAt).toBe(30 * 60 * 1000);
+      await expect(countUsableItems(user._id)).resolves.toBe(0);
+    });
+
+    test('keeps the item when the boost is on cooldown', async () => {
+      const granted = await grantBoostItems(
+        user._id,
+        { type: 'tap_speed', tier: 1, durationMinutes: 5, quantity: 2 },
+        { source: 'bot' }
+      );
+      await activateBoost(user, granted[0]._id);
+
+      const result = await activateBoost(user, granted[1]._id);
+
+      expect(result).toMatchObject({ ok: false, status: 429 });
+      await expect(countUsableItems(user._id)).resolves.toBe(1);
+      expect(await ActiveBoost.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    test("refuses another user's item", async () => {
+      const other = await User.create({ telegramId: '3', username: 'other' });
+      const [item] = await grantBoostItems(other._id, { type: 'tap_speed', tier: 1, durationMinutes: 5 }, { source: 'bot' });
+
+      await expect(activateBoost(user, item._id)).resolves.toMatchObject({ ok: false, status: 404 });
+    });
+  });
+});
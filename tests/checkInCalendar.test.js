@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const CheckIn = require('../models/CheckIn');
+const Activity = require('../models/Activity');
+const XpLedger = require('../models/XpLedger');
+const logger = require('../utils/logger');
+const { stubModel, stubSessions, resetStores } = require('./helpers/memoryDb');
+const {
+  getCheckInState,
+  getRewardForStreak,
+  getSchedule,
+  getRepairOffer,
+  performCheckIn,
+  repairStreak,
+} = require('../utils/checkInCalendar');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+describe('check-in calendar', () => {
+  let activities;
+
+  const reload = (user) => User.findById(user._id);
+
+  // A user whose last check-in was the given day, with a streak behind it
+  const createUser = (fields = {}) =>
+    User.create({
+      telegramId: '1',
+      username: 'regular',
+      loginStreak: 10,
+      lastCheckInDay: '2026-10-18',
+      compute: 50000,
+      ...fields,
+    });
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    resetStores();
+    stubModel(User);
+    stubModel(CheckIn, { unique: [['user', 'day']] });
+    stubModel(XpLedger, { unique: [['user', 'idempotencyKey']] });
+    activities = stubModel(Activity);
+    stubSessions(User);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('rewards', () => {
+    test('follow the 7-day cycle with a bonus every seventh day', () => {
+      expect(getRewardForStreak(1)).toEqual({ cycleDay: 1, xp: 100, bonusXp: 0, total: 100 });
+      expect(getRewardForStreak(7)).toEqual({ cycleDay: 7, xp: 250, bonusXp: 500, total: 750 });
+      expect(getRewardForStreak(8)).toMatchObject({ cycleDay: 1, total: 100 });
+      expect(getRewardForStreak(14)).toMatchObject({ cycleDay: 7, bonusXp: 500 });
+    });
+
+    test('are scheduled from the next check-in on', async () => {
+      const user = await createUser({ loginStreak: 5, lastCheckInDay: '2026-10-19' });
+
+      const schedule = getSchedule(user, NOW, 3);
+
+      expect(schedule.map(({ day, streak, total }) => [day, streak, total])).toEqual([
+        ['2026-10-20', 6, 200],
+        ['2026-10-21', 7, 750],
+        ['2026-10-22', 8, 100],
+      ]);
+    });
+  });
+
+  describe('performCheckIn', () => {
+    test('continues the streak from yesterday and pays its reward', async () => {
+      const user = await createUser({ loginStreak: 6 });
+
+      const result = await performCheckIn(user, NOW);
+
+      expect(result.checkIn).toMatchObject({ day: '2026-10-19', streak: 7, xp: 250, bonusXp: 500, freezesUsed: 0 });
+      expect(await reload(user)).toMatchObject({ loginStreak: 7, checkInStreak: 7, xp: 750, lastCheckInDay: '2026-10-19' });
+    });
+
+    test('opens once per local day', async () => {
+      const user = await createUser();
+      await performCheckIn(user, NOW);
+
+      const again = await performCheckIn(await reload(user), new Date('2026-10-19T23:59:59Z'));
+
+      expect(again.ok).toBe(false);
+      expect(again.state.nextClaimTime.toISOString()).toBe('2026-10-20T00:00:00.000Z');
+    });
+
+    test('pays only one of two concurrent check-ins', async () => {
+      const user = await createUser();
+
+      const results = await Promise.all([performCheckIn(user, NOW), performCheckIn(user, NOW)]);
+
+      expect(results.filter((result) => result.ok)).toHaveLength(1);
+      expect((await reload(user)).xp).toBe(getRewardForStreak(11).total);
+    });
+
+    test('spends freezes to bridge missed days', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-16', streakFreezes: 3 });
+      expect(getCheckInState(user, NOW)).toMatchObject({ missedDays: 2, freezesNeeded: 2, currentStreak: 10 });
+
+      const result = await performCheckIn(user, NOW);
+
+      expect(result.checkIn).toMatchObject({ streak: 11, freezesUsed: 2 });
+      expect(await reload(user)).toMatchObject({ loginStreak: 11, streakFreezes: 1 });
+    });
+
+    test('restarts the streak when the freezes do not cover the gap', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-15', streakFreezes: 2 });
+      expect(getCheckInState(user, NOW)).toMatchObject({ missedDays: 3, freezesNeeded: 0, currentStreak: 0 });
+
+      const result = await performCheckIn(user, NOW);
+
+      expect(result.checkIn).toMatchObject({ streak: 1, freezesUsed: 0 });
+      const updated = await reload(user);
+      expect(updated).toMatchObject({ loginStreak: 1, streakFreezes: 2 });
+      expect(updated.brokenStreak).toMatchObject({ streak: 10, lastDay: '2026-10-15', day: '2026-10-19' });
+    });
+
+    test('carries over a streak from before the calendar', async () => {
+      const user = await createUser({ lastCheckInDay: undefined, lastDailyClaimDate: new Date('2026-10-18T20:00:00Z') });
+
+      const result = await performCheckIn(user, NOW);
+
+      expect(result.checkIn.streak).toBe(11);
+    });
+  });
+
+  describe('repairStreak', () => {
+    test('carries the streak through yesterday before the next check-in', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-16' });
+      expect(getRepairOffer(user, NOW)).toMatchObject({ streak: 10, missedDays: 2, compute: 10000 });
+
+      const result = await repairStreak(user, NOW);
+
+      expect(result.ok).toBe(true);
+      expect(result.user).toMatchObject({ lastCheckInDay: '2026-10-18', compute: 40000 });
+      const checkIn = await performCheckIn(result.user, NOW);
+      expect(checkIn.checkIn.streak).toBe(11);
+    });
+
+    test('adds the lost days back after a restart the same day', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-17' });
+      const restart = await performCheckIn(user, NOW);
+      expect(restart.checkIn.streak).toBe(1);
+
+      const result = await repairStreak(await reload(user), NOW);
+
+      expect(result.user).toMatchObject({ loginStreak: 11, checkInStreak: 11, compute: 40000 });
+      expect(getRepairOffer(result.user, NOW)).toBeNull();
+    });
+
+    test('is not offered once more than the grace days were missed', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-15' });
+
+      await expect(repairStreak(user, NOW)).resolves.toMatchObject({ ok: false, status: 400 });
+    });
+
+    test('refuses when the user cannot pay', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-16', compute: 9999 });
+
+      const result = await repairStreak(user, NOW);
+
+      expect(result).toMatchObject({ ok: false, message: 'Repairing this streak costs 10000 Compute' });
+    });
+
+    test('pays only once for two concurrent repairs', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-16' });
+
+      const [first, second] = await Promise.all([repairStreak(user, NOW), repairStreak(user, NOW)]);
+
+      expect([first.ok, second.ok].sort()).toEqual([false, true]);
+      expect((await reload(user)).compute).toBe(40000);
+      expect(activities.docs).toHaveLength(1);
+    });
+
+    test('keeps the Compute and the broken streak when the record cannot be written', async () => {
+      const user = await createUser({ lastCheckInDay: '2026-10-16' });
+      Activity.prototype.save.mockImplementationOnce(async () => {
+        throw new Error('connection reset');
+      });
+
+      await expect(repairStreak(user, NOW)).rejects.toThrow('connection reset');
+
+      const unchanged = await reload(user);
+      expect(unchanged).toMatchObject({ compute: 50000, lastCheckInDay: '2026-10-16' });
+      expect(getRepairOffer(unchanged, NOW)).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const config = require('../config');
+const { getEnergyLimits, getEnergyStatus, secondsUntilTaps, formatEnergyStatus } = require('../utils/energy');
+const { getTapKey, signTapBatch, verifyTapBatch } = require('../utils/tapBatch');
+
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+const SECOND = 1000;
+
+describe('energy', () => {
+  const snapshot = (energy, secondsAgo, fields = {}) => ({
+    gpuLevel: 1,
+    energy,
+    energyUpdatedAt: new Date(NOW - secondsAgo * SECOND),
+    ...fields,
+  });
+
+  describe('limits', () => {
+    test('start from the base values', () => {
+      expect(getEnergyLimits({ gpuLevel: 1 })).toEqual({
+        maxEnergy: config.energy.baseMax,
+        regenPerSecond: config.energy.baseRegenPerSecond,
+      });
+    });
+
+    test('grow with the GPU tier', () => {
+      expect(getEnergyLimits({ gpuLevel: 3 })).toEqual({ maxEnergy: 750, regenPerSecond: 1.5 });
+    });
+
+    test('treat a user without a GPU level as tier 1', () => {
+      expect(getEnergyLimits({})).toEqual(getEnergyLimits({ gpuLevel: 1 }));
+    });
+  });
+
+  describe('regeneration', () => {
+    test('fills a user without a snapshot', () => {
+      expect(getEnergyStatus({ gpuLevel: 1 }, NOW)).toMatchObject({ energy: 500, timeToFull: 0 });
+    });
+
+    test('adds energy for the time since the snapshot', () => {
+      expect(getEnergyStatus(snapshot(100, 30), NOW)).toMatchObject({ energy: 130, timeToFull: 370 });
+    });
+
+    test('stops at the maximum', () => {
+      expect(getEnergyStatus(snapshot(450, 3600), NOW)).toMatchObject({ energy: 500, timeToFull: 0 });
+    });
+
+    test('regenerates faster on a better GPU', () => {
+      expect(getEnergyStatus(snapshot(0, 10, { gpuLevel: 4 }), NOW)).toMatchObject({ energy: 20, maxEnergy: 1000 });
+    });
+
+    test('keeps fractions for the next read but reports whole energy', () => {
+      const status = getEnergyStatus(snapshot(10.75, 0, { gpuLevel: 2 }), NOW);
+
+      expect(status).toMatchObject({ energy: 10, exactEnergy: 10.75 });
+      expect(formatEnergyStatus(status)).toEqual({ energy: 10, maxEnergy: 600, regenPerSecond: 1.25, timeToFull: 472 });
+    });
+
+    test('ignores a snapshot from the future', () => {
+      expect(getEnergyStatus(snapshot(40, -60), NOW).energy).toBe(40);
+    });
+
+    test('waits until enough energy has come back', () => {
+      const status = getEnergyStatus(snapshot(2.5, 0), NOW);
+
+      expect(secondsUntilTaps(status, 1)).toBe(0);
+      expect(secondsUntilTaps(status, 5)).toBe(3);
+    });
+  });
+
+  describe('tap batches', () => {
+    let signingSecret;
+
+    const verify = (user, count) => {
+      const batch = { seq: 1, count, startedAt: NOW - 10 * SECOND, endedAt: NOW - SECOND };
+      const signature = signTapBatch(getTapKey('1001'), batch);
+      return verifyTapBatch({ telegramId: '1001', ...user }, { ...batch, signature }, NOW);
+    };
+
+    beforeAll(() => {
+      ({ signingSecret } = config.tap);
+      config.tap.signingSecret = 'tap-signing-secret';
+    });
+
+    afterAll(() => {
+      config.tap.signingSecret = signingSecret;
+    });
+
+    test('credit only the taps the energy covers', () => {
+      expect(verify(snapshot(3, 0), 10)).toMatchObject({ ok: true, acceptedTaps: 3, energyAfter: 0 });
+    });
+
+    test('use energy regenerated since the last batch', () => {
+      expect(verify(snapshot(0, 10), 10)).toMatchObject({ ok: true, acceptedTaps: 10, energyAfter: 0 });
+    });
+
+    test('tell an empty user when they can tap again', () => {
+      const result = verify(snapshot(0.5, 0), 10);
+
+      expect(result).toMatchObject({ ok: false, status: 429, rejection: { code: 'OUT_OF_ENERGY', retryAfter: 1 } });
+      expect(result.rejection).toMatchObject({ energy: 0, maxEnergy: 500 });
+    });
+  });
+});
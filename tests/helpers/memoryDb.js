@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-memory stand-ins for the Mongoose model methods the app uses, so specs
+ * run without a MongoDB server. Documents are kept as plain objects and
+ * handed out as hydrated model instances. Filters support equality, dotted
+ * paths and the operators below; updates support $set, $setOnInsert, $inc,
+ * $unset, $push, $max and $min, and the positional `$` after an $elemMatch
+ * or dotted array filter. Sessions run their callback directly and roll
+ * every stubbed model back on abortTransaction.
+ */
+
+const stores = new Map();
+
+const normalize = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const getPath = (obj, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+
+const equals = (actual, expected) => {
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some((item) => normalize(item) === normalize(expected));
+  }
+  if (expected === null) return actual === null || actual === undefined;
+  return normalize(actual) === normalize(expected);
+};
+
+const OPERATORS = {
+  $eq: (actual, expected) => equals(actual, expected),
+  $ne: (actual, expected) => !equals(actual, expected),
+  $in: (actual, list) => list.some((expected) => equals(actual, expected)),
+  $nin: (actual, list) => !list.some((expected) => equals(actual, expected)),
+  $gt: (actual, bound) => actual !== undefined && actual !== null && normalize(actual) > normalize(bound),
+  $gte: (actual, bound) => actual !== undefined && actual !== null && normalize(actual) >= normalize(bound),
+  $lt: (actual, bound) => actual !== undefined && actual !== null && normalize(actual) < normalize(bound),
+  $lte: (actual, bound) => actual !== undefined && actual !== null && normalize(actual) <= normalize(bound),
+  $exists: (actual, exists) => (actual !== undefined) === !!exists,
+  $type: (actual, type) => type === 'string' && typeof actual === 'string',
+  $elemMatch: (actual, sub) => Array.isArray(actual) && actual.some((item) => matches(item, sub)),
+};
+
+// Aggregation expressions as used in $expr filters: field paths and a few
+// comparison operators
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+  const [[op, args]] = Object.entries(expression);
+  const [a, b] = args.map((arg) => normalize(evaluate(doc, arg)));
+  switch (op) {
+    case '$eq':
+      return a === b;
+    case '$gt':
+      return a > b;
+    case '$gte':
+      return a >= b;
+    case '$lt':
+      return a < b;
+    case '$lte':
+      return a <= b;
+    case '$ifNull':
+      return a === undefined || a === null ? b : a;
+    case '$subtract':
+      return a - b;
+    default:
+      throw new Error(`memoryDb does not support ${op} in $expr`);
+  }
+};
+
+const isOperatorObject = (value) =>
+  value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).some((key) => key.startsWith('$'));
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some((sub) => matches(doc, sub));
+    if (path === '$and') return condition.every((sub) => matches(doc, sub));
+    if (path === '$expr') return !!evaluate(doc, condition);
+    const actual = getPath(doc, path);
+    if (!isOperatorObject(condition)) return equals(actual, condition);
+    return Object.entries(condition).every(([op, expected]) => {
+      if (!OPERATORS[op]) throw new Error(`memoryDb does not support ${op}`);
+      return OPERATORS[op](actual, expected);
+    });
+  });
+
+const compare = (sort) => (a, b) => {
+  for (const [path, direction] of Object.entries(sort)) {
+    const x = normalize(getPath(a, path));
+    const y = normalize(getPath(b, path));
+    if (x === y) continue;
+    if (x === undefined || x === null) return -direction;
+    if (y === undefined || y === null) return direction;
+    return x < y ? -direction : direction;
+  }
+  return 0;
+};
+
+// Chainable, awaitable query over a function that produces the result
+const makeQuery = (run) => {
+  const options = { lean: false };
+  const query = {
+    session: () => query,
+    select: () => query,
+    populate: () => query,
+    sort: (sort) => Object.assign(options, { sort }) && query,
+    skip: (skip) => Object.assign(options, { skip }) && query,
+    limit: (limit) => Object.assign(options, { limit }) && query,
+    lean: () => Object.assign(options, { lean: true }) && query,
+    exec: () => Promise.resolve().then(() => run(options)),
+    then: (resolve, reject) => query.exec().then(resolve, reject),
+    catch: (reject) => query.exec().catch(reject),
+  };
+  return query;
+};
+
+const duplicateKeyError = (Model, path) => {
+  const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${path}`);
+  error.code = 11000;
+  return error;
+};
+
+// Index of the array element a filter matched, for `entries.$.field` updates
+const positionalIndex = (doc, filter, arrayPath) => {
+  const items = getPath(doc, arrayPath) || [];
+  const condition = filter[arrayPath];
+  if (condition && condition.$elemMatch) return items.findIndex((item) => matches(item, condition.$elemMatch));
+  const prefix = `${arrayPath}.`;
+  const sub = Object.fromEntries(
+    Object.entries(filter)
+      .filter(([path]) => path.startsWith(prefix))
+      .map(([path, value]) => [path.slice(prefix.length), value])
+  );
+  return items.findIndex((item) => matches(item, sub));
+};
+
+/**
+ * Replaces the model's persistence with an in-memory store.
+ * unique lists paths that behave like unique indexes (missing values are
+ * not indexed, like a partial index); an array of paths is a compound index.
+ */
+const stubModel = (Model, { unique = [] } = {}) => {
+  const store = { docs: [], Model };
+  stores.set(Model.modelName, store);
+
+  const out = (doc, lean) => (doc ? (lean ? { ...doc } : Model.hydrate({ ...doc })) : null);
+  const find = (filter) => store.docs.filter((doc) => matches(doc, filter));
+
+  const checkUnique = (doc) => {
+    for (const index of unique) {
+      const paths = [].concat(index);
+      const values = paths.map((path) => getPath(doc, path));
+      if (values.some((value) => value === undefined || value === null)) continue;
+      const clash = store.docs.some(
+        (other) =>
+          normalize(other._id) !== normalize(doc._id) &&
+          paths.every((path, i) => equals(getPath(other, path), values[i]))
+      );
+      if (clash) throw duplicateKeyError(Model, paths.join('_'));
+    }
+  };
+
+  const write = (doc) => {
+    const plain = doc.toObject({ depopulate: true, virtuals: false });
+    checkUnique(plain);
+    const index = store.docs.findIndex((existing) => normalize(existing._id) === normalize(plain._id));
+    if (index >= 0) store.docs[index] = plain;
+    else store.docs.push(plain);
+    return plain;
+  };
+
+  // strict: false lets $unset remove fields the schema no longer has
+  const applyUpdate = (plain, update, inserting, filter = {}, { strict = true } = {}) => {
+    if (Array.isArray(update)) throw new Error('memoryDb does not support pipeline updates');
+    const doc = Model.hydrate({ ...plain });
+    const ops = isOperatorObject(update) ? update : { $set: update };
+    for (const [op, fields] of Object.entries(ops)) {
+      for (const [rawPath, value] of Object.entries(fields)) {
+        const [arrayPath, rest] = rawPath.split('.$');
+        const path = rest === undefined ? rawPath : `${arrayPath}.${positionalIndex(plain, filter, arrayPath)}${rest}`;
+        const current = doc.get(path);
+        switch (op) {
+          case '$set':
+            doc.set(path, value);
+            break;
+          case '$setOnInsert':
+            if (inserting) doc.set(path, value);
+            break;
+          case '$inc':
+            doc.set(path, (current || 0) + value);
+            break;
+          case '$unset':
+            doc.set(path, undefined, { strict });
+            break;
+          case '$push':
+            doc.set(path, [...(current || []), value]);
+            break;
+          case '$max':
+            if (current === undefined || current === null || normalize(value) > normalize(current)) doc.set(path, value);
+            break;
+          case '$min':
+            if (current === undefined || current === null || normalize(value) < normalize(current)) doc.set(path, value);
+            break;
+          default:
+            throw new Error(`memoryDb does not support ${op}`);
+        }
+      }
+    }
+    return write(doc);
+  };
+
+  const upsertBase = (filter) => {
+    const base = {};
+    for (const [path, value] of Object.entries(filter)) {
+      if (!path.startsWith('$') && !isOperatorObject(value)) base[path] = value;
+    }
+    return base;
+  };
+
+  const findOneAndUpdate = (filter, update, options = {}) =>
+    makeQuery(({ lean }) => {
+      const existing = find(filter)[0];
+      if (!existing) {
+        if (!options.upsert) return null;
+        const created = write(new Model(upsertBase(filter)));
+        return out(applyUpdate(created, update, true), lean);
+      }
+      const after = applyUpdate(existing, update, false, filter, options);
+      return out(options.new ? after : existing, lean);
+    });
+
+  const spy = (name, impl) => jest.spyOn(Model, name).mockImplementation(impl);
+
+  spy('find', (filter) =>
+    makeQuery(({ sort, skip = 0, limit, lean }) => {
+      let docs = find(filter);
+      if (sort) docs = [...docs].sort(compare(sort));
+      docs = docs.slice(skip, limit ? skip + limit : undefined);
+      return docs.map((doc) => out(doc, lean));
+    })
+  );
+  spy('findOne', (filter) =>
+    makeQuery(({ sort, lean }) => {
+      const docs = find(filter);
+      return out(sort ? [...docs].sort(compare(sort))[0] : docs[0], lean);
+    })
+  );
+  spy('findById', (id) => Model.findOne({ _id: id }));
+  spy('exists', (filter) => makeQuery(() => (find(filter)[0] ? { _id: find(filter)[0]._id } : null)));
+  spy('countDocuments', (filter) => makeQuery(() => find(filter).length));
+  spy('findOneAndUpdate', findOneAndUpdate);
+  spy('findByIdAndUpdate', (id, update, options) => findOneAndUpdate({ _id: id }, update, options));
+  spy('updateOne', (filter, update, options = {}) =>
+    makeQuery(() => {
+      const existing = find(filter)[0];
+      if (!existing && !options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      if (!existing) {
+        applyUpdate(write(new Model(upsertBase(filter))), update, true);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+      applyUpdate(existing, update, false, filter);
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    })
+  );
+  spy('updateMany', (filter, update) =>
+    makeQuery(() => {
+      const docs = find(filter);
+      docs.forEach((doc) => applyUpdate(doc, update, false, filter));
+      return { matchedCount: docs.length, modifiedCount: docs.length };
+    })
+  );
+  spy('findOneAndDelete', (filter) =>
+    makeQuery(({ lean }) => {
+      const existing = find(filter)[0];
+      if (existing) store.docs.splice(store.docs.indexOf(existing), 1);
+      return out(existing, lean);
+    })
+  );
+  spy('deleteOne', (filter) =>
+    makeQuery(() => {
+      const existing = find(filter)[0];
+      if (existing) store.docs.splice(store.docs.indexOf(existing), 1);
+      return { deletedCount: existing ? 1 : 0 };
+    })
+  );
+  spy('deleteMany', (filter) =>
+    makeQuery(() => {
+      const doomed = find(filter);
+      store.docs = store.docs.filter((doc) => !doomed.includes(doc));
+      return { deletedCount: doomed.length };
+    })
+  );
+  spy('create', async (input) => {
+    const many = Array.isArray(input);
+    const created = (many ? input : [input]).map((data) => {
+      const doc = new Model(data);
+      const error = doc.validateSync();
+      if (error) throw error;
+      write(doc);
+      return Model.hydrate({ ...store.docs.find((d) => normalize(d._id) === normalize(doc._id)) });
+    });
+    return many ? created : created[0];
+  });
+  spy('insertMany', (docs) => Model.create(docs));
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function save() {
+    const error = this.validateSync();
+    if (error) throw error;
+    write(this);
+    this.isNew = false;
+    return this;
+  });
+
+  return store;
+};
+
+// A session whose transactions roll the stubbed models back when aborted
+const fakeSession = () => {
+  let snapshot = null;
+  const session = {
+    withTransaction: async (fn) => {
+      snapshot = new Map([...stores].map(([name, store]) => [name, store.docs.map((doc) => ({ ...doc }))]));
+      try {
+        await fn(session);
+      } catch (error) {
+        session.abortTransaction();
+        throw error;
+      }
+      snapshot = null;
+    },
+    abortTransaction: async () => {
+      if (!snapshot) return;
+      for (const [name, docs] of snapshot) stores.get(name).docs = docs;
+      snapshot = null;
+    },
+    endSession: () => {},
+  };
+  return session;
+};
+
+const stubSessions = (Model) => jest.spyOn(Model, 'startSession').mockImplementation(async () => fakeSession());
+
+const resetStores = () => {
+  stores.clear();
+};
+
+module.exports = {
+  stubModel,
+  stubSessions,
+  resetStores,
+  matches,
+};
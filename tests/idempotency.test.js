@@ -0,0 +1,150 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const logger = require('../utils/logger');
+const { stubModel, resetStores } = require('./helpers/memoryDb');
+const idempotency = require('../middleware/idempotency');
+
+describe('Idempotency-Key middleware', () => {
+  let records;
+  let handler;
+  let user;
+
+  // A claim route behind auth and the middleware, answering with handler
+  const claimApp = () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post('/api/claim', idempotency, (req, res, next) => handler(req, res, next));
+    app.post('/api/other', idempotency, (req, res) => res.json({ other: true }));
+    return app;
+  };
+
+  const claim = (key, path = '/api/claim') => {
+    const pending = request(claimApp()).post(path);
+    return key === undefined ? pending : pending.set('Idempotency-Key', key);
+  };
+
+  // The close listener releases the key after the response is sent
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    resetStores();
+    records = stubModel(IdempotencyRecord, { unique: [['user', 'key']] });
+    user = { _id: new mongoose.Types.ObjectId(), telegramId: '1' };
+    let calls = 0;
+    handler = jest.fn((req, res) => res.json({ claimed: true, call: ++calls }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replays the stored response for a repeated key', async () => {
+    const first = await claim('key-1');
+    const repeat = await claim('key-1');
+
+    expect(first.body).toEqual({ claimed: true, call: 1 });
+    expect(repeat.body).toEqual({ claimed: true, call: 1 });
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes requests without a key straight through', async () => {
+    await claim();
+    await claim();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(records.docs).toHaveLength(0);
+  });
+
+  test('keeps keys apart per user', async () => {
+    await claim('key-1');
+    user = { _id: new mongoose.Types.ObjectId(), telegramId: '2' };
+    const other = await claim('key-1');
+
+    expect(other.body.call).toBe(2);
+  });
+
+  test('refuses a key reused for another request', async () => {
+    await claim('key-1');
+    const reused = await claim('key-1', '/api/other');
+
+    expect(reused.status).toBe(422);
+  });
+
+  test('refuses a repeated key while the first request is running', async () => {
+    records.docs.push({ user: user._id, key: 'key-1', method: 'POST', path: '/api/claim', state: 'pending' });
+
+    const repeat = await claim('key-1');
+
+    expect(repeat.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['an empty key', ''],
+    ['an overlong key', 'x'.repeat(256)],
+  ])('refuses %s', async (_, key) => {
+    const response = await claim(key);
+    expect(response.status).toBe(400);
+  });
+
+  test('stores client errors like any other response', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(400).json({ message: 'Not yet' }));
+
+    await claim('key-1');
+    const repeat = await claim('key-1');
+
+    expect(repeat.status).toBe(400);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('lets a retry through after a server error', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ message: 'Server error' }));
+
+    const failed = await claim('key-1');
+    const retry = await claim('key-1');
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(200);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('releases the key when the handler throws before responding', async () => {
+    handler.mockImplementationOnce(() => {
+      throw new Error('connection reset');
+    });
+
+    const failed = await claim('key-1');
+    await settle();
+    const retry = await claim('key-1');
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(200);
+    expect(retry.body.call).toBe(1);
+  });
+
+  test('releases the key when the handler passes an error on', async () => {
+    handler.mockImplementationOnce((req, res, next) => next(new Error('connection reset')));
+
+    await claim('key-1');
+    await settle();
+
+    expect(records.docs).toHaveLength(0);
+  });
+
+  test('keeps a completed response when the connection closes', async () => {
+    await claim('key-1');
+    await settle();
+
+    expect(records.docs).toEqual([expect.objectContaining({ state: 'completed', responseStatus: 200 })]);
+  });
+});
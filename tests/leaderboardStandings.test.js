@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const Leaderboard = require('../models/Leaderboard');
+const XpLedger = require('../models/XpLedger');
+const UserTitle = require('../models/UserTitle');
+const UserCosmetic = require('../models/UserCosmetic');
+const logger = require('../utils/logger');
+const { stubModel, stubSessions, resetStores, matches } = require('./helpers/memoryDb');
+const { finalizePeriod } = require('../utils/leaderboardStandings');
+
+// A few ms after the cron fires on Monday 2026-10-19
+const JUST_AFTER_MIDNIGHT = new Date('2026-10-19T00:00:00.040Z');
+
+describe('finalizePeriod', () => {
+  let ledger;
+  let users;
+
+  // Runs the standings pipeline over the stored ledger: the first $match
+  // selects the period, the rest is the group, rank and user join
+  const aggregateLedger = (pipeline) => {
+    const totals = new Map();
+    for (const entry of ledger.docs.filter((doc) => matches(doc, pipeline[0].$match))) {
+      const id = entry.user.toString();
+      totals.set(id, (totals.get(id) || 0) + entry.amount);
+    }
+    const limit = pipeline.find((stage) => stage.$limit).$limit;
+    return [...totals]
+      .map(([id, score]) => ({ user: users.docs.find((u) => u._id.toString() === id), score }))
+      .filter(({ user, score }) => score > 0 && user && user.username && !user.isFlagged)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ user, score }) => ({ _id: user._id, score, username: user.username }));
+  };
+
+  const earn = (user, amount, createdAt) =>
+    XpLedger.create({ user: user._id, amount, reason: 'tap', idempotencyKey: `${createdAt}:${amount}`, createdAt });
+
+  const findUser = (user) => User.findById(user._id);
+
+  let alice;
+  let bob;
+  let carol;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(async () => {
+    resetStores();
+    users = stubModel(User);
+    ledger = stubModel(XpLedger);
+    stubModel(Leaderboard, { unique: [['type', 'date']] });
+    stubModel(UserTitle, { unique: [['user', 'title']] });
+    stubModel(UserCosmetic, { unique: [['user', 'cosmetic']] });
+    stubSessions(User);
+    jest.spyOn(XpLedger, 'aggregate').mockImplementation(async (pipeline) => aggregateLedger(pipeline));
+
+    // Lifetime XP would put carol first; the periods below say otherwise
+    alice = await User.create({ telegramId: '1', username: 'alice', xp: 100 });
+    bob = await User.create({ telegramId: '2', username: 'bob', xp: 200 });
+    carol = await User.create({ telegramId: '3', username: 'carol', xp: 90000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a run just after midnight ranks the day that ended', async () => {
+    await earn(alice, 50, new Date('2026-10-18T09:00:00Z'));
+    await earn(bob, 80, new Date('2026-10-18T23:59:59Z'));
+    await earn(carol, 500, new Date('2026-10-19T00:00:00.010Z'));
+    await earn(carol, 999, new Date('2026-10-17T12:00:00Z'));
+
+    const result = await finalizePeriod('daily', JUST_AFTER_MIDNIGHT);
+
+    expect(result).toMatchObject({ finalized: true, ranked: 2, paid: 2, rewarded: 2 });
+    expect(result.periodStart.toISOString()).toBe('2026-10-18T00:00:00.000Z');
+    const [board] = await Leaderboard.find({ type: 'daily' });
+    expect(board.entries.map((entry) => [entry.username, entry.score, entry.paid])).toEqual([
+      ['bob', 80, true],
+      ['alice', 50, true],
+    ]);
+    expect((await findUser(bob)).highestLeaderboardRank).toBe(1);
+    expect(await UserTitle.exists({ user: bob._id, title: 'daily-champion' })).toBeTruthy();
+    expect(await UserTitle.exists({ user: alice._id, title: 'daily-podium' })).toBeTruthy();
+  });
+
+  test('a run on Monday morning ranks the week that ended', async () => {
+    await earn(alice, 300, new Date('2026-10-12T00:00:00Z'));
+    await earn(bob, 200, new Date('2026-10-18T23:00:00Z'));
+    await earn(carol, 900, new Date('2026-10-19T00:00:00.020Z'));
+
+    const result = await finalizePeriod('weekly', JUST_AFTER_MIDNIGHT);
+
+    expect(result.periodStart.toISOString()).toBe('2026-10-12T00:00:00.000Z');
+    const [board] = await Leaderboard.find({ type: 'weekly' });
+    expect(board.entries.map((entry) => entry.username)).toEqual(['alice', 'bob']);
+    expect(await UserCosmetic.countDocuments({ user: alice._id })).toBe(2);
+  });
+
+  test('a late run still closes the period that ended, not the current one', async () => {
+    await earn(alice, 50, new Date('2026-10-18T09:00:00Z'));
+
+    const result = await finalizePeriod('daily', new Date('2026-10-19T17:30:00Z'));
+
+    expect(result.periodStart.toISOString()).toBe('2026-10-18T00:00:00.000Z');
+  });
+
+  test('leaves flagged users and users without a username unranked', async () => {
+    await User.updateOne({ _id: bob._id }, { $set: { isFlagged: true } });
+    await User.updateOne({ _id: carol._id }, { $set: { username: '' } });
+    await earn(alice, 10, new Date('2026-10-18T09:00:00Z'));
+    await earn(bob, 80, new Date('2026-10-18T10:00:00Z'));
+    await earn(carol, 90, new Date('2026-10-18T11:00:00Z'));
+
+    await finalizePeriod('daily', JUST_AFTER_MIDNIGHT);
+
+    const [board] = await Leaderboard.find({ type: 'daily' });
+    expect(board.entries.map((entry) => entry.username)).toEqual(['alice']);
+  });
+
+  test('a second run pays only what the first one did not', async () => {
+    await earn(alice, 50, new Date('2026-10-18T09:00:00Z'));
+    await earn(bob, 80, new Date('2026-10-18T10:00:00Z'));
+    UserTitle.updateOne.mockImplementationOnce(() => {
+      throw new Error('connection reset');
+    });
+
+    await expect(finalizePeriod('daily', JUST_AFTER_MIDNIGHT)).rejects.toThrow('connection reset');
+    const [interrupted] = await Leaderboard.find({ type: 'daily' });
+    expect(interrupted.entries.map((entry) => entry.paid)).toEqual([false, false]);
+
+    const resumed = await finalizePeriod('daily', JUST_AFTER_MIDNIGHT);
+    const again = await finalizePeriod('daily', JUST_AFTER_MIDNIGHT);
+
+    expect(resumed).toMatchObject({ finalized: false, paid: 2 });
+    expect(again).toMatchObject({ finalized: false, paid: 0 });
+    const title = await UserTitle.findOne({ user: bob._id, title: 'daily-champion' });
+    expect(title.timesEarned).toBe(1);
+    expect((await findUser(bob)).leaderboardHistory).toHaveLength(1);
+  });
+});
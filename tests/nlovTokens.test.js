@@ -0,0 +1,119 @@
+const User = require('../models/User');
+const TokenConversion = require('../models/TokenConversion');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { stubModel, stubSessions, resetStores } = require('./helpers/memoryDb');
+const { getCurrentSeason, getTokenSummary, convertXpToTokens, getConversionHistory } = require('../utils/nlovTokens');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+const TOMORROW = new Date('2026-10-20T00:00:01Z');
+
+describe('NLOV conversion', () => {
+  let conversions;
+  let user;
+  let xpConversion;
+
+  const reload = () => User.findById(user._id);
+
+  beforeAll(() => {
+    logger.silent = true;
+    ({ xpConversion } = config.tokens);
+  });
+
+  beforeEach(async () => {
+    resetStores();
+    stubModel(User);
+    conversions = stubModel(TokenConversion);
+    stubSessions(User);
+    config.tokens.xpConversion = {
+      enabled: true,
+      dailyCap: 100,
+      seasons: [
+        { id: 'season-1', startsAt: '2024-01-01T00:00:00Z', xpPerToken: 1000 },
+        { id: 'season-2', startsAt: '2026-11-01T00:00:00Z', xpPerToken: 2000 },
+      ],
+    };
+    user = await User.create({ telegramId: '1', username: 'holder', xp: 500000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.tokens.xpConversion = xpConversion;
+  });
+
+  test('uses the rate of the latest season that has started', () => {
+    expect(getCurrentSeason(NOW).id).toBe('season-1');
+    expect(getCurrentSeason(new Date('2026-11-01T00:00:00Z')).id).toBe('season-2');
+    expect(getCurrentSeason(new Date('2023-12-31T00:00:00Z'))).toBeNull();
+  });
+
+  test('turns XP into tokens without lowering XP', async () => {
+    const result = await convertXpToTokens(user, 40, NOW);
+
+    expect(result.ok).toBe(true);
+    expect(result.conversion).toMatchObject({ xpSpent: 40000, tokens: 40, season: 'season-1', balanceAfter: 40, day: '2026-10-19' });
+    expect(await reload()).toMatchObject({ xp: 500000, xpConverted: 40000, nlovBalance: 40, tokensConvertedToday: 40 });
+  });
+
+  test('stops at the daily cap', async () => {
+    await convertXpToTokens(user, 60, NOW);
+
+    const over = await convertXpToTokens(user, 41, NOW);
+    const rest = await convertXpToTokens(user, 40, NOW);
+
+    expect(over).toMatchObject({ ok: false, status: 429, reason: 'daily_cap' });
+    expect(rest.ok).toBe(true);
+    expect(getTokenSummary(await reload(), NOW).conversion).toMatchObject({ convertedToday: 100, remainingToday: 0, maxTokensNow: 0 });
+  });
+
+  test('refuses more than the cap in one request', async () => {
+    await expect(convertXpToTokens(user, 101, NOW)).resolves.toMatchObject({ ok: false, status: 400, reason: 'daily_cap' });
+  });
+
+  test('opens a new allowance on the next UTC day', async () => {
+    await convertXpToTokens(user, 100, NOW);
+
+    const result = await convertXpToTokens(user, 100, TOMORROW);
+
+    expect(result.ok).toBe(true);
+    expect(await reload()).toMatchObject({ nlovBalance: 200, tokensConvertedToday: 100, tokenConversionDay: '2026-10-20' });
+  });
+
+  test('spends only XP that was not converted before', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { xp: 150000 } });
+    await convertXpToTokens(user, 100, NOW);
+
+    const result = await convertXpToTokens(user, 51, TOMORROW);
+
+    expect(result).toMatchObject({ ok: false, status: 400, reason: 'insufficient_xp' });
+    expect(getTokenSummary(await reload(), TOMORROW).conversion).toMatchObject({ convertibleXp: 50000, maxTokensNow: 50 });
+  });
+
+  test('lets only one of two concurrent conversions past the cap', async () => {
+    const results = await Promise.all([convertXpToTokens(user, 60, NOW), convertXpToTokens(user, 60, NOW)]);
+
+    expect(results.filter((result) => result.ok)).toHaveLength(1);
+    expect((await reload()).nlovBalance).toBe(60);
+    expect(conversions.docs).toHaveLength(1);
+  });
+
+  test('refuses conversions while they are switched off', async () => {
+    config.tokens.xpConversion.enabled = false;
+
+    await expect(convertXpToTokens(user, 1, NOW)).resolves.toMatchObject({ ok: false, status: 403 });
+    expect(getTokenSummary(user, NOW).conversion.enabled).toBe(false);
+  });
+
+  test('lists conversions newest first', async () => {
+    await convertXpToTokens(user, 10, NOW);
+    await convertXpToTokens(user, 20, TOMORROW);
+
+    const history = await getConversionHistory(user._id);
+
+    expect(history).toMatchObject({ total: 2, pages: 1 });
+    expect(history.conversions.map((conversion) => conversion.tokens)).toEqual([20, 10]);
+  });
+});
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { matchesAudience, buildAudienceQuery } = require('../utils/questAudience');
+const { matches } = require('./helpers/memoryDb');
+
+// Stored user documents, including older ones missing optional fields
+const USERS = [
+  {},
+  { level: 0, language: 'en' },
+  { level: 3, language: 'de', isPremium: true, createdAt: new Date('2024-03-01') },
+  { level: 12, language: 'en', referredBy: new mongoose.Types.ObjectId(), createdAt: new Date('2024-06-01') },
+  { level: 7, language: '', isFlagged: true, createdAt: new Date('2024-01-15') },
+  { level: 2, language: 'en', languageCode: 'ru' },
+  { level: 4, languageCode: 'de' },
+  { level: 1, language: 'de', languageCode: '' },
+];
+
+const AUDIENCES = [
+  {},
+  { languages: ['en'] },
+  { languages: ['de', 'ru'] },
+  { languages: ['ru'] },
+  { minLevel: 0 },
+  { minLevel: 5 },
+  { maxLevel: 0 },
+  { maxLevel: 5 },
+  { minLevel: 2, maxLevel: 10 },
+  { signedUpAfter: '2024-02-01' },
+  { signedUpBefore: '2024-02-01' },
+  { referred: true },
+  { referred: false },
+  { isPremium: true },
+  { isPremium: false, languages: ['en'], maxLevel: 20 },
+];
+
+describe('quest audience rules', () => {
+  test('uses the Telegram language before the profile language', () => {
+    expect(matchesAudience({ language: 'en', languageCode: 'ru' }, { languages: ['ru'] })).toBe(true);
+    expect(matchesAudience({ language: 'en', languageCode: 'ru' }, { languages: ['en'] })).toBe(false);
+    expect(matchesAudience({ language: 'de' }, { languages: ['de'] })).toBe(true);
+  });
+
+  test('shows flagged users no quests', () => {
+    expect(matchesAudience({ isFlagged: true }, {})).toBe(false);
+    expect(buildAudienceQuery({})).toEqual({ isFlagged: { $ne: true } });
+  });
+
+  test.each(AUDIENCES)('the estimate query agrees with the per-user check for %j', (audience) => {
+    const query = buildAudienceQuery(audience);
+    for (const user of USERS) {
+      expect([user, matches(user, query)]).toEqual([user, matchesAudience(user, audience)]);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Quest = require('../models/Quest');
+const QuestChain = require('../models/QuestChain');
+const { stubModel, resetStores } = require('./helpers/memoryDb');
+const { checkQuestLinks } = require('../utils/questChains');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('checkQuestLinks', () => {
+  let quests;
+  let chainId;
+  let oneOff;
+  let daily;
+
+  beforeEach(() => {
+    resetStores();
+    quests = stubModel(Quest);
+    chainId = id();
+    stubModel(QuestChain).docs.push({ _id: chainId, title: 'Getting started' });
+    oneOff = { _id: id(), type: 'tap', prerequisites: [] };
+    daily = { _id: id(), type: 'daily', prerequisites: [] };
+    quests.docs.push(oneOff, daily);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts one-off steps and prerequisites', async () => {
+    await expect(checkQuestLinks({ type: 'tap', chain: chainId, prerequisites: [oneOff._id] })).resolves.toBeNull();
+  });
+
+  test('refuses a periodic chain step', async () => {
+    await expect(checkQuestLinks({ type: 'weekly', chain: chainId })).resolves.toBe(
+      'Daily and weekly quests cannot be part of a chain'
+    );
+  });
+
+  test('refuses prerequisites on a periodic quest', async () => {
+    await expect(checkQuestLinks({ type: 'daily', prerequisites: [oneOff._id] })).resolves.toBe(
+      'Daily and weekly quests cannot have prerequisites'
+    );
+  });
+
+  test('refuses prerequisites that loop back to the quest', async () => {
+    const first = { _id: id(), type: 'tap', prerequisites: [oneOff._id] };
+    const second = { _id: id(), type: 'tap', prerequisites: [first._id] };
+    quests.docs.push(first, second);
+
+    await expect(checkQuestLinks({ ...oneOff, prerequisites: [first._id] }, oneOff._id)).resolves.toBe(
+      'Prerequisites cannot loop back to this quest'
+    );
+    await expect(checkQuestLinks({ ...oneOff, prerequisites: [second._id] }, oneOff._id)).resolves.toBe(
+      'Prerequisites cannot loop back to this quest'
+    );
+    await expect(checkQuestLinks({ ...second, prerequisites: [first._id] }, second._id)).resolves.toBeNull();
+  });
+
+  test('refuses a periodic prerequisite', async () => {
+    await expect(checkQuestLinks({ type: 'tap', prerequisites: [daily._id] })).resolves.toBe(
+      'Daily and weekly quests cannot be prerequisites'
+    );
+  });
+
+  test('refuses turning a prerequisite into a periodic quest', async () => {
+    quests.docs.push({ _id: id(), type: 'tap', prerequisites: [oneOff._id] });
+    await expect(checkQuestLinks({ ...oneOff, type: 'daily' }, oneOff._id)).resolves.toBe(
+      'Other quests depend on this quest, so it cannot be daily or weekly'
+    );
+  });
+
+  test('refuses unknown chains and prerequisites', async () => {
+    await expect(checkQuestLinks({ type: 'tap', chain: id() })).resolves.toBe('Quest chain not found');
+    await expect(checkQuestLinks({ type: 'tap', prerequisites: [id()] })).resolves.toBe(
+      'Prerequisite quest not found'
+    );
+  });
+});
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Quest = require('../models/Quest');
+const QuestProgress = require('../models/QuestProgress');
+const logger = require('../utils/logger');
+const { stubModel, resetStores } = require('./helpers/memoryDb');
+const {
+  recordQuestEvent,
+  ensureQuestInstance,
+  getQuestPeriod,
+  getQuestStates,
+  claimQuestInstance,
+} = require('../utils/questProgress');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const questDoc = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Tap {target} times',
+  description: 'Tap {target} times today',
+  type: 'daily',
+  action: 'tap',
+  requirement: 100,
+  requirementPerLevel: 0,
+  expiresAt: new Date(NOW.getTime() + 24 * HOUR),
+  ...fields,
+});
+
+describe('quest progress', () => {
+  let quests;
+  let progress;
+  let user;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    resetStores();
+    quests = stubModel(Quest);
+    progress = stubModel(QuestProgress, { unique: [['user', 'quest', 'period']] });
+    user = { _id: new mongoose.Types.ObjectId(), level: 3, utcOffsetMinutes: 0, completedQuests: [] };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordQuestEvent', () => {
+    test('counts events on running quests and completes them at the target', async () => {
+      const daily = questDoc();
+      quests.docs.push(daily);
+
+      await recordQuestEvent(user, 'tap', 60, NOW);
+      await recordQuestEvent(user, 'tap', 50, NOW);
+
+      const [instance] = progress.docs;
+      expect(instance).toMatchObject({ period: '2026-10-19', progress: 110, target: 100 });
+      expect(instance.completedAt).toEqual(NOW);
+    });
+
+    test('skips quests that have not started or are outside the audience', async () => {
+      quests.docs.push(
+        questDoc({ startsAt: new Date(NOW.getTime() + HOUR) }),
+        questDoc({ audience: { minLevel: 10 } }),
+        questDoc({ expiresAt: new Date(NOW.getTime() - HOUR) }),
+        questDoc({ action: 'login' })
+      );
+
+      await expect(recordQuestEvent(user, 'tap', 500, NOW)).resolves.toBe(0);
+      expect(progress.docs).toHaveLength(0);
+    });
+
+    test('keeps progress per local day', async () => {
+      quests.docs.push(questDoc());
+      const tokyo = { ...user, utcOffsetMinutes: 9 * 60 };
+
+      // 16:00 UTC is already the next day in Tokyo
+      await recordQuestEvent(tokyo, 'tap', 10, new Date('2026-10-19T14:00:00Z'));
+      await recordQuestEvent(tokyo, 'tap', 10, new Date('2026-10-19T16:00:00Z'));
+
+      expect(progress.docs.map((doc) => [doc.period, doc.progress])).toEqual([
+        ['2026-10-19', 10],
+        ['2026-10-20', 10],
+      ]);
+    });
+
+    test('never fails the action that produced the event', async () => {
+      Quest.find.mockImplementation(() => {
+        throw new Error('connection reset');
+      });
+      await expect(recordQuestEvent(user, 'tap', 1, NOW)).resolves.toBe(0);
+    });
+  });
+
+  describe('instances', () => {
+    test('retries the upsert once when a concurrent request inserted first', async () => {
+      const quest = questDoc({ action: 'follow' });
+      const period = getQuestPeriod(user, quest, NOW);
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      QuestProgress.findOneAndUpdate.mockImplementationOnce(() => {
+        throw duplicate;
+      });
+
+      const instance = await ensureQuestInstance(user, quest, period, NOW);
+
+      expect(instance.period).toBe('2026-10-19');
+      expect(QuestProgress.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    test('only claims a tracked quest once, and only at its target', async () => {
+      const quest = questDoc();
+      quests.docs.push(quest);
+      const period = getQuestPeriod(user, quest, NOW);
+      await recordQuestEvent(user, 'tap', 40, NOW);
+      const instance = await ensureQuestInstance(user, quest, period, NOW);
+
+      await expect(claimQuestInstance(instance, quest, { now: NOW })).resolves.toBeNull();
+      await recordQuestEvent(user, 'tap', 60, NOW);
+      await expect(claimQuestInstance(instance, quest, { now: NOW })).resolves.toBeTruthy();
+      await expect(claimQuestInstance(instance, quest, { now: NOW })).resolves.toBeNull();
+    });
+
+    test('reopens daily quests at the next local day', async () => {
+      const quest = questDoc();
+      quests.docs.push(quest);
+      await recordQuestEvent(user, 'tap', 100, NOW);
+      const instance = await ensureQuestInstance(user, quest, getQuestPeriod(user, quest, NOW), NOW);
+      await claimQuestInstance(instance, quest, { now: NOW });
+
+      const [today] = await getQuestStates(user, [quest], NOW);
+      const [tomorrow] = await getQuestStates(user, [quest], new Date(NOW.getTime() + 24 * HOUR));
+
+      expect(today).toMatchObject({ claimed: true, title: 'Tap 100 times' });
+      expect(today.resetsAt.toISOString()).toBe('2026-10-20T00:00:00.000Z');
+      expect(tomorrow).toMatchObject({ claimed: false, progress: 0 });
+    });
+  });
+});
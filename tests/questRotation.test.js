@@ -0,0 +1,123 @@
+const Quest = require('../models/Quest');
+const logger = require('../utils/logger');
+const { stubModel, resetStores, matches } = require('./helpers/memoryDb');
+const { QUEST_TEMPLATES } = require('../utils/questTemplatesCatalog');
+const {
+  getRotationWindow,
+  getScaledRequirement,
+  buildRotation,
+  generateRotation,
+  previewNextRotation,
+} = require('../utils/questRotation');
+
+// Wednesday of the rotation that starts on Monday 2026-10-19
+const NOW = new Date('2026-10-21T12:00:00Z');
+
+describe('quest rotation', () => {
+  let quests;
+
+  const templatesOf = (rotation) => rotation.map((quest) => quest.template);
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(() => {
+    resetStores();
+    quests = stubModel(Quest, { unique: [['rotation', 'template']] });
+    jest.spyOn(Quest, 'distinct').mockImplementation(async (path, filter) => [
+      ...new Set(quests.docs.filter((doc) => matches(doc, filter)).map((doc) => doc[path])),
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs from Monday to Monday UTC', () => {
+    const window = getRotationWindow(NOW);
+
+    expect(window.key).toBe('2026-10-19');
+    expect(window.startsAt.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+    expect(window.expiresAt.toISOString()).toBe('2026-10-26T00:00:00.000Z');
+    expect(getRotationWindow(new Date('2026-10-25T23:59:59Z')).key).toBe('2026-10-19');
+  });
+
+  test('builds the same rotation for the same week', () => {
+    const window = getRotationWindow(NOW);
+
+    expect(buildRotation(window)).toEqual(buildRotation(window));
+  });
+
+  test('picks the configured number of daily and weekly quests within the template ranges', () => {
+    const rotation = buildRotation(getRotationWindow(NOW));
+
+    expect(rotation.filter((quest) => quest.type === 'daily')).toHaveLength(2);
+    expect(rotation.filter((quest) => quest.type === 'weekly')).toHaveLength(2);
+    for (const quest of rotation) {
+      const { requirement, xpReward } = QUEST_TEMPLATES.find((template) => template.id === quest.template);
+      expect(quest.requirement).toBeGreaterThanOrEqual(requirement.min);
+      expect(quest.requirement).toBeLessThanOrEqual(requirement.max);
+      expect((quest.requirement - requirement.min) % requirement.step).toBe(0);
+      expect(quest.xpReward).toBe(Math.round(xpReward.base + xpReward.perUnit * quest.requirement));
+      expect(quest).toMatchObject({ rotation: '2026-10-19', expiresAt: new Date('2026-10-26T00:00:00Z') });
+    }
+  });
+
+  test("avoids last week's templates while others remain", () => {
+    const window = getRotationWindow(NOW);
+    const previous = templatesOf(buildRotation(window));
+    const next = getRotationWindow(window.expiresAt);
+
+    const picked = templatesOf(buildRotation(next, previous));
+
+    expect(picked.filter((id) => previous.includes(id))).toEqual([]);
+  });
+
+  test('scales requirements by level up to the maximum', () => {
+    const quest = { requirement: 200, requirementPerLevel: 25, maxRequirement: 1500 };
+
+    expect(getScaledRequirement(quest, 0)).toBe(200);
+    expect(getScaledRequirement(quest, 10)).toBe(450);
+    expect(getScaledRequirement(quest, 100)).toBe(1500);
+    expect(getScaledRequirement({ requirement: 3 }, 50)).toBe(3);
+    expect(getScaledRequirement({ requirement: 2000, maxRequirement: 1500 }, 5)).toBe(2000);
+  });
+
+  test('generates each rotation once', async () => {
+    const first = await generateRotation(NOW);
+    const again = await generateRotation(new Date('2026-10-24T08:00:00Z'));
+
+    expect(first).toMatchObject({ created: true, rotation: '2026-10-19' });
+    expect(first.quests).toHaveLength(4);
+    expect(again).toMatchObject({ created: false, quests: [] });
+    expect(quests.docs).toHaveLength(4);
+  });
+
+  test('treats a rotation another instance inserted first as generated', async () => {
+    const original = Quest.insertMany.getMockImplementation();
+    // The other instance's insert lands between the exists check and ours
+    Quest.insertMany.mockImplementationOnce(async (docs) => {
+      await original(docs);
+      return original(docs);
+    });
+
+    await expect(generateRotation(NOW)).resolves.toMatchObject({ created: false });
+  });
+
+  test('previews exactly what the next week will generate', async () => {
+    await generateRotation(NOW);
+
+    const preview = await previewNextRotation(NOW, [0, 10]);
+    const generated = await generateRotation(new Date('2026-10-26T00:00:00Z'));
+
+    expect(preview.rotation).toBe('2026-10-26');
+    expect(preview.excludedTemplates.sort()).toEqual(templatesOf(quests.docs.slice(0, 4)).sort());
+    expect(preview.quests.map((quest) => [quest.template, quest.requirement])).toEqual(
+      generated.quests.map((quest) => [quest.template, quest.requirement])
+    );
+    for (const quest of preview.quests) {
+      expect(quest.targetsByLevel[10]).toBe(getScaledRequirement(quest, 10));
+    }
+  });
+});
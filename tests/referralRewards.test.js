@@ -0,0 +1,134 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const Activity = require('../models/Activity');
+const ActiveBoost = require('../models/ActiveBoost');
+const XpLedger = require('../models/XpLedger');
+const WithheldReferralReward = require('../models/WithheldReferralReward');
+const logger = require('../utils/logger');
+const { stubModel, stubSessions, resetStores } = require('./helpers/memoryDb');
+const { processReferralReward, releaseWithheldReferralRewards } = require('../controllers/referralController');
+const moderationRoutes = require('../routes/moderationRoutes');
+
+describe('referral rewards of flagged accounts', () => {
+  let withheld;
+  let referrer;
+  let referred;
+  let reviewer;
+
+  const xpOf = async (user) => (await User.findById(user._id)).xp;
+
+  // The moderation router as app.js mounts it, behind auth
+  const moderationApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = reviewer;
+      next();
+    });
+    app.use('/api/moderation', moderationRoutes);
+    return app;
+  };
+
+  const review = (user, decision) =>
+    request(moderationApp()).post(`/api/moderation/users/${user.telegramId}/review`).send({ decision });
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(async () => {
+    resetStores();
+    [User, Referral, Activity, ActiveBoost].forEach((Model) => stubModel(Model));
+    stubModel(XpLedger, { unique: [['user', 'idempotencyKey']] });
+    withheld = stubModel(WithheldReferralReward, { unique: ['idempotencyKey'] });
+    stubSessions(User);
+
+    referrer = await User.create({ telegramId: '1', username: 'referrer', xp: 0 });
+    referred = await User.create({ telegramId: '2', username: 'referred', xp: 0, referredBy: referrer._id });
+    reviewer = await User.create({ telegramId: '3', username: 'reviewer', isTeamMember: true });
+    await Referral.create({ referrer: referrer._id, referred: referred._id, code: 'ABC123', tier: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pays the referrer while neither side is flagged', async () => {
+    await processReferralReward(referred._id, 1000, 'tap:1');
+
+    expect(await xpOf(referrer)).toBe(100);
+    expect(withheld.docs).toHaveLength(0);
+  });
+
+  test('holds back what a flagged user earns and pays it once cleared', async () => {
+    await User.updateOne({ _id: referred._id }, { $set: { isFlagged: true } });
+
+    await processReferralReward(referred._id, 1000, 'tap:1');
+    await processReferralReward(referred._id, 1000, 'tap:1');
+
+    expect(await xpOf(referrer)).toBe(0);
+    expect(withheld.docs).toHaveLength(1);
+    const [held] = withheld.docs;
+    expect(held).toMatchObject({ amount: 100, idempotencyKey: `referral:tap:1:${held.referral}` });
+
+    const response = await review(referred, 'clear');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ isFlagged: false, releasedReferralRewards: 1 });
+    expect(await xpOf(referrer)).toBe(100);
+    expect((await Referral.findOne({ referred: referred._id })).totalRewardsDistributed).toBe(100);
+    expect(withheld.docs).toHaveLength(0);
+  });
+
+  test('holds back payouts to a flagged referrer', async () => {
+    await User.updateOne({ _id: referrer._id }, { $set: { isFlagged: true } });
+
+    await processReferralReward(referred._id, 500, 'tap:1');
+    await processReferralReward(referred._id, 500, 'tap:2');
+
+    expect(await xpOf(referrer)).toBe(0);
+    await expect(releaseWithheldReferralRewards(referrer._id)).resolves.toBe(0);
+
+    await review(referrer, 'clear');
+    expect(await xpOf(referrer)).toBe(100);
+  });
+
+  test('keeps a payout withheld while the other side is still flagged', async () => {
+    await User.updateMany({}, { $set: { isFlagged: true } });
+    await processReferralReward(referred._id, 1000, 'tap:1');
+
+    const response = await review(referred, 'clear');
+
+    expect(response.body.releasedReferralRewards).toBe(0);
+    expect(withheld.docs).toHaveLength(1);
+  });
+
+  test('does not pay a released reward twice', async () => {
+    await User.updateOne({ _id: referred._id }, { $set: { isFlagged: true } });
+    await processReferralReward(referred._id, 1000, 'tap:1');
+    await User.updateOne({ _id: referred._id }, { $set: { isFlagged: false } });
+
+    await releaseWithheldReferralRewards(referred._id);
+    await releaseWithheldReferralRewards(referred._id);
+    await processReferralReward(referred._id, 1000, 'tap:2');
+
+    expect(await xpOf(referrer)).toBe(200);
+    expect(await XpLedger.countDocuments({ user: referrer._id })).toBe(2);
+  });
+
+  test('keeps the review when releasing fails', async () => {
+    await User.updateOne({ _id: referred._id }, { $set: { isFlagged: true } });
+    await processReferralReward(referred._id, 1000, 'tap:1');
+    WithheldReferralReward.find.mockImplementationOnce(() => {
+      throw new Error('connection reset');
+    });
+
+    const response = await review(referred, 'clear');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ isFlagged: false, releasedReferralRewards: 0 });
+    expect(withheld.docs).toHaveLength(1);
+  });
+});
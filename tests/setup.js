@@ -1,15 +1,4 @@
-// Mock MongoDB
-jest.mock('mongoose', () => ({
-    connect: jest.fn(),
-    connection: {
-      on: jest.fn(),
-      once: jest.fn(),
-    },
-    model: jest.fn().mockReturnValue({}),
-    Schema: jest.fn(),
-  }));
-  
-  // Mock jsonwebtoken
+// Mock jsonwebtoken
   jest.mock('jsonwebtoken', () => ({
     sign: jest.fn().mockReturnValue('mocked_token'),
     verify: jest.fn().mockImplementation((token, secret, callback) => {
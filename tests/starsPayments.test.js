@@ -0,0 +1,234 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const BoostItem = require('../models/BoostItem');
+const Activity = require('../models/Activity');
+const GPU = require('../models/GPU');
+const logger = require('../utils/logger');
+const { stubModel, stubSessions, resetStores } = require('./helpers/memoryDb');
+const {
+  createInvoice,
+  handlePreCheckoutQuery,
+  handleSuccessfulPayment,
+  refundOrder,
+} = require('../utils/starsPayments');
+
+// Records what the payment code asks of Telegram
+const stubBot = () => ({
+  createInvoiceLink: jest.fn().mockResolvedValue('https://t.me/$invoice'),
+  answerPreCheckoutQuery: jest.fn().mockResolvedValue(true),
+  sendMessage: jest.fn().mockResolvedValue({}),
+  _request: jest.fn().mockResolvedValue(true),
+});
+
+const checkoutQuery = (order, overrides = {}) => ({
+  id: 'query-1',
+  from: { id: Number(order.telegramId) },
+  currency: 'XTR',
+  total_amount: order.stars,
+  invoice_payload: order.orderId,
+  ...overrides,
+});
+
+const paymentMessage = (order, chargeId = 'charge-1') => ({
+  chat: { id: Number(order.telegramId) },
+  successful_payment: {
+    currency: 'XTR',
+    total_amount: order.stars,
+    invoice_payload: order.orderId,
+    telegram_payment_charge_id: chargeId,
+  },
+});
+
+describe('Telegram Stars payments', () => {
+  let bot;
+  let user;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(async () => {
+    resetStores();
+    [User, BoostItem, Activity, GPU].forEach((Model) => stubModel(Model));
+    stubModel(Order, { unique: ['orderId', 'telegramPaymentChargeId'] });
+    stubSessions(User);
+    bot = stubBot();
+    user = await User.create({ telegramId: '1001', username: 'buyer', compute: 0, gpuLevel: 1, level: 5 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createInvoice', () => {
+    test('creates a pending order and a Stars invoice for it', async () => {
+      const result = await createInvoice(bot, user, 'compute-crate');
+
+      expect(result.ok).toBe(true);
+      expect(result.invoiceLink).toBe('https://t.me/$invoice');
+      expect(result.order.status).toBe('pending');
+      expect(result.order.stars).toBe(75);
+      expect(bot.createInvoiceLink).toHaveBeenCalledWith(
+        'Compute Crate',
+        expect.any(String),
+        result.order.orderId,
+        '',
+        'XTR',
+        [{ label: 'Compute Crate', amount: 75 }]
+      );
+    });
+
+    test('refuses items the user already owns up to the limit', async () => {
+      await Order.create({
+        orderId: 'owned',
+        user: user._id,
+        telegramId: user.telegramId,
+        item: 'neon-rig-skin',
+        title: 'Neon Grid Rig Skin',
+        stars: 100,
+        status: 'fulfilled',
+      });
+
+      const result = await createInvoice(bot, user, 'neon-rig-skin');
+
+      expect(result).toMatchObject({ ok: false, status: 400, reason: 'limit_reached' });
+      expect(bot.createInvoiceLink).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 for unknown items', async () => {
+      const result = await createInvoice(bot, user, 'nope');
+      expect(result).toMatchObject({ ok: false, status: 404 });
+    });
+  });
+
+  describe('pre_checkout_query', () => {
+    let order;
+
+    beforeEach(async () => {
+      ({ order } = await createInvoice(bot, user, 'compute-crate'));
+    });
+
+    test('accepts a matching checkout', async () => {
+      await handlePreCheckoutQuery(bot, checkoutQuery(order));
+      expect(bot.answerPreCheckoutQuery).toHaveBeenCalledWith('query-1', true);
+    });
+
+    test.each([
+      ['a changed price', { total_amount: 1 }, 'Price changed, please try again'],
+      ['another currency', { currency: 'USD' }, 'Price changed, please try again'],
+      ['another payer', { from: { id: 999 } }, 'This invoice belongs to another user'],
+      ['an unknown order', { invoice_payload: 'missing' }, 'Order not found'],
+    ])('refuses %s', async (_, overrides, message) => {
+      await handlePreCheckoutQuery(bot, checkoutQuery(order, overrides));
+      expect(bot.answerPreCheckoutQuery).toHaveBeenCalledWith('query-1', false, { error_message: message });
+    });
+
+    test('refuses an order that was already paid', async () => {
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'paid' } });
+      await handlePreCheckoutQuery(bot, checkoutQuery(order));
+      expect(bot.answerPreCheckoutQuery).toHaveBeenCalledWith('query-1', false, {
+        error_message: 'This order was already paid',
+      });
+    });
+  });
+
+  describe('successful_payment', () => {
+    test('delivers the item once however often Telegram repeats the update', async () => {
+      const { order } = await createInvoice(bot, user, 'compute-crate');
+
+      const first = await handleSuccessfulPayment(bot, paymentMessage(order));
+      const repeat = await handleSuccessfulPayment(bot, paymentMessage(order));
+
+      expect(first.ok).toBe(true);
+      expect(first.order.status).toBe('fulfilled');
+      expect(repeat).toMatchObject({ ok: true, duplicate: true });
+      expect((await User.findById(user._id)).compute).toBe(25000);
+      expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not settle a second order with the same charge', async () => {
+      const { order: first } = await createInvoice(bot, user, 'compute-crate');
+      const { order: second } = await createInvoice(bot, user, 'compute-crate');
+
+      await handleSuccessfulPayment(bot, paymentMessage(first, 'charge-1'));
+      const result = await handleSuccessfulPayment(bot, paymentMessage(second, 'charge-1'));
+
+      expect(result).toMatchObject({ ok: false, message: 'Unknown order' });
+      expect((await Order.findById(second._id)).status).toBe('pending');
+      expect((await User.findById(user._id)).compute).toBe(25000);
+    });
+
+    test('refunds a payment it cannot deliver', async () => {
+      const { order } = await createInvoice(bot, user, 'streak-freeze');
+      await User.updateOne({ _id: user._id }, { $set: { streakFreezes: 5 } });
+
+      const result = await handleSuccessfulPayment(bot, paymentMessage(order));
+
+      expect(result.ok).toBe(false);
+      expect(result.order.status).toBe('refunded');
+      expect(bot._request).toHaveBeenCalledWith('refundStarPayment', {
+        form: { user_id: 1001, telegram_payment_charge_id: 'charge-1' },
+      });
+    });
+  });
+
+  describe('refundOrder', () => {
+    test('refunds through Telegram and takes back unused boost items', async () => {
+      const { order } = await createInvoice(bot, user, 'xp-boost-pack');
+      await handleSuccessfulPayment(bot, paymentMessage(order));
+      const [used] = await BoostItem.find({ user: user._id });
+      await BoostItem.updateOne({ _id: used._id }, { $set: { usedAt: new Date() } });
+
+      const result = await refundOrder(bot, order.orderId, { reason: 'Requested by user' });
+
+      expect(result.ok).toBe(true);
+      expect(result.order.status).toBe('refunded');
+      expect(result.order.refund.revoked.boostItems).toBe(2);
+      expect(await BoostItem.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    test('prefers the library method once it exists', async () => {
+      bot.refundStarPayment = jest.fn().mockResolvedValue(true);
+      const { order } = await createInvoice(bot, user, 'xp-boost-pack');
+      await handleSuccessfulPayment(bot, paymentMessage(order));
+
+      await refundOrder(bot, order.orderId, { reason: 'test' });
+
+      expect(bot.refundStarPayment).toHaveBeenCalledWith(1001, 'charge-1');
+      expect(bot._request).not.toHaveBeenCalled();
+    });
+
+    test('takes back the card and tier of a GPU upgrade', async () => {
+      const { order } = await createInvoice(bot, user, 'gpu-upgrade');
+      await handleSuccessfulPayment(bot, paymentMessage(order));
+      expect((await User.findById(user._id)).gpuLevel).toBe(2);
+      expect(await GPU.countDocuments({ user: user._id })).toBe(2);
+
+      const result = await refundOrder(bot, order.orderId, { reason: 'test' });
+
+      expect(result.order.refund.revoked).toMatchObject({ gpu: true, gpuLevel: true });
+      const refunded = await User.findById(user._id);
+      expect(refunded.gpuLevel).toBe(1);
+      expect(refunded.computePower).toBe(1);
+      expect(await GPU.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    test('keeps the order paid when Telegram refuses the refund', async () => {
+      bot._request.mockRejectedValue(new Error('CHARGE_ALREADY_REFUNDED'));
+      const { order } = await createInvoice(bot, user, 'compute-crate');
+      await handleSuccessfulPayment(bot, paymentMessage(order));
+
+      const result = await refundOrder(bot, order.orderId, { reason: 'test' });
+
+      expect(result).toMatchObject({ ok: false, status: 502 });
+      expect((await Order.findById(order._id)).status).toBe('fulfilled');
+      expect((await User.findById(user._id)).compute).toBe(25000);
+    });
+
+    test('refuses orders that were never paid', async () => {
+      const { order } = await createInvoice(bot, user, 'compute-crate');
+      const result = await refundOrder(bot, order.orderId, { reason: 'test' });
+      expect(result).toMatchObject({ ok: false, status: 409 });
+    });
+  });
+});
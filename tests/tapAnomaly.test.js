@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const logger = require('../utils/logger');
+const { stubModel, resetStores, matches } = require('./helpers/memoryDb');
+const { getCadenceStats, getPatternFingerprint, scoreCadence, trackTapBatch } = require('../utils/tapAnomaly');
+
+const SECOND = 1000;
+const START = Date.parse('2026-10-19T08:00:00Z');
+
+// n batches of taps, each lasting duration(i) ms and starting gap(i) ms after the last one
+const makeBatches = (n, { count = () => 50, duration = () => 5 * SECOND, gap = () => 10 * SECOND } = {}) => {
+  const batches = [];
+  let at = START;
+  for (let i = 0; i < n; i++) {
+    const startedAt = at;
+    const endedAt = startedAt + duration(i);
+    batches.push({ count: count(i), startedAt, endedAt });
+    at = endedAt + gap(i);
+  }
+  return batches;
+};
+
+// Deterministic jitter, so the human-like cadence is the same on every run
+const jitter = (i, spread) => ((i * 7919) % 13) / 12 * spread;
+
+const scripted = (n) => makeBatches(n);
+const human = (n) =>
+  makeBatches(n, {
+    count: (i) => 30 + Math.round(jitter(i, 40)),
+    duration: (i) => 4 * SECOND + jitter(i + 3, 4 * SECOND),
+    gap: (i) => 5 * SECOND + jitter(i + 5, 30 * SECOND),
+  });
+
+describe('tap anomaly detection', () => {
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scoring', () => {
+    test('flags a constant rate with constant gaps', () => {
+      const { score, reasons } = scoreCadence(getCadenceStats(scripted(25)));
+
+      expect(reasons).toEqual(['constant_tap_rate', 'constant_batch_gaps']);
+      expect(score).toBe(60);
+    });
+
+    test('leaves a varied cadence alone', () => {
+      expect(scoreCadence(getCadenceStats(human(25)))).toEqual({ score: 0, reasons: [] });
+    });
+
+    test('does not score cadence before enough batches', () => {
+      expect(scoreCadence(getCadenceStats(scripted(19))).score).toBe(0);
+    });
+
+    test('flags sessions that never end', () => {
+      // One batch a minute for seven hours, never pausing long enough to end the session
+      const stats = getCadenceStats(human(5).concat(makeBatches(420, { gap: () => 55 * SECOND })));
+
+      expect(stats.longestSessionHours).toBeGreaterThan(6);
+      expect(scoreCadence(stats).reasons).toContain('never_ending_session');
+    });
+
+    test('flags a pattern shared with other accounts and caps the score', () => {
+      const { score, reasons } = scoreCadence(getCadenceStats(scripted(25)), 2);
+
+      expect(reasons).toContain('pattern_shared_across_accounts');
+      expect(score).toBe(100);
+    });
+
+    test('fingerprints the shape of the recent batches, not their times', () => {
+      const later = scripted(20).map((batch) => ({ ...batch, startedAt: batch.startedAt + 60 * SECOND, endedAt: batch.endedAt + 60 * SECOND }));
+
+      expect(getPatternFingerprint(scripted(19))).toBeNull();
+      expect(getPatternFingerprint(scripted(20))).toBe(getPatternFingerprint(later));
+      expect(getPatternFingerprint(human(20))).not.toBe(getPatternFingerprint(scripted(20)));
+    });
+  });
+
+  describe('trackTapBatch', () => {
+    let activities;
+    let user;
+
+    // Stores earlier batches as the tap activity trackTapBatch reads back
+    const recordHistory = (batches, owner = user) => {
+      batches.forEach((batch, i) =>
+        activities.docs.push({
+          _id: new mongoose.Types.ObjectId(),
+          user: owner._id,
+          type: 'tap',
+          details: { seq: i + 1, ...batch, fingerprint: getPatternFingerprint(batches.slice(0, i + 1)) },
+          timestamp: new Date(Date.now() - (batches.length - i) * SECOND),
+        })
+      );
+    };
+
+    beforeEach(async () => {
+      resetStores();
+      stubModel(User);
+      activities = stubModel(Activity);
+      jest.spyOn(Activity, 'distinct').mockImplementation(async (path, filter) => [
+        ...new Set(activities.docs.filter((doc) => matches(doc, filter)).map((doc) => doc[path].toString())),
+      ]);
+      user = await User.create({ telegramId: '1', username: 'tapper' });
+    });
+
+    test('flags a scripted account for review once', async () => {
+      const batches = scripted(26);
+      recordHistory(batches.slice(0, 24));
+      const other = await User.create({ telegramId: '2', username: 'twin' });
+      recordHistory(batches.slice(0, 25), other);
+
+      const result = await trackTapBatch(user, { seq: 25, ...batches[24] }, batches[24].count);
+      const flagged = await User.findById(user._id);
+      const again = await trackTapBatch(flagged, { seq: 26, ...batches[25] }, batches[25].count);
+
+      expect(result).toMatchObject({ score: 100, flagged: true });
+      expect(flagged).toMatchObject({ isFlagged: true, riskScore: 100 });
+      expect(flagged.flagReasons).toContain('pattern_shared_across_accounts');
+      expect(again.flagged).toBe(true);
+      expect(activities.docs.filter((doc) => doc.type === 'risk_flag')).toHaveLength(1);
+    });
+
+    test('scores but does not flag below the threshold', async () => {
+      const batches = scripted(25);
+      recordHistory(batches.slice(0, 24));
+
+      const result = await trackTapBatch(user, { seq: 25, ...batches[24] }, batches[24].count);
+
+      expect(result).toMatchObject({ score: 60, flagged: false });
+      expect(await User.findById(user._id)).toMatchObject({ isFlagged: false, riskScore: 60 });
+    });
+
+    test('ignores evidence from before the last review', async () => {
+      const batches = scripted(25);
+      recordHistory(batches.slice(0, 24));
+      await User.updateOne({ _id: user._id }, { $set: { flagReviewedAt: new Date() } });
+
+      const result = await trackTapBatch(await User.findById(user._id), { seq: 25, ...batches[24] }, batches[24].count);
+
+      expect(result.score).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const config = require('../config');
+const { REJECTION, getTapKey, signTapBatch, verifyTapBatch } = require('../utils/tapBatch');
+
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+const SECOND = 1000;
+
+describe('tap batches', () => {
+  let signingSecret;
+  let user;
+
+  // A batch of count taps ending just before NOW, signed with the user's key
+  const signedBatch = (fields = {}) => {
+    const batch = { seq: 1, count: 10, startedAt: NOW - 5 * SECOND, endedAt: NOW - SECOND, ...fields };
+    return { ...batch, signature: signTapBatch(getTapKey(user.telegramId), batch) };
+  };
+
+  const rejectionOf = (batch, at = NOW) => {
+    const result = verifyTapBatch(user, batch, at);
+    return result.ok ? null : result.rejection.code;
+  };
+
+  beforeAll(() => {
+    ({ signingSecret } = config.tap);
+    config.tap.signingSecret = 'tap-signing-secret';
+  });
+
+  afterAll(() => {
+    config.tap.signingSecret = signingSecret;
+  });
+
+  beforeEach(() => {
+    user = { telegramId: '1001', gpuLevel: 1, lastTapSeq: 0 };
+  });
+
+  describe('signing', () => {
+    test('gives every user their own key', () => {
+      expect(getTapKey('1001')).not.toBe(getTapKey('1002'));
+      expect(getTapKey('1001')).toBe(getTapKey('1001'));
+    });
+
+    test('accepts a batch signed with the user key', () => {
+      expect(verifyTapBatch(user, signedBatch(), NOW)).toEqual({ ok: true, acceptedTaps: 10, energyAfter: 490 });
+    });
+
+    test.each([
+      ['a changed count', { count: 11 }],
+      ['a changed sequence number', { seq: 2 }],
+      ['changed timestamps', { endedAt: NOW }],
+    ])('refuses a batch with %s', (_, change) => {
+      expect(rejectionOf({ ...signedBatch(), ...change })).toBe(REJECTION.BAD_SIGNATURE);
+    });
+
+    test("refuses a batch signed with another user's key", () => {
+      const batch = signedBatch();
+      user = { ...user, telegramId: '1002' };
+      expect(rejectionOf(batch)).toBe(REJECTION.BAD_SIGNATURE);
+    });
+
+    test('refuses a missing signature', () => {
+      expect(rejectionOf({ ...signedBatch(), signature: undefined })).toBe(REJECTION.BAD_SIGNATURE);
+    });
+
+    test.each([
+      ['a zero sequence number', { seq: 0 }],
+      ['a fractional count', { count: 1.5 }],
+      ['more taps than a batch holds', { count: config.tap.maxBatchSize + 1 }],
+      ['an end before the start', { startedAt: NOW, endedAt: NOW - SECOND }],
+    ])('refuses %s as malformed', (_, change) => {
+      expect(rejectionOf(signedBatch(change))).toBe(REJECTION.INVALID_BATCH);
+    });
+  });
+
+  describe('replay', () => {
+    test('refuses a sequence number that was already processed', () => {
+      user.lastTapSeq = 4;
+
+      const result = verifyTapBatch(user, signedBatch({ seq: 4 }), NOW);
+
+      expect(result).toMatchObject({ ok: false, status: 409, rejection: { code: REJECTION.REPLAYED_BATCH, lastSeq: 4 } });
+      expect(rejectionOf(signedBatch({ seq: 5 }))).toBeNull();
+    });
+
+    test('refuses a batch that overlaps the last one', () => {
+      user = { ...user, lastTapSeq: 1, lastTapBatchEnd: new Date(NOW - 3 * SECOND) };
+
+      expect(rejectionOf(signedBatch({ seq: 2 }))).toBe(REJECTION.STALE_BATCH);
+      expect(rejectionOf(signedBatch({ seq: 2, startedAt: NOW - 3 * SECOND }))).toBeNull();
+    });
+
+    test('refuses batches older than the maximum age or from the future', () => {
+      const old = NOW - config.tap.maxBatchAgeMs - SECOND;
+      expect(rejectionOf(signedBatch({ startedAt: old, endedAt: old + SECOND }))).toBe(REJECTION.STALE_BATCH);
+
+      const ahead = NOW + config.tap.maxClockSkewMs + SECOND;
+      expect(rejectionOf(signedBatch({ startedAt: NOW, endedAt: ahead }))).toBe(REJECTION.STALE_BATCH);
+    });
+  });
+
+  describe('rate', () => {
+    test('refuses tapping faster than the limit', () => {
+      const limit = config.tap.maxTapsPerSecond;
+
+      expect(rejectionOf(signedBatch({ count: limit * 4 }))).toBeNull();
+      expect(rejectionOf(signedBatch({ count: limit * 4 + 1 }))).toBe(REJECTION.RATE_EXCEEDED);
+    });
+
+    test('counts a batch shorter than a second as one second', () => {
+      const limit = config.tap.maxTapsPerSecond;
+      const instant = { startedAt: NOW - SECOND, endedAt: NOW - SECOND };
+
+      expect(rejectionOf(signedBatch({ ...instant, count: limit }))).toBeNull();
+      expect(rejectionOf(signedBatch({ ...instant, count: limit + 1 }))).toBe(REJECTION.RATE_EXCEEDED);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { parseBoc } = require('../utils/tonProof');
+
+const boc = (hex) => Buffer.from(hex.replace(/ /g, ''), 'hex');
+
+describe('parseBoc', () => {
+  test('hashes a single empty cell', () => {
+    const root = parseBoc(boc('b5ee9c72 01 01 01 01 00 02 00 0000'));
+    expect(root.hash.toString('hex')).toBe(
+      '96a296d224f285c67bee93c30f8a309157f0daa35dc5b87e410b78630a09cfc7'
+    );
+  });
+
+  test('resolves references to later cells', () => {
+    const root = parseBoc(boc('b5ee9c72 01 01 02 01 00 07 00 0100 01 0002 ab'));
+    expect(root.refs).toHaveLength(1);
+    expect(root.depth).toBe(1);
+  });
+
+  test('rejects a cell count larger than the input before allocating', () => {
+    expect(() => parseBoc(boc('b5ee9c72 04 01 ffffffff 00000001 00000000 00 00000000'))).toThrow(
+      'Invalid cell count'
+    );
+  });
+
+  test('rejects more roots than cells', () => {
+    expect(() => parseBoc(boc('b5ee9c72 01 01 01 02 00 02 00 00 0000'))).toThrow('Invalid root or absent cell count');
+  });
+
+  test('rejects truncated cells and references', () => {
+    expect(() => parseBoc(boc('b5ee9c72 01 01 02 01 00 07 00 0100 01 0002'))).toThrow('Truncated bag of cells');
+    expect(() => parseBoc(boc('b5ee9c72 01 01 01 01 00 03 00 0001'))).toThrow('Truncated bag of cells');
+  });
+
+  test('rejects references that do not point forward', () => {
+    expect(() => parseBoc(boc('b5ee9c72 01 01 02 01 00 07 00 0100 00 0002 ab'))).toThrow('Invalid cell reference');
+  });
+});
@@ -0,0 +1,142 @@
+const User = require('../models/User');
+const TwitterAccountBinding = require('../models/TwitterAccountBinding');
+const logger = require('../utils/logger');
+const { stubModel, resetStores } = require('./helpers/memoryDb');
+const { createFakeClient } = require('../utils/twitterFakeClient');
+const { setTwitterClient } = require('../utils/twitterClient');
+const { startTwitterLink, twitterCallback, unlinkTwitter } = require('../controllers/twitterController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.redirect = jest.fn(() => res);
+  return res;
+};
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  await handler(req, res);
+  const [status = 200] = res.status.mock.calls.length ? res.status.mock.calls[0] : [];
+  return { status, body: res.json.mock.calls[0][0] };
+};
+
+describe('linking an X account', () => {
+  let fake;
+  let alice;
+  let bob;
+
+  // Starts a link for the user and returns the state X sends back
+  const startLink = async (user) => {
+    const { status, body } = await call(startTwitterLink, { user });
+    expect(status).toBe(200);
+    return new URL(body.url).searchParams.get('state');
+  };
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(async () => {
+    resetStores();
+    stubModel(User, { unique: ['twitter.id'] });
+    stubModel(TwitterAccountBinding, { unique: ['xUserId'] });
+    fake = createFakeClient();
+    fake.addUser('900', 'alice_x');
+    setTwitterClient(fake);
+    alice = await User.create({ telegramId: '1', username: 'alice' });
+    bob = await User.create({ telegramId: '2', username: 'bob' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setTwitterClient(null);
+  });
+
+  test('links the account X confirms for the state', async () => {
+    const state = await startLink(alice);
+
+    const { status, body } = await call(twitterCallback, { query: { state, code: fake.issueCode('900') } });
+
+    expect(status).toBe(200);
+    expect(body.twitter).toMatchObject({ id: '900', username: 'alice_x' });
+    const linked = await User.findById(alice._id);
+    expect(linked.twitter.id).toBe('900');
+    expect(linked.twitterOAuth.state).toBeUndefined();
+  });
+
+  test('refuses a state that was already used', async () => {
+    const state = await startLink(alice);
+    await call(twitterCallback, { query: { state, code: fake.issueCode('900') } });
+
+    const { status, body } = await call(twitterCallback, { query: { state, code: fake.issueCode('900') } });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Link request expired, please start again');
+  });
+
+  test('refuses an expired state', async () => {
+    const state = await startLink(alice);
+    await User.updateOne({ _id: alice._id }, { $set: { 'twitterOAuth.expiresAt': new Date(Date.now() - 1000) } });
+
+    const { status } = await call(twitterCallback, { query: { state, code: fake.issueCode('900') } });
+
+    expect(status).toBe(400);
+    expect((await User.findById(alice._id)).twitter.id).toBeUndefined();
+  });
+
+  test('keeps an X account to one user', async () => {
+    await call(twitterCallback, { query: { state: await startLink(alice), code: fake.issueCode('900') } });
+
+    const { status, body } = await call(twitterCallback, {
+      query: { state: await startLink(bob), code: fake.issueCode('900') },
+    });
+
+    expect(status).toBe(409);
+    expect(body.message).toBe('X account is already linked to another account');
+    expect((await User.findById(bob._id)).twitter.id).toBeUndefined();
+  });
+
+  test('refuses to start a second link while one account is linked', async () => {
+    await call(twitterCallback, { query: { state: await startLink(alice), code: fake.issueCode('900') } });
+
+    const { status } = await call(startTwitterLink, { user: await User.findById(alice._id) });
+
+    expect(status).toBe(409);
+  });
+
+  test('keeps an X account to its first user after it is unlinked', async () => {
+    await call(twitterCallback, { query: { state: await startLink(alice), code: fake.issueCode('900') } });
+    await call(unlinkTwitter, { user: await User.findById(alice._id) });
+
+    const { status, body } = await call(twitterCallback, {
+      query: { state: await startLink(bob), code: fake.issueCode('900') },
+    });
+
+    expect(status).toBe(409);
+    expect(body.message).toBe('X account is already linked to another account');
+    const refused = await User.findById(bob._id);
+    expect(refused.twitter.id).toBeUndefined();
+    expect(refused.twitterOAuth.state).toBeUndefined();
+  });
+
+  test('lets the first user link their X account again', async () => {
+    await call(twitterCallback, { query: { state: await startLink(alice), code: fake.issueCode('900') } });
+    await call(unlinkTwitter, { user: await User.findById(alice._id) });
+
+    const { status } = await call(twitterCallback, {
+      query: { state: await startLink(await User.findById(alice._id)), code: fake.issueCode('900') },
+    });
+
+    expect(status).toBe(200);
+  });
+
+  test('binds accounts linked before bindings existed when they are unlinked', async () => {
+    await User.updateOne({ _id: alice._id }, { $set: { twitter: { id: '900', username: 'alice_x' } } });
+
+    await call(unlinkTwitter, { user: await User.findById(alice._id) });
+
+    const binding = await TwitterAccountBinding.findOne({ xUserId: '900' });
+    expect(binding.user.toString()).toBe(alice._id.toString());
+  });
+});
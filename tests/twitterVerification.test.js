@@ -0,0 +1,104 @@
+// The cache lookups are stubbed, so mongoose's fake timer warning does not apply
+process.env.SUPPRESS_JEST_WARNINGS = 'true';
+
+const MINUTE = 60 * 1000;
+
+describe('verifyTwitterQuest', () => {
+  let verifyTwitterQuest;
+  let TwitterVerification;
+  let fake;
+  let config;
+
+  beforeEach(() => {
+    // Fresh modules so the rate limit memory does not carry between tests
+    jest.resetModules();
+    jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z') });
+    require('../utils/logger').silent = true;
+    config = require('../config');
+    TwitterVerification = require('../models/TwitterVerification');
+    const { stubModel } = require('./helpers/memoryDb');
+    stubModel(TwitterVerification);
+
+    fake = require('../utils/twitterFakeClient').createFakeClient();
+    fake.addUser('100', 'brand');
+    require('../utils/twitterClient').setTwitterClient(fake);
+    ({ verifyTwitterQuest } = require('../utils/questVerification'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('keeps a pass for the pass cache period', async () => {
+    fake.follow('900', '100');
+    await expect(verifyTwitterQuest('follow', '100', '900')).resolves.toEqual({ verified: true, cached: false });
+
+    fake.unfollow('900', '100');
+    await expect(verifyTwitterQuest('follow', '100', '900')).resolves.toEqual({ verified: true, cached: true });
+
+    jest.advanceTimersByTime(config.twitter.verification.passCacheMinutes * MINUTE + 1);
+    await expect(verifyTwitterQuest('follow', '100', '900')).resolves.toEqual({ verified: false, cached: false });
+  });
+
+  test('checks a failure again once the fail cache period is over', async () => {
+    await expect(verifyTwitterQuest('like', 'tweet-1', '900')).resolves.toEqual({ verified: false, cached: false });
+
+    fake.like('900', 'tweet-1');
+    await expect(verifyTwitterQuest('like', 'tweet-1', '900')).resolves.toEqual({ verified: false, cached: true });
+
+    jest.advanceTimersByTime(config.twitter.verification.failCacheMinutes * MINUTE + 1);
+    await expect(verifyTwitterQuest('like', 'tweet-1', '900')).resolves.toEqual({ verified: true, cached: false });
+  });
+
+  test('resolves follow targets given as a handle', async () => {
+    fake.follow('900', '100');
+    await expect(verifyTwitterQuest('follow', '@brand', '900')).resolves.toMatchObject({ verified: true });
+  });
+
+  test('waits out a rate limit that resets soon and retries', async () => {
+    fake.retweet('900', 'tweet-1');
+    fake.simulateRateLimit(1, 2);
+
+    const result = verifyTwitterQuest('retweet', 'tweet-1', '900');
+    await jest.advanceTimersByTimeAsync(3000);
+
+    await expect(result).resolves.toEqual({ verified: true, cached: false });
+  });
+
+  test('reports a long rate limit and skips the API until it resets', async () => {
+    fake.retweet('900', 'tweet-1');
+    fake.simulateRateLimit(1, 15 * 60);
+
+    const limited = await verifyTwitterQuest('retweet', 'tweet-1', '900');
+    expect(limited).toMatchObject({ verified: false, rateLimited: true });
+    expect(limited.retryAt.getTime()).toBeGreaterThan(Date.now() + 14 * MINUTE);
+
+    // The simulated limit is used up, so only the remembered reset stops this
+    const hasRetweeted = jest.spyOn(fake, 'hasRetweeted');
+    await expect(verifyTwitterQuest('retweet', 'tweet-1', '900')).resolves.toEqual({
+      verified: false,
+      rateLimited: true,
+      retryAt: limited.retryAt,
+    });
+    expect(hasRetweeted).not.toHaveBeenCalled();
+
+    jest.setSystemTime(limited.retryAt.getTime() + 1);
+    await expect(verifyTwitterQuest('retweet', 'tweet-1', '900')).resolves.toEqual({ verified: true, cached: false });
+  });
+
+  test('reports an X failure as an error, not as a missing follow', async () => {
+    fake.follow('900', '100');
+    jest.spyOn(fake, 'isFollowing').mockRejectedValue(new Error('socket hang up'));
+
+    await expect(verifyTwitterQuest('follow', '100', '900')).resolves.toEqual({ verified: false, error: true });
+
+    const { verifyQuest } = require('../utils/questVerifiers');
+    const user = { twitter: { id: '900' } };
+    await expect(verifyQuest(user, { type: 'twitter', action: 'follow', targetId: '100' })).resolves.toMatchObject({
+      verified: false,
+      unavailable: true,
+      message: 'Could not reach X to check this quest, try again shortly',
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const { stubModel, resetStores } = require('./helpers/memoryDb');
+const {
+  isValidUtcOffset,
+  getUtcOffset,
+  getDayStart,
+  getNextDailyReset,
+  getWeekStart,
+  getNextWeeklyReset,
+  getLocalDayKey,
+  getPeriodKey,
+  setUtcOffset,
+} = require('../utils/userDay');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('per-user days', () => {
+  const utc = { utcOffsetMinutes: 0 };
+  const tokyo = { utcOffsetMinutes: 9 * 60 };
+  const newYork = { utcOffsetMinutes: -4 * 60 };
+  const kathmandu = { utcOffsetMinutes: 5 * 60 + 45 };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('offsets', () => {
+    test.each([
+      [0, true],
+      [14 * 60, true],
+      [-12 * 60, true],
+      [5 * 60 + 45, true],
+      [15 * 60, false],
+      [-13 * 60, false],
+      [10, false],
+      [60.5, false],
+      ['60', false],
+    ])('%p is valid: %p', (offset, valid) => {
+      expect(isValidUtcOffset(offset)).toBe(valid);
+    });
+
+    test('fall back to UTC when missing or invalid', () => {
+      expect(getUtcOffset({})).toBe(0);
+      expect(getUtcOffset({ utcOffsetMinutes: 9999 })).toBe(0);
+      expect(getUtcOffset(null)).toBe(0);
+    });
+  });
+
+  describe('day boundaries', () => {
+    const now = new Date('2026-10-19T20:00:00Z');
+
+    test.each([
+      ['UTC', utc, '2026-10-19', '2026-10-19T00:00:00.000Z'],
+      ['Tokyo', tokyo, '2026-10-20', '2026-10-19T15:00:00.000Z'],
+      ['New York', newYork, '2026-10-19', '2026-10-19T04:00:00.000Z'],
+      ['Kathmandu', kathmandu, '2026-10-20', '2026-10-19T18:15:00.000Z'],
+    ])('follow the local date in %s', (_, user, day, dayStart) => {
+      expect(getLocalDayKey(user, now)).toBe(day);
+      expect(getDayStart(user, now).toISOString()).toBe(dayStart);
+      expect(getNextDailyReset(user, now) - getDayStart(user, now)).toBe(24 * HOUR);
+    });
+
+    test('move at local midnight, not UTC midnight', () => {
+      expect(getLocalDayKey(tokyo, new Date('2026-10-19T14:59:59Z'))).toBe('2026-10-19');
+      expect(getLocalDayKey(tokyo, new Date('2026-10-19T15:00:00Z'))).toBe('2026-10-20');
+      expect(getLocalDayKey(newYork, new Date('2026-10-20T03:59:59Z'))).toBe('2026-10-19');
+    });
+  });
+
+  describe('week boundaries', () => {
+    test('start on the local Monday', () => {
+      // Sunday evening in New York is already Monday in UTC and Tokyo
+      const now = new Date('2026-10-19T02:00:00Z');
+
+      expect(getPeriodKey(newYork, 'weekly', now)).toBe('2026-10-12');
+      expect(getPeriodKey(utc, 'weekly', now)).toBe('2026-10-19');
+      expect(getPeriodKey(tokyo, 'weekly', now)).toBe('2026-10-19');
+      expect(getWeekStart(tokyo, now).toISOString()).toBe('2026-10-18T15:00:00.000Z');
+      expect(getNextWeeklyReset(newYork, now).toISOString()).toBe('2026-10-19T04:00:00.000Z');
+    });
+
+    test('use the day itself for daily periods', () => {
+      expect(getPeriodKey(tokyo, 'daily', new Date('2026-10-21T16:00:00Z'))).toBe('2026-10-22');
+    });
+  });
+
+  describe('setUtcOffset', () => {
+    const NOW = new Date('2026-10-19T10:00:00Z');
+    let user;
+
+    beforeEach(async () => {
+      resetStores();
+      stubModel(User);
+      user = await User.create({ telegramId: '1', username: 'traveller' });
+    });
+
+    test('stores a valid offset', async () => {
+      const result = await setUtcOffset(user, 120, NOW);
+
+      expect(result).toMatchObject({ ok: true, changed: true });
+      expect(result.user).toMatchObject({ utcOffsetMinutes: 120, utcOffsetUpdatedAt: NOW });
+    });
+
+    test('refuses an invalid offset', async () => {
+      await expect(setUtcOffset(user, 7, NOW)).resolves.toMatchObject({ ok: false, status: 400 });
+    });
+
+    test('rate limits changes', async () => {
+      const { user: changed } = await setUtcOffset(user, 120, NOW);
+
+      const soon = await setUtcOffset(changed, 180, new Date(NOW.getTime() + HOUR));
+      const later = await setUtcOffset(changed, 180, new Date(NOW.getTime() + 72 * HOUR));
+
+      expect(soon).toMatchObject({ ok: false, status: 429 });
+      expect(soon.retryAt).toEqual(new Date(NOW.getTime() + 72 * HOUR));
+      expect(later).toMatchObject({ ok: true, changed: true });
+    });
+
+    test('does not count reporting the same offset as a change', async () => {
+      const { user: changed } = await setUtcOffset(user, 120, NOW);
+
+      await expect(setUtcOffset(changed, 120, new Date(NOW.getTime() + HOUR))).resolves.toMatchObject({
+        ok: true,
+        changed: false,
+      });
+    });
+
+    test('lets only one of two concurrent changes through', async () => {
+      const results = await Promise.all([setUtcOffset(user, 120, NOW), setUtcOffset(user, -300, NOW)]);
+
+      expect(results.map((result) => result.ok).sort()).toEqual([false, true]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const User = require('../models/User');
+const XpLedger = require('../models/XpLedger');
+const Activity = require('../models/Activity');
+const BoostItem = require('../models/BoostItem');
+const logger = require('../utils/logger');
+const { stubModel, stubSessions, resetStores, matches } = require('./helpers/memoryDb');
+const { recordXp, getLedgerPage, checkBalance } = require('../utils/xpLedger');
+
+describe('XP ledger', () => {
+  let ledger;
+  let user;
+
+  const tap = (key, amount = 10, extra = {}) =>
+    recordXp(user._id, amount, { reason: 'tap', source: { kind: 'tap_batch', id: key }, idempotencyKey: key, ...extra });
+
+  const reload = () => User.findById(user._id);
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  beforeEach(async () => {
+    resetStores();
+    stubModel(User);
+    ledger = stubModel(XpLedger, { unique: [['user', 'idempotencyKey']] });
+    [Activity, BoostItem].forEach((Model) => stubModel(Model));
+    stubSessions(User);
+    // Sums the stored entries for checkBalance
+    jest.spyOn(XpLedger, 'aggregate').mockImplementation(async ([{ $match }]) => {
+      const entries = ledger.docs.filter((entry) => matches(entry, $match));
+      return entries.length ? [{ _id: null, total: entries.reduce((sum, entry) => sum + entry.amount, 0) }] : [];
+    });
+    user = await User.create({ telegramId: '1', username: 'earner' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes an entry and applies it to the user', async () => {
+    const result = await tap('tap:1', 25);
+
+    expect(result.duplicate).toBe(false);
+    expect(result.entry).toMatchObject({ amount: 25, balanceAfter: 25, reason: 'tap', idempotencyKey: 'tap:1' });
+    expect((await reload()).xp).toBe(25);
+  });
+
+  test('applies a repeated key only once', async () => {
+    await tap('tap:1', 25);
+    const repeat = await tap('tap:1', 25);
+
+    expect(repeat.duplicate).toBe(true);
+    expect(repeat.entry.balanceAfter).toBe(25);
+    expect((await reload()).xp).toBe(25);
+    expect(ledger.docs).toHaveLength(1);
+  });
+
+  test('scopes keys to the user', async () => {
+    const other = await User.create({ telegramId: '2', username: 'other' });
+
+    await tap('daily:2026-10-19');
+    const result = await recordXp(other._id, 10, { reason: 'daily_claim', idempotencyKey: 'daily:2026-10-19' });
+
+    expect(result.duplicate).toBe(false);
+  });
+
+  test('refuses changes without a key', async () => {
+    await expect(recordXp(user._id, 10, { reason: 'tap' })).rejects.toThrow('XP changes need an idempotency key');
+  });
+
+  test("aborts the caller's transaction on a repeated key", async () => {
+    await tap('quest:1');
+    const session = await User.startSession();
+
+    await expect(
+      session.withTransaction(() => tap('quest:1', 10, { session }))
+    ).rejects.toMatchObject({ code: 11000 });
+    expect((await reload()).xp).toBe(10);
+  });
+
+  test('opens the ledger with the XP earned before it existed', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { xp: 1000 } });
+
+    await tap('tap:1', 50);
+    await tap('tap:2', 50);
+
+    expect(ledger.docs.map((entry) => [entry.reason, entry.amount, entry.balanceAfter])).toEqual([
+      ['opening_balance', 1000, 1000],
+      ['tap', 50, 1050],
+      ['tap', 50, 1100],
+    ]);
+    await expect(checkBalance(user._id)).resolves.toMatchObject({ xp: 1100, ledgerTotal: 1100, consistent: true });
+  });
+
+  test('reports a user whose XP moved outside the ledger', async () => {
+    await tap('tap:1', 50);
+    await User.updateOne({ _id: user._id }, { $inc: { xp: 5 } });
+
+    await expect(checkBalance(user._id)).resolves.toMatchObject({ xp: 55, ledgerTotal: 50, consistent: false });
+  });
+
+  test('bumps extra counters alongside XP', async () => {
+    await recordXp(user._id, 30, {
+      reason: 'referral',
+      idempotencyKey: 'referral:1',
+      inc: { totalReferralXP: 30 },
+    });
+
+    expect(await reload()).toMatchObject({ xp: 30, totalReferralXP: 30 });
+  });
+
+  test('pays each level crossed once', async () => {
+    const result = await tap('tap:1', 50000);
+    const again = await tap('tap:1', 50000);
+
+    expect(result.levelUps.map((levelUp) => levelUp.level)).toEqual([1, 2]);
+    expect(again.levelUps).toEqual([]);
+    expect(await reload()).toMatchObject({ level: 2, compute: 2000 });
+  });
+
+  test('lists entries newest first, a page at a time', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await tap(`tap:${i}`, i);
+    }
+    // One entry a day, so the order does not hang on equal timestamps
+    ledger.docs.forEach((entry, i) => Object.assign(entry, { createdAt: new Date(Date.UTC(2026, 9, i + 1)) }));
+
+    const page = await getLedgerPage(user._id, { page: 1, limit: 2 });
+
+    expect(page).toMatchObject({ page: 1, limit: 2, total: 3, pages: 2 });
+    expect(page.entries.map((entry) => entry.idempotencyKey)).toEqual(['tap:3', 'tap:2']);
+  });
+});
@@ -0,0 +1,184 @@
+const ActiveBoost = require('../models/ActiveBoost');
+const BoostItem = require('../models/BoostItem');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const config = require('../config');
+const { usableItemFilter } = require('./boostInventory');
+
+// Boost types and tier values from gameMechanics.md
+const BOOST_TYPES = {
+  xp_multiplier: { name: 'XP Multiplier', values: [1.5, 2, 3] },
+  // Tap speed lowers the energy each tap costs by 25/50/75%
+  tap_speed: { name: 'Tap Speed', values: [0.25, 0.5, 0.75] },
+  compute_power: { name: 'Compute Power Boost', values: [50, 100, 200] },
+};
+
+const BOOST_DURATIONS_MINUTES = [5, 15, 30];
+
+const NO_MODIFIERS = { xpMultiplier: 1, tapEnergyDiscount: 0, computePowerBonus: 0 };
+
+const getBoostDefinition = (type, tier) => {
+  const boostType = BOOST_TYPES[type];
+  if (!boostType || !Number.isInteger(tier) || !boostType.values[tier - 1]) {
+    return null;
+  }
+  return { type, tier, name: boostType.name, value: boostType.values[tier - 1] };
+};
+
+const getActiveBoosts = (userIds, now = new Date()) => {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  return ActiveBoost.find({ user: { $in: ids }, expiresAt: { $gt: now } })
+    .sort({ expiresAt: 1 })
+    .lean();
+};
+
+// Overlapping boosts of the same type do not stack; the strongest one wins
+const getEffectiveModifiers = (activeBoosts = []) => {
+  return activeBoosts.reduce(
+    (modifiers, boost) => {
+      switch (boost.type) {
+        case 'xp_multiplier':
+          modifiers.xpMultiplier = Math.max(modifiers.xpMultiplier, boost.value);
+          break;
+        case 'tap_speed':
+          modifiers.tapEnergyDiscount = Math.max(modifiers.tapEnergyDiscount, boost.value);
+          break;
+        case 'compute_power':
+          modifiers.computePowerBonus = Math.max(modifiers.computePowerBonus, boost.value);
+          break;
+      }
+      return modifiers;
+    },
+    { ...NO_MODIFIERS }
+  );
+};
+
+const getUserModifiers = async (userId, now = new Date()) => {
+  return getEffectiveModifiers(await getActiveBoosts(userId, now));
+};
+
+// XP earned by a batch of taps under the given modifiers
+const getTapXp = (user, taps, modifiers = NO_MODIFIERS) => {
+  const power = user.computePower + modifiers.computePowerBonus;
+  return Math.floor(power * taps * modifiers.xpMultiplier);
+};
+
+const getNextBoostTime = (user) => {
+  if (!user.lastBoostTime) return null;
+  const next = new Date(user.lastBoostTime.getTime() + config.boosts.cooldownMs);
+  return next > new Date() ? next : null;
+};
+
+const formatActiveBoost = (boost) => ({
+  id: boost._id,
+  type: boost.type,
+  tier: boost.tier,
+  value: boost.value,
+  startedAt: boost.startedAt,
+  expiresAt: boost.expiresAt,
+});
+
+const getAvailableBoosts = () => {
+  return Object.entries(BOOST_TYPES).map(([type, { name, values }]) => ({
+    type,
+    name,
+    tiers: values.map((value, i) => ({ tier: i + 1, value })),
+    durationsMinutes: BOOST_DURATIONS_MINUTES,
+  }));
+};
+
+/**
+ * Starts the boost stored in one of the user's inventory items. Using the item
+ * and taking the one-hour cooldown happen in one transaction, so two
+ * concurrent activations cannot both succeed.
+ * Returns { ok: true, boost, user } or { ok: false, status, message }.
+ */
+const activateBoost = async (user, itemId) => {
+  const session = await User.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const item = await BoostItem.findOneAndUpdate(
+        { _id: itemId, user: user._id, ...usableItemFilter(now) },
+        { $set: { usedAt: now } },
+        { new: true, session }
+      );
+      if (!item) {
+        result = { ok: false, status: 404, message: 'Boost item not found or already used' };
+        return;
+      }
+
+      const updated = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          $or: [
+            { lastBoostTime: null },
+            { lastBoostTime: { $lte: new Date(now.getTime() - config.boosts.cooldownMs) } },
+          ],
+        },
+        { $set: { lastBoostTime: now } },
+        { new: true, session }
+      );
+      if (!updated) {
+        // Aborting rolls back the item so it stays in the inventory
+        result = {
+          ok: false,
+          status: 429,
+          message: 'Boost is on cooldown',
+          nextBoostTime: getNextBoostTime(user),
+        };
+        await session.abortTransaction();
+        return;
+      }
+
+      const { value } = getBoostDefinition(item.type, item.tier);
+      const [boost] = await ActiveBoost.create(
+        [
+          {
+            user: user._id,
+            type: item.type,
+            tier: item.tier,
+            value,
+            durationMinutes: item.durationMinutes,
+            startedAt: now,
+            expiresAt: new Date(now.getTime() + item.durationMinutes * 60 * 1000),
+          },
+        ],
+        { session }
+      );
+
+      await new Activity({
+        user: user._id,
+        type: 'boost_used',
+        details: {
+          item: item._id,
+          source: item.source,
+          type: item.type,
+          tier: item.tier,
+          value,
+          durationMinutes: item.durationMinutes,
+        },
+      }).save({ session });
+
+      result = { ok: true, boost, user: updated };
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  BOOST_TYPES,
+  BOOST_DURATIONS_MINUTES,
+  getBoostDefinition,
+  getActiveBoosts,
+  getEffectiveModifiers,
+  getUserModifiers,
+  getTapXp,
+  getNextBoostTime,
+  getAvailableBoosts,
+  formatActiveBoost,
+  activateBoost,
+};
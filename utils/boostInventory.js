@@ -0,0 +1,118 @@
+const BoostItem = require('../models/BoostItem');
+const User = require('../models/User');
+const config = require('../config');
+const logger = require('./logger');
+
+// Items that are neither used nor past their expiry
+const usableItemFilter = (now = new Date()) => ({
+  usedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * Grants boost items described by a reward spec
+ * ({ type, tier, durationMinutes, quantity, expiresInHours }) to every user in
+ * userIds. Used by quests, achievements, team grants and the bot.
+ */
+const grantBoostItems = async (userIds, reward, { source, sourceId, grantedBy, session } = {}) => {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  const quantity = reward.quantity || 1;
+  const now = new Date();
+  const expiresAt = reward.expiresInHours
+    ? new Date(now.getTime() + reward.expiresInHours * 60 * 60 * 1000)
+    : reward.expiresAt || null;
+
+  const items = [];
+  ids.forEach((user) => {
+    for (let i = 0; i < quantity; i++) {
+      items.push({
+        user,
+        type: reward.type,
+        tier: reward.tier,
+        durationMinutes: reward.durationMinutes,
+        source,
+        sourceId: sourceId ? sourceId.toString() : undefined,
+        grantedBy,
+        grantedAt: now,
+        expiresAt,
+      });
+    }
+  });
+
+  const created = await BoostItem.insertMany(items, { session });
+  logger.info(`Granted ${created.length} ${reward.type} boost item(s) from ${source}`);
+  return created;
+};
+
+const grantBoostRewards = async (userId, rewards = [], meta = {}) => {
+  const granted = [];
+  for (const reward of rewards) {
+    granted.push(...(await grantBoostItems(userId, reward, meta)));
+  }
+  return granted;
+};
+
+/**
+ * Boosts used to be a plain User.boostCount, which the schema no longer has.
+ * The first inventory read turns each remaining charge into an item
+ * (config.boosts.legacyChargeItem) and drops the count in one transaction,
+ * so a charge is converted exactly once.
+ */
+const convertLegacyCharges = async (userId) => {
+  if (!(await User.exists({ _id: userId, boostCount: { $gt: 0 } }))) return [];
+
+  const session = await User.startSession();
+  try {
+    let items = [];
+    await session.withTransaction(async () => {
+      items = [];
+      const legacy = await User.findOneAndUpdate(
+        { _id: userId, boostCount: { $gt: 0 } },
+        { $unset: { boostCount: 1 } },
+        { session, strict: false }
+      ).lean();
+      if (!legacy) return;
+
+      items = await grantBoostItems(
+        userId,
+        { ...config.boosts.legacyChargeItem, quantity: legacy.boostCount },
+        { source: 'legacy_charge', session }
+      );
+    });
+    return items;
+  } finally {
+    session.endSession();
+  }
+};
+
+const listInventory = async (userId, now = new Date()) => {
+  await convertLegacyCharges(userId);
+  return BoostItem.find({ user: userId, ...usableItemFilter(now) })
+    .sort({ expiresAt: 1, grantedAt: 1 })
+    .lean();
+};
+
+const countUsableItems = async (userId, now = new Date()) => {
+  await convertLegacyCharges(userId);
+  return BoostItem.countDocuments({ user: userId, ...usableItemFilter(now) });
+};
+
+const formatBoostItem = (item) => ({
+  id: item._id,
+  type: item.type,
+  tier: item.tier,
+  durationMinutes: item.durationMinutes,
+  source: item.source,
+  grantedAt: item.grantedAt,
+  expiresAt: item.expiresAt,
+});
+
+module.exports = {
+  usableItemFilter,
+  grantBoostItems,
+  grantBoostRewards,
+  convertLegacyCharges,
+  listInventory,
+  countUsableItems,
+  formatBoostItem,
+};
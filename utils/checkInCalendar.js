@@ -0,0 +1,238 @@
+const User = require('../models/User');
+const CheckIn = require('../models/CheckIn');
+const Activity = require('../models/Activity');
+const config = require('../config');
+const { recordXp } = require('./xpLedger');
+const { announceLevelUps } = require('./levelProgression');
+const { getLocalDayKey, getNextDailyReset } = require('./userDay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (key, days) => dayKey(new Date(`${key}T00:00:00Z`).getTime() + days * DAY_MS);
+
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+
+// Users who claimed before the calendar existed only have lastDailyClaimDate
+const getLastCheckInDay = (user) => {
+  if (user.lastCheckInDay) return user.lastCheckInDay;
+  return user.lastDailyClaimDate ? getLocalDayKey(user, user.lastDailyClaimDate) : null;
+};
+
+/**
+ * Where the user stands today, by their local day: whether today's check-in
+ * is still open, the streak that is still alive (0 once a day was missed
+ * that freezes cannot cover) and the streak the next check-in would produce.
+ * A day at or before the last check-in is never claimable, so moving the
+ * offset back cannot reopen a day that was already paid.
+ */
+const getCheckInState = (user, now = new Date()) => {
+  const today = getLocalDayKey(user, now);
+  const lastDay = getLastCheckInDay(user);
+  const claimedToday = lastDay !== null && lastDay >= today;
+  const missedDays = lastDay && !claimedToday ? daysBetween(lastDay, today) - 1 : 0;
+  const streakFreezes = user.streakFreezes || 0;
+  const freezesNeeded = missedDays > 0 && missedDays <= streakFreezes && user.loginStreak > 0 ? missedDays : 0;
+  const alive = claimedToday || (lastDay !== null && (missedDays === 0 || freezesNeeded > 0));
+  const currentStreak = alive ? user.loginStreak || 0 : 0;
+  const nextResetAt = getNextDailyReset(user, now);
+
+  return {
+    today,
+    lastDay,
+    claimable: !claimedToday,
+    currentStreak,
+    nextStreak: currentStreak + 1,
+    missedDays,
+    streakFreezes,
+    freezesNeeded,
+    nextClaimTime: claimedToday ? nextResetAt : now,
+    nextResetAt,
+  };
+};
+
+const getRepairCost = (streak) => {
+  const { computePerStreakDay, minCompute } = config.checkIn.repair;
+  return Math.max(minCompute, streak * computePerStreakDay);
+};
+
+/**
+ * The paid repair open to the user right now, or null. A streak can be
+ * repaired before the next check-in while at most graceDays were missed,
+ * or after restarting until the end of that day.
+ */
+const getRepairOffer = (user, now = new Date()) => {
+  const { graceDays, minStreak } = config.checkIn.repair;
+  const state = getCheckInState(user, now);
+
+  let offer = null;
+  if (state.claimable && state.lastDay && state.currentStreak === 0 && state.missedDays <= graceDays) {
+    offer = {
+      streak: user.loginStreak || 0,
+      missedDays: state.missedDays,
+      expiresAt: new Date(state.nextResetAt.getTime() + (graceDays - state.missedDays) * DAY_MS),
+    };
+  } else if (!state.claimable && user.brokenStreak && user.brokenStreak.day === state.today) {
+    const { streak, lastDay, day } = user.brokenStreak;
+    const missedDays = daysBetween(lastDay, day) - 1;
+    if (missedDays <= graceDays) {
+      offer = { streak, missedDays, expiresAt: state.nextResetAt };
+    }
+  }
+
+  if (!offer || offer.streak < minStreak) return null;
+  return { ...offer, compute: getRepairCost(offer.streak) };
+};
+
+const getRewardForStreak = (streak) => {
+  const { cycleRewards, bonusEveryDays, bonusXp } = config.checkIn;
+  const cycleDay = ((streak - 1) % cycleRewards.length) + 1;
+  const bonus = streak % bonusEveryDays === 0 ? bonusXp : 0;
+  return { cycleDay, xp: cycleRewards[cycleDay - 1], bonusXp: bonus, total: cycleRewards[cycleDay - 1] + bonus };
+};
+
+// Rewards for the next few check-ins, assuming the streak is kept
+const getSchedule = (user, now = new Date(), days = config.checkIn.scheduleDays) => {
+  const state = getCheckInState(user, now);
+  const firstDay = state.claimable ? state.today : addDays(state.today, 1);
+
+  return Array.from({ length: days }, (_, i) => {
+    const streak = state.nextStreak + i;
+    return { day: addDays(firstDay, i), streak, ...getRewardForStreak(streak) };
+  });
+};
+
+/**
+ * Records today's check-in, spending streak freezes on missed days when
+ * there are enough of them. The user update is conditional on the last
+ * check-in day that was read, so concurrent requests cannot both pay out.
+ * Returns { ok: true, checkIn, grant } or { ok: false, state }.
+ */
+const performCheckIn = async (user, now = new Date()) => {
+  const state = getCheckInState(user, now);
+  if (!state.claimable) return { ok: false, state };
+
+  const streak = state.nextStreak;
+  const reward = getRewardForStreak(streak);
+  const filter = { _id: user._id, lastCheckInDay: user.lastCheckInDay || null };
+  const update = {
+    $set: { lastCheckInDay: state.today, lastDailyClaimDate: now, loginStreak: streak },
+    $max: { checkInStreak: streak },
+  };
+
+  if (state.freezesNeeded > 0) {
+    filter.streakFreezes = { $gte: state.freezesNeeded };
+    update.$inc = { streakFreezes: -state.freezesNeeded };
+  }
+  if (state.lastDay && state.currentStreak === 0 && user.loginStreak > 0) {
+    // Keep the lost streak around so it can still be repaired today
+    update.$set.brokenStreak = { streak: user.loginStreak, lastDay: state.lastDay, day: state.today };
+  } else {
+    update.$unset = { brokenStreak: 1 };
+  }
+
+  const session = await User.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const updated = await User.findOneAndUpdate(filter, update, { new: true, session });
+      if (!updated) {
+        result = { ok: false, state: { ...state, claimable: false } };
+        return;
+      }
+
+      const [checkIn] = await CheckIn.create(
+        [{ user: user._id, day: state.today, streak, ...reward, freezesUsed: state.freezesNeeded, createdAt: now }],
+        { session }
+      );
+      const grant = await recordXp(user._id, reward.total, {
+        reason: 'daily_claim',
+        source: { kind: 'daily', id: state.today },
+        idempotencyKey: `daily:${state.today}`,
+        session,
+      });
+      result = { ok: true, checkIn, grant };
+    });
+    if (result.ok) announceLevelUps(result.grant);
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Buys back a broken streak with Compute. Before today's check-in the streak
+ * is carried through yesterday so the next check-in continues it; after a
+ * restart today the lost days are added back onto the new streak. The
+ * Compute, the streak and the activity record are written in one transaction.
+ * Returns { ok: true, user, offer } or { ok: false, status, message }.
+ */
+const repairStreak = async (user, now = new Date()) => {
+  const offer = getRepairOffer(user, now);
+  if (!offer) return { ok: false, status: 400, message: 'No broken streak to repair' };
+  if ((user.compute || 0) < offer.compute) {
+    return { ok: false, status: 400, message: `Repairing this streak costs ${offer.compute} Compute` };
+  }
+
+  const state = getCheckInState(user, now);
+  const filter = {
+    _id: user._id,
+    lastCheckInDay: user.lastCheckInDay || null,
+    loginStreak: user.loginStreak,
+    compute: { $gte: offer.compute },
+  };
+  let update;
+  if (state.claimable) {
+    update = {
+      $set: { lastCheckInDay: addDays(state.today, -1) },
+      $inc: { compute: -offer.compute },
+      $unset: { brokenStreak: 1 },
+    };
+  } else {
+    const restored = offer.streak + user.loginStreak;
+    update = {
+      $set: { loginStreak: restored },
+      $max: { checkInStreak: restored },
+      $inc: { compute: -offer.compute },
+      $unset: { brokenStreak: 1 },
+    };
+  }
+
+  const session = await User.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const updated = await User.findOneAndUpdate(filter, update, { new: true, session });
+      if (!updated) {
+        result = { ok: false, status: 409, message: 'Your streak changed, please retry' };
+        return;
+      }
+
+      await new Activity({
+        user: user._id,
+        type: 'streak_repair',
+        details: { streak: offer.streak, missedDays: offer.missedDays, compute: offer.compute },
+      }).save({ session });
+      result = { ok: true, user: updated, offer };
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+const getCheckInHistory = (userId, limit = 30) => {
+  return CheckIn.find({ user: userId }).sort({ day: -1 }).limit(limit).lean();
+};
+
+module.exports = {
+  dayKey,
+  getCheckInState,
+  getRewardForStreak,
+  getSchedule,
+  getRepairOffer,
+  performCheckIn,
+  repairStreak,
+  getCheckInHistory,
+};
@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const UserCosmetic = require('../models/UserCosmetic');
+const logger = require('./logger');
+const {
+  COSMETIC_SLOTS,
+  COSMETICS,
+  DEFAULT_COSMETICS,
+  getCosmetic,
+  isDefaultCosmetic,
+} = require('./cosmeticsCatalog');
+
+/**
+ * Gives the listed cosmetics to a user. Items already owned are skipped, so
+ * the same reward can be granted again safely. Returns the newly owned ids.
+ */
+const grantCosmetics = async (userId, cosmeticIds = [], { source, sourceId, session } = {}) => {
+  const granted = [];
+  for (const cosmeticId of cosmeticIds) {
+    if (!getCosmetic(cosmeticId) || isDefaultCosmetic(cosmeticId)) continue;
+
+    const { upsertedCount } = await UserCosmetic.updateOne(
+      { user: userId, cosmetic: cosmeticId },
+      {
+        $setOnInsert: {
+          source,
+          sourceId: sourceId ? sourceId.toString() : undefined,
+          acquiredAt: new Date(),
+        },
+      },
+      { upsert: true, session }
+    );
+    if (upsertedCount) granted.push(cosmeticId);
+  }
+
+  if (granted.length) {
+    logger.info(`Granted cosmetics ${granted.join(', ')} to ${userId} from ${source}`);
+  }
+  return granted;
+};
+
+/**
+ * Takes back cosmetics that came from the given source (e.g. a refunded
+ * order) and puts the default back in any slot that had one equipped.
+ * Returns the removed ids.
+ */
+const revokeCosmetics = async (userId, cosmeticIds, { source, sourceId }) => {
+  const owned = await UserCosmetic.find({
+    user: userId,
+    cosmetic: { $in: cosmeticIds },
+    source,
+    sourceId: sourceId.toString(),
+  });
+  if (!owned.length) return [];
+
+  const removed = owned.map((entry) => entry.cosmetic);
+  await UserCosmetic.deleteMany({ _id: { $in: owned.map((entry) => entry._id) } });
+
+  for (const id of removed) {
+    const path = `equippedCosmetics.${getCosmetic(id).slot}`;
+    await User.updateOne({ _id: userId, [path]: id }, { $unset: { [path]: 1 } });
+  }
+  return removed;
+};
+
+const ownsCosmetic = async (userId, cosmeticId) => {
+  if (isDefaultCosmetic(cosmeticId)) return true;
+  return !!(await UserCosmetic.exists({ user: userId, cosmetic: cosmeticId }));
+};
+
+// Equipped cosmetic ids per slot, with defaults filled in
+const getEquippedIds = (user) => {
+  const equipped = (user && user.equippedCosmetics) || {};
+  return Object.fromEntries(
+    COSMETIC_SLOTS.map((slot) => [slot, equipped[slot] || DEFAULT_COSMETICS[slot]])
+  );
+};
+
+const formatCosmetic = (cosmetic) => ({
+  id: cosmetic.id,
+  slot: cosmetic.slot,
+  name: cosmetic.name,
+  rarity: cosmetic.rarity,
+  source: cosmetic.source,
+});
+
+// What other players see: slot -> { id, name, rarity }
+const formatEquipped = (user) => {
+  return Object.fromEntries(
+    Object.entries(getEquippedIds(user)).map(([slot, id]) => {
+      const cosmetic = getCosmetic(id) || getCosmetic(DEFAULT_COSMETICS[slot]);
+      return [slot, { id: cosmetic.id, name: cosmetic.name, rarity: cosmetic.rarity }];
+    })
+  );
+};
+
+const getCollection = async (user) => {
+  const owned = await UserCosmetic.find({ user: user._id }).lean();
+  const ownedById = new Map(owned.map((entry) => [entry.cosmetic, entry]));
+  const equipped = getEquippedIds(user);
+
+  return {
+    equipped: formatEquipped(user),
+    items: COSMETICS.map((cosmetic) => {
+      const entry = ownedById.get(cosmetic.id);
+      return {
+        ...formatCosmetic(cosmetic),
+        owned: isDefaultCosmetic(cosmetic.id) || !!entry,
+        acquiredAt: entry ? entry.acquiredAt : undefined,
+        equipped: equipped[cosmetic.slot] === cosmetic.id,
+      };
+    }),
+  };
+};
+
+/**
+ * Equips an owned cosmetic in its slot, or resets the slot to its default
+ * when cosmeticId is null.
+ * Returns { ok: true, user } or { ok: false, status, message }.
+ */
+const equipCosmetic = async (user, slot, cosmeticId) => {
+  const target = cosmeticId || DEFAULT_COSMETICS[slot];
+  const cosmetic = getCosmetic(target);
+  if (!cosmetic) return { ok: false, status: 404, message: 'Cosmetic not found' };
+  if (cosmetic.slot !== slot) {
+    return { ok: false, status: 400, message: `${cosmetic.name} does not fit the ${slot} slot` };
+  }
+  if (!(await ownsCosmetic(user._id, target))) {
+    return { ok: false, status: 403, message: `You do not own ${cosmetic.name}` };
+  }
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $set: { [`equippedCosmetics.${slot}`]: target } },
+    { new: true }
+  );
+  return { ok: true, user: updated };
+};
+
+module.exports = {
+  grantCosmetics,
+  revokeCosmetics,
+  ownsCosmetic,
+  formatCosmetic,
+  formatEquipped,
+  getCollection,
+  equipCosmetic,
+};
@@ -0,0 +1,47 @@
+// Cosmetic items. Each sits in one slot; the default of every slot is owned
+// by all users. source says how the item is normally acquired.
+const COSMETIC_SLOTS = ['rig_skin', 'avatar_frame', 'tap_effect'];
+
+const RARITIES = ['common', 'rare', 'epic', 'legendary'];
+
+const COSMETIC_SOURCES = ['default', 'achievement', 'leaderboard', 'quest', 'purchase'];
+
+const COSMETICS = [
+  // Rig skins
+  { id: 'rig-stock', slot: 'rig_skin', name: 'Stock Chassis', rarity: 'common', source: 'default' },
+  { id: 'rig-carbon', slot: 'rig_skin', name: 'Carbon Fibre', rarity: 'rare', source: 'quest' },
+  { id: 'rig-neon', slot: 'rig_skin', name: 'Neon Grid', rarity: 'epic', source: 'purchase' },
+  { id: 'rig-artisan', slot: 'rig_skin', name: 'Artisan Build', rarity: 'epic', source: 'achievement' },
+  { id: 'rig-gilded', slot: 'rig_skin', name: 'Gilded Server', rarity: 'legendary', source: 'leaderboard' },
+
+  // Avatar frames
+  { id: 'frame-none', slot: 'avatar_frame', name: 'No Frame', rarity: 'common', source: 'default' },
+  { id: 'frame-circuit', slot: 'avatar_frame', name: 'Circuit Ring', rarity: 'rare', source: 'achievement' },
+  { id: 'frame-streak', slot: 'avatar_frame', name: 'Eternal Flame', rarity: 'epic', source: 'achievement' },
+  { id: 'frame-champion', slot: 'avatar_frame', name: 'Champion Laurel', rarity: 'legendary', source: 'leaderboard' },
+
+  // Tap effects
+  { id: 'tap-spark', slot: 'tap_effect', name: 'Spark', rarity: 'common', source: 'default' },
+  { id: 'tap-pixels', slot: 'tap_effect', name: 'Pixel Burst', rarity: 'rare', source: 'quest' },
+  { id: 'tap-lightning', slot: 'tap_effect', name: 'Lightning', rarity: 'epic', source: 'purchase' },
+  { id: 'tap-supernova', slot: 'tap_effect', name: 'Supernova', rarity: 'legendary', source: 'achievement' },
+];
+
+const getCosmetic = (cosmeticId) => COSMETICS.find((cosmetic) => cosmetic.id === cosmeticId) || null;
+
+const DEFAULT_COSMETICS = COSMETIC_SLOTS.reduce((defaults, slot) => {
+  defaults[slot] = COSMETICS.find((c) => c.slot === slot && c.source === 'default').id;
+  return defaults;
+}, {});
+
+const isDefaultCosmetic = (cosmeticId) => Object.values(DEFAULT_COSMETICS).includes(cosmeticId);
+
+module.exports = {
+  COSMETIC_SLOTS,
+  RARITIES,
+  COSMETIC_SOURCES,
+  COSMETICS,
+  DEFAULT_COSMETICS,
+  getCosmetic,
+  isDefaultCosmetic,
+};
@@ -1,62 +1,50 @@
 const cron = require('node-cron');
-const Quest = require('../models/Quest');
-const Leaderboard = require('../models/Leaderboard');
 const logger = require('./logger');
+const { finalizePeriod } = require('./leaderboardStandings');
+const { generateRotation } = require('./questRotation');
 
-const resetDailyQuests = async () => {
+// Store the closed period's standings and pay out placement titles
+const closeLeaderboard = async (type) => {
   try {
-    await Quest.updateMany(
-      { type: 'daily' },
-      { $set: { completed: false, progress: 0 } }
-    );
-    logger.info('Daily quests reset successfully');
+    await finalizePeriod(type, new Date());
   } catch (error) {
-    logger.error(`Error resetting daily quests: ${error.message}`);
+    logger.error(`Error finalizing ${type} leaderboard: ${error.message}`);
   }
 };
 
-const resetWeeklyQuests = async () => {
+// Create this week's daily and weekly quests from the templates
+const rotateQuests = async () => {
   try {
-    await Quest.updateMany(
-      { type: 'weekly' },
-      { $set: { completed: false, progress: 0 } }
-    );
-    logger.info('Weekly quests reset successfully');
+    await generateRotation();
   } catch (error) {
-    logger.error(`Error resetting weekly quests: ${error.message}`);
-  }
-};
-
-const resetLeaderboards = async () => {
-  try {
-    await Leaderboard.updateOne(
-      { type: 'daily' },
-      { $set: { rankings: [] } },
-      { upsert: true }
-    );
-    await Leaderboard.updateOne(
-      { type: 'weekly' },
-      { $set: { rankings: [] } },
-      { upsert: true }
-    );
-    logger.info('Leaderboards reset successfully');
-  } catch (error) {
-    logger.error(`Error resetting leaderboards: ${error.message}`);
+    logger.error(`Error generating quest rotation: ${error.message}`);
   }
 };
 
 const initCronJobs = () => {
-  // Reset daily quests and leaderboard every day at midnight
+  // Daily and weekly quests need no reset: progress is kept per user and
+  // local period in QuestProgress, which expires old periods itself
+
+  // Close the daily leaderboard every day at midnight
   cron.schedule('0 0 * * *', async () => {
-    await resetDailyQuests();
-    await resetLeaderboards();
-  });
+    await closeLeaderboard('daily');
+  }, { timezone: 'UTC' });
 
-  // Reset weekly quests and leaderboard every Monday at midnight
+  // Close the weekly leaderboard and start the next quest rotation every
+  // Monday at midnight
   cron.schedule('0 0 * * 1', async () => {
-    await resetWeeklyQuests();
-    await resetLeaderboards();
-  });
+    await closeLeaderboard('weekly');
+    await rotateQuests();
+  }, { timezone: 'UTC' });
+
+  // Covers a Monday job missed while the server was down
+  rotateQuests();
+
+  // Closes the last period if its job was missed, or finishes paying it out
+  // if the server stopped halfway. Standings come from the XP ledger, so
+  // closing late ranks the same users.
+  closeLeaderboard('daily');
+  closeLeaderboard('weekly');
 
   logger.info('Cron jobs initialized');
 };
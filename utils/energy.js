@@ -0,0 +1,56 @@
+const config = require('../config');
+const { getGpuTier } = require('./gpuCatalog');
+
+// Capacity and regeneration come from the user's GPU tier
+const getEnergyLimits = (user) => {
+  const tier = getGpuTier(user.gpuLevel || 1);
+  return {
+    maxEnergy: config.energy.baseMax + tier.energyBonus,
+    regenPerSecond: config.energy.baseRegenPerSecond + tier.regenBonus,
+  };
+};
+
+/**
+ * Energy is stored as a snapshot (energy, energyUpdatedAt) and regenerated
+ * lazily from the elapsed time, so no background job has to refill it.
+ * A user without a snapshot is at full energy.
+ */
+const getEnergyStatus = (user, now = Date.now()) => {
+  const { maxEnergy, regenPerSecond } = getEnergyLimits(user);
+
+  let energy = maxEnergy;
+  if (user.energyUpdatedAt && user.energy !== null && user.energy !== undefined) {
+    const elapsedSeconds = Math.max(now - user.energyUpdatedAt.getTime(), 0) / 1000;
+    energy = Math.min(maxEnergy, user.energy + elapsedSeconds * regenPerSecond);
+  }
+
+  const missing = maxEnergy - energy;
+  return {
+    energy: Math.floor(energy),
+    maxEnergy,
+    regenPerSecond,
+    timeToFull: missing > 0 ? Math.ceil(missing / regenPerSecond) : 0,
+    exactEnergy: energy,
+  };
+};
+
+// Seconds until the user can afford the given number of taps
+const secondsUntilTaps = (status, taps = 1, costPerTap = config.energy.costPerTap) => {
+  const needed = taps * costPerTap - status.exactEnergy;
+  return needed > 0 ? Math.ceil(needed / status.regenPerSecond) : 0;
+};
+
+// Public shape reported by the API
+const formatEnergyStatus = ({ energy, maxEnergy, regenPerSecond, timeToFull }) => ({
+  energy,
+  maxEnergy,
+  regenPerSecond,
+  timeToFull,
+});
+
+module.exports = {
+  getEnergyLimits,
+  getEnergyStatus,
+  secondsUntilTaps,
+  formatEnergyStatus,
+};
@@ -0,0 +1,88 @@
+// GPU upgrade catalog. Tier n is bought with gpuLevel n - 1 and sets the
+// user's base compute power and energy bonuses.
+const COST_CURVE = { base: 5000, growth: 2.5, currency: 'compute' };
+
+const costForLevel = (level) => {
+  if (level <= 1) return 0;
+  const raw = COST_CURVE.base * Math.pow(COST_CURVE.growth, level - 2);
+  return Math.round(raw / 100) * 100;
+};
+
+const TIERS = [
+  { level: 1, id: 'gtx-starter', name: 'GTX Starter', computePower: 1, energyBonus: 0, regenBonus: 0, requiredLevel: 0 },
+  { level: 2, id: 'gtx-1660', name: 'GTX 1660', computePower: 2, energyBonus: 100, regenBonus: 0.25, requiredLevel: 0 },
+  { level: 3, id: 'rtx-2060', name: 'RTX 2060', computePower: 4, energyBonus: 250, regenBonus: 0.5, requiredLevel: 1 },
+  { level: 4, id: 'rtx-3070', name: 'RTX 3070', computePower: 8, energyBonus: 500, regenBonus: 1, requiredLevel: 2 },
+  { level: 5, id: 'rtx-4090', name: 'RTX 4090', computePower: 16, energyBonus: 1000, regenBonus: 1.5, requiredLevel: 4 },
+  { level: 6, id: 'a100', name: 'A100', computePower: 32, energyBonus: 2000, regenBonus: 2.5, requiredLevel: 8 },
+  { level: 7, id: 'h100', name: 'H100', computePower: 64, energyBonus: 4000, regenBonus: 4, requiredLevel: 15 },
+];
+
+const GPU_CATALOG = TIERS.map((tier) => ({
+  ...tier,
+  price: { currency: COST_CURVE.currency, amount: costForLevel(tier.level) },
+}));
+
+const getGpuTier = (level) => {
+  return GPU_CATALOG.find((tier) => tier.level === level) || GPU_CATALOG[0];
+};
+
+const getNextGpuTier = (user) => {
+  return GPU_CATALOG.find((tier) => tier.level === (user.gpuLevel || 1) + 1) || null;
+};
+
+/**
+ * Checks whether the user may buy the given tier right now. Pass
+ * { skipFunds: true } when the tier is paid for outside the game balance.
+ * Returns { ok: true } or { ok: false, reason, message }.
+ */
+const checkGpuPurchase = (user, tier, { skipFunds = false } = {}) => {
+  if (!tier) {
+    return { ok: false, reason: 'max_tier', message: 'GPU is already at the top tier' };
+  }
+  if (tier.level !== (user.gpuLevel || 1) + 1) {
+    return { ok: false, reason: 'not_next_tier', message: 'GPU tiers must be bought in order' };
+  }
+  if ((user.level || 0) < tier.requiredLevel) {
+    return {
+      ok: false,
+      reason: 'level_required',
+      message: `Requires CP level ${tier.requiredLevel}`,
+    };
+  }
+  if (!skipFunds && (user[tier.price.currency] || 0) < tier.price.amount) {
+    return {
+      ok: false,
+      reason: 'insufficient_funds',
+      message: `Requires ${tier.price.amount} ${tier.price.currency}`,
+    };
+  }
+  return { ok: true };
+};
+
+// Catalog as shown in the shop, annotated for the given user
+const getShopView = (user) => {
+  const next = getNextGpuTier(user);
+  return GPU_CATALOG.map((tier) => {
+    let status = 'locked';
+    if (tier.level <= (user.gpuLevel || 1)) status = 'owned';
+    else if (next && tier.level === next.level) status = 'next';
+
+    const check = status === 'next' ? checkGpuPurchase(user, tier) : null;
+    return {
+      ...tier,
+      status,
+      purchasable: !!(check && check.ok),
+      blockedBy: check && !check.ok ? check.reason : undefined,
+    };
+  });
+};
+
+module.exports = {
+  GPU_CATALOG,
+  costForLevel,
+  getGpuTier,
+  getNextGpuTier,
+  checkGpuPurchase,
+  getShopView,
+};
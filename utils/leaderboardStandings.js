@@ -0,0 +1,163 @@
+const User = require('../models/User');
+const Leaderboard = require('../models/Leaderboard');
+const XpLedger = require('../models/XpLedger');
+const logger = require('./logger');
+const { getPlacementReward } = require('./titlesCatalog');
+const { grantTitle } = require('./titles');
+const { grantCosmetics } = require('./cosmetics');
+const { dayStartExpression } = require('./userDay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filter and sort behind each leaderboard
+const getStandingsQuery = (type, now = Date.now()) => {
+  const query = {
+    username: { $exists: true, $ne: '' }, // Ensure username exists and is not empty
+    isFlagged: { $ne: true }, // Flagged accounts stay off until reviewed
+  };
+
+  switch (type) {
+    case 'daily':
+      // Active since the start of each user's own local day
+      query.$expr = { $gte: ['$lastTapTime', dayStartExpression(new Date(now))] };
+      query.compute = { $gt: 0 };
+      break;
+    case 'weekly':
+      query.lastTapTime = { $gte: new Date(now - 7 * DAY_MS) };
+      query.compute = { $gt: 0 };
+      break;
+    case 'all-time':
+      query.computePower = { $gt: 0 };
+      break;
+  }
+
+  return { query, sort: { xp: -1 } };
+};
+
+// Start of the UTC day, or of the UTC week starting Monday, containing date
+const getPeriodStart = (type, date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (type === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+// XP earned in [periodStart, periodEnd), best first. The opening balance
+// carries XP from before the ledger and is not earned in any period.
+const getPeriodStandings = (periodStart, periodEnd, limit) => {
+  return XpLedger.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: periodStart, $lt: periodEnd },
+        reason: { $ne: 'opening_balance' },
+      },
+    },
+    { $group: { _id: '$user', score: { $sum: '$amount' } } },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1, _id: 1 } },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    {
+      $match: {
+        'user.username': { $exists: true, $ne: '' },
+        'user.isFlagged': { $ne: true },
+      },
+    },
+    { $limit: limit },
+    { $project: { _id: 1, score: 1, username: '$user.username' } },
+  ]);
+};
+
+/**
+ * Pays one placement. Claiming the entry and paying it share a transaction,
+ * so each entry is paid exactly once even if two runs overlap.
+ * Returns null when another run already paid it, else { rewarded }.
+ */
+const payEntry = async (leaderboard, entry, rank, sourceId) => {
+  const session = await User.startSession();
+  try {
+    let claimed = false;
+    let reward = null;
+    await session.withTransaction(async () => {
+      claimed = false;
+      reward = null;
+      const claim = await Leaderboard.updateOne(
+        { _id: leaderboard._id, entries: { $elemMatch: { _id: entry._id, paid: false } } },
+        { $set: { 'entries.$.paid': true } },
+        { session }
+      );
+      if (!claim.modifiedCount) return;
+      claimed = true;
+
+      await User.updateOne(
+        { _id: entry.user },
+        {
+          $min: { highestLeaderboardRank: rank },
+          $push: { leaderboardHistory: { rank, date: leaderboard.date } },
+        },
+        { session }
+      );
+
+      reward = getPlacementReward(leaderboard.type, rank);
+      if (!reward) return;
+      await grantTitle(entry.user, reward.title, { source: 'leaderboard', sourceId, session });
+      await grantCosmetics(entry.user, reward.cosmetics, { source: 'leaderboard', sourceId, session });
+    });
+    return claimed ? { rewarded: !!reward } : null;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Closes the last daily or weekly period that ended by `now`: ranks users by
+ * the XP they earned in it, stores the standings and pays placement titles
+ * and cosmetics. The period ends where the current one starts, so a late
+ * run still closes the right period. Running it again for the same period
+ * pays only the entries that are still unpaid, so an interrupted payout
+ * resumes.
+ */
+const finalizePeriod = async (type, now = new Date(), limit = 100) => {
+  const periodEnd = getPeriodStart(type, now);
+  const periodStart = getPeriodStart(type, new Date(periodEnd.getTime() - 1));
+
+  let leaderboard;
+  let resumed = false;
+  try {
+    const standings = await getPeriodStandings(periodStart, periodEnd, limit);
+    leaderboard = await Leaderboard.create({
+      type,
+      date: periodStart,
+      entries: standings.map((s) => ({ user: s._id, username: s.username, score: s.score, paid: false })),
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    leaderboard = await Leaderboard.findOne({ type, date: periodStart });
+    resumed = true;
+  }
+
+  const sourceId = `${type}:${periodStart.toISOString().slice(0, 10)}`;
+  let paid = 0;
+  let rewarded = 0;
+  for (const [index, entry] of leaderboard.entries.entries()) {
+    if (entry.paid !== false) continue;
+    const payout = await payEntry(leaderboard, entry, index + 1, sourceId);
+    if (!payout) continue;
+    paid++;
+    if (payout.rewarded) rewarded++;
+  }
+
+  if (resumed) {
+    logger.info(`${type} leaderboard ${sourceId} already finalized, paid ${paid} remaining entries`);
+  } else {
+    logger.info(`Finalized ${type} leaderboard ${sourceId}: ${leaderboard.entries.length} ranked, ${rewarded} rewarded`);
+  }
+  return { finalized: !resumed, periodStart, ranked: leaderboard.entries.length, paid, rewarded };
+};
+
+module.exports = {
+  getStandingsQuery,
+  getPeriodStart,
+  finalizePeriod,
+};
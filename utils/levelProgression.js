@@ -0,0 +1,108 @@
+const EventEmitter = require('events');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const config = require('../config');
+const logger = require('./logger');
+const { grantBoostItems } = require('./boostInventory');
+
+// Emits 'levelUp' with { user, previousLevel, level, rewards }
+const levelEvents = new EventEmitter();
+
+// Level = floor(Total XP / 25000), as documented in gameMechanics.md
+const getLevelForXp = (xp) => Math.floor(Math.max(xp || 0, 0) / config.levels.xpPerLevel);
+
+const getLevelProgress = (user) => {
+  const level = getLevelForXp(user.xp);
+  const nextLevelAt = (level + 1) * config.levels.xpPerLevel;
+  return {
+    level,
+    xpIntoLevel: (user.xp || 0) - level * config.levels.xpPerLevel,
+    xpToNextLevel: nextLevelAt - (user.xp || 0),
+    nextLevelAt,
+  };
+};
+
+const getLevelUpRewards = (level) => {
+  const { default: base, milestones } = config.levels.rewards;
+  const milestone = milestones[level] || {};
+  return {
+    compute: (base.compute || 0) + (milestone.compute || 0),
+    boostRewards: [...(base.boostRewards || []), ...(milestone.boostRewards || [])],
+  };
+};
+
+/**
+ * Brings User.level in line with the user's XP. Must run after every XP
+ * change. Each level crossed pays its level-up reward once: the level is
+ * raised with a conditional update, so concurrent calls cannot pay twice.
+ * Returns { levelUps, levelUp } where levelUps lists the levels reached and
+ * levelUp is the event to pass to announceLevelUps once the session's
+ * transaction has committed.
+ */
+const syncLevel = async (userOrId, session = null) => {
+  const userId = userOrId._id || userOrId;
+  const current = await User.findById(userId).select('xp level telegramId').session(session);
+  if (!current) return { levelUps: [], levelUp: null };
+
+  const level = getLevelForXp(current.xp);
+  if (level <= (current.level || 0)) {
+    return { levelUps: [], levelUp: null };
+  }
+
+  const previous = await User.findOneAndUpdate(
+    { _id: userId, level: current.level },
+    { $set: { level } },
+    { new: false, session }
+  );
+  if (!previous) {
+    // Another request already moved the level
+    return { levelUps: [], levelUp: null };
+  }
+
+  const levelUps = [];
+  let compute = 0;
+  for (let reached = (previous.level || 0) + 1; reached <= level; reached++) {
+    const rewards = getLevelUpRewards(reached);
+    compute += rewards.compute;
+    for (const reward of rewards.boostRewards) {
+      await grantBoostItems(userId, reward, { source: 'level_up', sourceId: reached, session });
+    }
+    levelUps.push({ level: reached, rewards });
+  }
+
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { compute } },
+    { new: true, session }
+  );
+
+  await new Activity({
+    user: userId,
+    type: 'level_up',
+    details: { from: previous.level || 0, to: level, compute },
+  }).save({ session });
+
+  logger.info(`User ${updated.telegramId} reached level ${level}`);
+  const levelUp = { user: updated, previousLevel: previous.level || 0, level, rewards: levelUps };
+  return { levelUps, levelUp };
+};
+
+/**
+ * Emits 'levelUp' for each result of recordXp or syncLevel that reached a
+ * level. Call it only after the transaction that granted the XP commits, so
+ * aborted or retried attempts announce nothing.
+ */
+const announceLevelUps = (...results) => {
+  for (const result of results) {
+    if (result && result.levelUp) levelEvents.emit('levelUp', result.levelUp);
+  }
+};
+
+module.exports = {
+  levelEvents,
+  getLevelForXp,
+  getLevelProgress,
+  getLevelUpRewards,
+  syncLevel,
+  announceLevelUps,
+};
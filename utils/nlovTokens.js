@@ -0,0 +1,172 @@
+const User = require('../models/User');
+const TokenConversion = require('../models/TokenConversion');
+const config = require('../config');
+const logger = require('./logger');
+
+const utcDay = (now) => now.toISOString().slice(0, 10);
+
+const getCurrentSeason = (now = new Date()) => {
+  const started = config.tokens.xpConversion.seasons
+    .filter((season) => new Date(season.startsAt) <= now)
+    .sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt));
+  return started[0] || null;
+};
+
+// XP that has been earned but not yet turned into tokens. Converting does not
+// lower User.xp, so levels and leaderboards are unaffected.
+const getConvertibleXp = (user) => Math.max((user.xp || 0) - (user.xpConverted || 0), 0);
+
+const getTokensConvertedToday = (user, now = new Date()) => {
+  return user.tokenConversionDay === utcDay(now) ? user.tokensConvertedToday || 0 : 0;
+};
+
+const getTokenSummary = (user, now = new Date()) => {
+  const { enabled, dailyCap } = config.tokens.xpConversion;
+  const season = getCurrentSeason(now);
+  const convertedToday = getTokensConvertedToday(user, now);
+  const remainingToday = Math.max(dailyCap - convertedToday, 0);
+  const affordable = season ? Math.floor(getConvertibleXp(user) / season.xpPerToken) : 0;
+
+  return {
+    name: config.tokens.name,
+    balance: user.nlovBalance || 0,
+    conversion: {
+      enabled: enabled && !!season,
+      season: season ? season.id : null,
+      xpPerToken: season ? season.xpPerToken : null,
+      convertibleXp: getConvertibleXp(user),
+      dailyCap,
+      convertedToday,
+      remainingToday,
+      maxTokensNow: Math.min(affordable, remainingToday),
+    },
+  };
+};
+
+/**
+ * Converts XP into the given number of tokens at the current season's rate.
+ * The balance, the converted XP and the daily counter change in one
+ * conditional update, so concurrent conversions cannot exceed the cap.
+ * Returns { ok: true, conversion, user } or { ok: false, status, reason, message }.
+ */
+const convertXpToTokens = async (user, tokens, now = new Date()) => {
+  const { enabled, dailyCap } = config.tokens.xpConversion;
+  const season = getCurrentSeason(now);
+  if (!enabled || !season) {
+    return { ok: false, status: 403, reason: 'disabled', message: 'XP conversion is not available' };
+  }
+  if (tokens > dailyCap) {
+    return { ok: false, status: 400, reason: 'daily_cap', message: `At most ${dailyCap} tokens per day` };
+  }
+
+  const day = utcDay(now);
+  const xpSpent = tokens * season.xpPerToken;
+  const hasXp = { $expr: { $gte: [{ $subtract: ['$xp', { $ifNull: ['$xpConverted', 0] }] }, xpSpent] } };
+
+  const session = await User.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const updated =
+        (await User.findOneAndUpdate(
+          {
+            _id: user._id,
+            tokenConversionDay: day,
+            tokensConvertedToday: { $lte: dailyCap - tokens },
+            ...hasXp,
+          },
+          { $inc: { nlovBalance: tokens, xpConverted: xpSpent, tokensConvertedToday: tokens } },
+          { new: true, session }
+        )) ||
+        (await User.findOneAndUpdate(
+          { _id: user._id, tokenConversionDay: { $ne: day }, ...hasXp },
+          {
+            $inc: { nlovBalance: tokens, xpConverted: xpSpent },
+            $set: { tokenConversionDay: day, tokensConvertedToday: tokens },
+          },
+          { new: true, session }
+        ));
+
+      if (!updated) {
+        const current = await User.findById(user._id).session(session);
+        result =
+          getConvertibleXp(current) < xpSpent
+            ? {
+                ok: false,
+                status: 400,
+                reason: 'insufficient_xp',
+                message: `Requires ${xpSpent} unconverted XP`,
+              }
+            : {
+                ok: false,
+                status: 429,
+                reason: 'daily_cap',
+                message: `Daily limit of ${dailyCap} tokens reached`,
+              };
+        return;
+      }
+
+      const [conversion] = await TokenConversion.create(
+        [
+          {
+            user: user._id,
+            xpSpent,
+            tokens,
+            xpPerToken: season.xpPerToken,
+            season: season.id,
+            day,
+            balanceAfter: updated.nlovBalance,
+            createdAt: now,
+          },
+        ],
+        { session }
+      );
+      result = { ok: true, conversion, user: updated };
+    });
+
+    if (result.ok) {
+      logger.info(`User ${user.telegramId} converted ${xpSpent} XP into ${tokens} ${config.tokens.name}`);
+    }
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+const formatConversion = (conversion) => ({
+  id: conversion._id,
+  xpSpent: conversion.xpSpent,
+  tokens: conversion.tokens,
+  xpPerToken: conversion.xpPerToken,
+  season: conversion.season,
+  balanceAfter: conversion.balanceAfter,
+  createdAt: conversion.createdAt,
+});
+
+const getConversionHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [conversions, total] = await Promise.all([
+    TokenConversion.find({ user: userId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    TokenConversion.countDocuments({ user: userId }),
+  ]);
+
+  return {
+    conversions: conversions.map(formatConversion),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+  };
+};
+
+module.exports = {
+  getCurrentSeason,
+  getConvertibleXp,
+  getTokenSummary,
+  convertXpToTokens,
+  formatConversion,
+  getConversionHistory,
+};
@@ -0,0 +1,70 @@
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const config = require('../config');
+const logger = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Compute earned since the last collection, capped at maxHours of mining
+const getPassiveAccrual = (user, now = Date.now()) => {
+  if (!user.lastPassiveCollectAt) {
+    return { earned: 0, elapsedMs: 0, creditedMs: 0, capped: false };
+  }
+
+  const elapsedMs = Math.max(now - user.lastPassiveCollectAt.getTime(), 0);
+  const creditedMs = Math.min(elapsedMs, config.passive.maxHours * HOUR_MS);
+  const earned = Math.floor(
+    (creditedMs / HOUR_MS) * (user.computePower || 0) * config.passive.computePerPowerPerHour
+  );
+
+  return { earned, elapsedMs, creditedMs, capped: creditedMs < elapsedMs };
+};
+
+/**
+ * Credits offline compute to the user. The update is conditional on the
+ * previous collection time, so two concurrent loads cannot both collect.
+ * Returns the summary reported to the client and the updated user.
+ */
+const collectPassiveIncome = async (user, now = new Date()) => {
+  const accrual = getPassiveAccrual(user, now.getTime());
+  const summary = {
+    earned: 0,
+    offlineSeconds: Math.floor(accrual.elapsedMs / 1000),
+    creditedSeconds: Math.floor(accrual.creditedMs / 1000),
+    capped: accrual.capped,
+    maxHours: config.passive.maxHours,
+  };
+
+  if (user.lastPassiveCollectAt && accrual.elapsedMs < config.passive.minAccrualMs) {
+    return { summary, user };
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, lastPassiveCollectAt: user.lastPassiveCollectAt || null },
+    {
+      $inc: { compute: accrual.earned },
+      $set: { lastPassiveCollectAt: now },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { summary, user };
+  }
+
+  summary.earned = accrual.earned;
+  if (accrual.earned > 0) {
+    await new Activity({
+      user: user._id,
+      type: 'passive_income',
+      details: { earned: accrual.earned, creditedSeconds: summary.creditedSeconds },
+    }).save();
+    logger.info(`Collected ${accrual.earned} offline compute for user ${user.telegramId}`);
+  }
+
+  return { summary, user: updated };
+};
+
+module.exports = {
+  getPassiveAccrual,
+  collectPassiveIncome,
+};
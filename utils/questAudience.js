@@ -0,0 +1,115 @@
+const User = require('../models/User');
+const Quest = require('../models/Quest');
+
+const isSet = (value) => value !== undefined && value !== null && !(Array.isArray(value) && !value.length);
+
+// The Telegram client language saved at every login, else the one picked in
+// the profile, which defaults to English
+const getUserLanguage = (user) => user.languageCode || user.language || 'en';
+
+// Each rule checks a single user and builds the matching User filter, so the
+// audience estimate counts exactly the users who will see the quest. Where a
+// check falls back to a default for a missing field, the filter has to match
+// missing fields the same way.
+const AUDIENCE_RULES = {
+  languages: {
+    matches: (user, languages) => languages.includes(getUserLanguage(user)),
+    query: (languages) => ({
+      $or: [
+        { languageCode: { $in: languages } },
+        {
+          languageCode: { $in: [null, ''] },
+          language: { $in: languages.includes('en') ? [...languages, null, ''] : languages },
+        },
+      ],
+    }),
+  },
+  minLevel: {
+    matches: (user, level) => (user.level || 0) >= level,
+    query: (level) => (level > 0 ? { level: { $gte: level } } : {}),
+  },
+  maxLevel: {
+    // Levels are never negative, so users without one always qualify
+    matches: (user, level) => (user.level || 0) <= level,
+    query: (level) => ({ $or: [{ level: { $lte: level } }, { level: null }] }),
+  },
+  signedUpAfter: {
+    matches: (user, date) => !!user.createdAt && user.createdAt >= new Date(date),
+    query: (date) => ({ createdAt: { $gte: new Date(date) } }),
+  },
+  signedUpBefore: {
+    matches: (user, date) => !!user.createdAt && user.createdAt < new Date(date),
+    query: (date) => ({ createdAt: { $lt: new Date(date) } }),
+  },
+  referred: {
+    matches: (user, referred) => !!user.referredBy === referred,
+    query: (referred) => (referred ? { referredBy: { $ne: null } } : { referredBy: null }),
+  },
+  isPremium: {
+    matches: (user, premium) => !!user.isPremium === premium,
+    query: (premium) => (premium ? { isPremium: true } : { isPremium: { $ne: true } }),
+  },
+};
+
+// Flagged accounts get no quests until a reviewer clears them, like they stay
+// off the leaderboards
+const matchesAudience = (user, audience = {}) => {
+  if (user.isFlagged) return false;
+  return Object.entries(AUDIENCE_RULES).every(
+    ([key, rule]) => !isSet(audience[key]) || rule.matches(user, audience[key])
+  );
+};
+
+const buildAudienceQuery = (audience = {}) => {
+  const rules = Object.entries(AUDIENCE_RULES)
+    .filter(([key]) => isSet(audience[key]))
+    .map(([key, rule]) => rule.query(audience[key]));
+  return { isFlagged: { $ne: true }, ...(rules.length && { $and: rules }) };
+};
+
+const estimateAudience = (audience) => User.countDocuments(buildAudienceQuery(audience));
+
+// Quests running at `now`: started and not yet expired
+const getRunningQuery = (now = new Date()) => ({
+  expiresAt: { $gt: now },
+  $or: [{ startsAt: null }, { startsAt: { $lte: now } }],
+});
+
+const isCapReached = (quest) => !!quest.claimCap && (quest.claimCount || 0) >= quest.claimCap;
+
+/**
+ * Whether the user may claim the quest now. Returns { ok: true } or
+ * { ok: false, status, message }. The cap is checked again when claiming.
+ */
+const checkQuestAvailable = (user, quest, now = new Date()) => {
+  if (quest.startsAt && quest.startsAt > now) {
+    return { ok: false, status: 400, message: 'Quest has not started yet', startsAt: quest.startsAt };
+  }
+  if (quest.expiresAt <= now) return { ok: false, status: 400, message: 'Quest has expired' };
+  if (!matchesAudience(user, quest.audience)) {
+    return { ok: false, status: 403, message: 'This quest is not available to you' };
+  }
+  if (isCapReached(quest)) return { ok: false, status: 409, message: 'All rewards for this quest were claimed' };
+  return { ok: true };
+};
+
+/**
+ * Counts a claim against the quest's cap inside the claim transaction.
+ * Returns false once the first claimCap users have claimed.
+ */
+const takeClaimSlot = async (quest, session) => {
+  const filter = { _id: quest._id };
+  if (quest.claimCap) filter.$expr = { $lt: [{ $ifNull: ['$claimCount', 0] }, '$claimCap'] };
+  const taken = await Quest.updateOne(filter, { $inc: { claimCount: 1 } }, { session });
+  return taken.modifiedCount === 1;
+};
+
+module.exports = {
+  matchesAudience,
+  buildAudienceQuery,
+  estimateAudience,
+  getRunningQuery,
+  isCapReached,
+  checkQuestAvailable,
+  takeClaimSlot,
+};
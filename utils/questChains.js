@@ -0,0 +1,204 @@
+const User = require('../models/User');
+const Quest = require('../models/Quest');
+const QuestChain = require('../models/QuestChain');
+const { recordXp } = require('./xpLedger');
+const { grantBoostRewards, formatBoostItem } = require('./boostInventory');
+const { grantCosmetics } = require('./cosmetics');
+const { PERIODIC_QUEST_TYPES } = require('./questProgress');
+
+const toIdSet = (ids = []) => new Set(ids.map((id) => (id._id || id).toString()));
+
+// Whether any of the quests, or anything they require in turn, requires questId
+const dependsOn = async (quests, questId) => {
+  const target = questId.toString();
+  const seen = new Set();
+  let frontier = quests;
+
+  while (frontier.length) {
+    const next = [...toIdSet(frontier.flatMap((quest) => quest.prerequisites || []))].filter((id) => !seen.has(id));
+    if (next.includes(target)) return true;
+    next.forEach((id) => seen.add(id));
+    frontier = next.length ? await Quest.find({ _id: { $in: next } }).select('prerequisites').lean() : [];
+  }
+  return false;
+};
+
+/**
+ * Checks a quest's chain and prerequisites before it is saved. Steps and
+ * prerequisites count as done once they are in completedQuests, which daily
+ * and weekly claims never reach, so periodic quests can be neither.
+ * questId is set when an existing quest is being changed; its prerequisites
+ * must not lead back to it, or none of the quests in the loop could open.
+ * Returns an error message, or null when the links are valid.
+ */
+const checkQuestLinks = async (quest, questId = null) => {
+  const periodic = PERIODIC_QUEST_TYPES.includes(quest.type);
+  const prerequisites = [...toIdSet(quest.prerequisites)];
+
+  if (periodic && quest.chain) {
+    return 'Daily and weekly quests cannot be part of a chain';
+  }
+  if (periodic && prerequisites.length) {
+    return 'Daily and weekly quests cannot have prerequisites';
+  }
+  if (quest.chain && !(await QuestChain.exists({ _id: quest.chain }))) {
+    return 'Quest chain not found';
+  }
+  if (questId && prerequisites.includes(questId.toString())) {
+    return 'A quest cannot be its own prerequisite';
+  }
+
+  const found = await Quest.find({ _id: { $in: prerequisites } }).select('type prerequisites').lean();
+  if (found.length !== prerequisites.length) return 'Prerequisite quest not found';
+  if (found.some((prerequisite) => PERIODIC_QUEST_TYPES.includes(prerequisite.type))) {
+    return 'Daily and weekly quests cannot be prerequisites';
+  }
+  if (periodic && questId && (await Quest.exists({ prerequisites: questId }))) {
+    return 'Other quests depend on this quest, so it cannot be daily or weekly';
+  }
+  if (questId && (await dependsOn(found, questId))) {
+    return 'Prerequisites cannot loop back to this quest';
+  }
+  return null;
+};
+
+/**
+ * Why a quest is still locked for the user, empty once it is open.
+ * titles maps prerequisite quest ids to titles for the messages.
+ */
+const getLockedReasons = (user, quest, titles = new Map()) => {
+  const claimed = toIdSet(user.completedQuests);
+  const reasons = [];
+
+  for (const id of quest.prerequisites || []) {
+    if (claimed.has(id.toString())) continue;
+    const title = titles.get(id.toString());
+    reasons.push({
+      code: 'prerequisite',
+      quest: id,
+      message: title ? `Claim "${title}" first` : 'Claim the previous quest first',
+    });
+  }
+  if ((user.level || 0) < (quest.minLevel || 0)) {
+    reasons.push({
+      code: 'level',
+      requiredLevel: quest.minLevel,
+      level: user.level || 0,
+      message: `Reach level ${quest.minLevel}`,
+    });
+  }
+  return reasons;
+};
+
+const getPrerequisiteTitles = async (quests) => {
+  const ids = [...toIdSet(quests.flatMap((quest) => quest.prerequisites || []))];
+  if (!ids.length) return new Map();
+  const prerequisites = await Quest.find({ _id: { $in: ids } }).select('title').lean();
+  return new Map(prerequisites.map((quest) => [quest._id.toString(), quest.title]));
+};
+
+// Adds locked and lockedReasons to plain quest objects
+const withLockStatus = async (user, quests) => {
+  const titles = await getPrerequisiteTitles(quests);
+  return quests.map((quest) => {
+    const lockedReasons = getLockedReasons(user, quest, titles);
+    return { ...quest, locked: lockedReasons.length > 0, lockedReasons };
+  });
+};
+
+/**
+ * Pays a chain's bonus once every quest in it is claimed. Runs inside the
+ * claim transaction with the user's updated completedQuests; the conditional
+ * push onto completedChains makes the bonus a one-off.
+ * Returns { chain, grant, boostItems, cosmetics } or null.
+ */
+const completeChainIfDone = async (userId, completedQuests, chainId, session) => {
+  const chain = await QuestChain.findById(chainId).session(session);
+  if (!chain) return null;
+
+  const steps = await Quest.find({ chain: chain._id }).select('_id').session(session).lean();
+  const claimed = toIdSet(completedQuests);
+  if (!steps.length || !steps.every((step) => claimed.has(step._id.toString()))) return null;
+
+  const marked = await User.findOneAndUpdate(
+    { _id: userId, completedChains: { $ne: chain._id } },
+    { $push: { completedChains: chain._id } },
+    { new: true, session }
+  );
+  if (!marked) return null;
+
+  const grant = await recordXp(userId, chain.bonus.xpReward, {
+    reason: 'quest',
+    source: { kind: 'quest_chain', id: chain._id.toString() },
+    idempotencyKey: `quest-chain:${chain._id}`,
+    session,
+  });
+  const boostItems = await grantBoostRewards(userId, chain.bonus.boostRewards, {
+    source: 'quest',
+    sourceId: chain._id,
+    session,
+  });
+  const cosmetics = await grantCosmetics(userId, chain.bonus.cosmeticRewards, {
+    source: 'quest',
+    sourceId: chain._id,
+    session,
+  });
+  return { chain, grant, boostItems, cosmetics };
+};
+
+const formatChainBonus = ({ chain, boostItems, cosmetics }) => ({
+  chain: chain._id,
+  title: chain.title,
+  xp: chain.bonus.xpReward,
+  boostItems: boostItems.map(formatBoostItem),
+  cosmetics,
+});
+
+// Every chain with the user's progress through its steps
+const getChains = async (user) => {
+  const [chains, steps] = await Promise.all([
+    QuestChain.find({}).sort({ createdAt: 1 }).lean(),
+    Quest.find({ chain: { $exists: true } }).sort({ chainStep: 1 }).lean(),
+  ]);
+  const claimed = toIdSet(user.completedQuests);
+  const bonusPaid = toIdSet(user.completedChains);
+  const titles = await getPrerequisiteTitles(steps);
+
+  return chains.map((chain) => {
+    const chainSteps = steps
+      .filter((step) => step.chain.equals(chain._id))
+      .map((step) => {
+        const lockedReasons = getLockedReasons(user, step, titles);
+        return {
+          id: step._id,
+          title: step.title,
+          step: step.chainStep,
+          claimed: claimed.has(step._id.toString()),
+          locked: lockedReasons.length > 0,
+          lockedReasons,
+        };
+      });
+    const claimedSteps = chainSteps.filter((step) => step.claimed).length;
+    return {
+      id: chain._id,
+      title: chain.title,
+      description: chain.description,
+      bonus: chain.bonus,
+      steps: chainSteps,
+      claimedSteps,
+      totalSteps: chainSteps.length,
+      completed: chainSteps.length > 0 && claimedSteps === chainSteps.length,
+      bonusClaimed: bonusPaid.has(chain._id.toString()),
+    };
+  });
+};
+
+module.exports = {
+  checkQuestLinks,
+  getLockedReasons,
+  getPrerequisiteTitles,
+  withLockStatus,
+  completeChainIfDone,
+  formatChainBonus,
+  getChains,
+};
@@ -0,0 +1,217 @@
+const Quest = require('../models/Quest');
+const QuestProgress = require('../models/QuestProgress');
+const config = require('../config');
+const logger = require('./logger');
+const { getPeriodKey, getNextReset } = require('./userDay');
+const { getScaledRequirement } = require('./questRotation');
+const { getRunningQuery, matchesAudience, isCapReached } = require('./questAudience');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODIC_QUEST_TYPES = ['daily', 'weekly'];
+
+// Game events and the quest action they count towards
+const QUEST_EVENTS = {
+  tap: 'tap',
+  referral: 'refer',
+  check_in: 'login',
+};
+
+const EVENT_ACTIONS = Object.values(QUEST_EVENTS);
+
+/**
+ * The user's current period for a daily or weekly quest, or null for quests
+ * that are claimed once. Periods follow the user's local day boundary.
+ */
+const getQuestPeriod = (user, quest, now = new Date()) => {
+  if (!PERIODIC_QUEST_TYPES.includes(quest.type)) return null;
+  return { key: getPeriodKey(user, quest.type, now), resetsAt: getNextReset(user, quest.type, now) };
+};
+
+// Periodic quests whose progress is counted from game events
+const isTrackedQuest = (quest) => PERIODIC_QUEST_TYPES.includes(quest.type) && EVENT_ACTIONS.includes(quest.action);
+
+const getTarget = (user, quest) => getScaledRequirement(quest, user.level || 0);
+
+// Generated quests name the user's own target in their text
+const fillTarget = (text, target) => (text ? text.replace(/\{target\}/g, target) : text);
+
+const getInstanceExpiry = (period) => {
+  return new Date(period.resetsAt.getTime() + config.quests.progressRetentionDays * DAY_MS);
+};
+
+// Two upserts racing on the same instance can both try to insert; the loser
+// fails with a duplicate key error and its retry updates the winner's document
+const retryDuplicateUpsert = async (upsert) => {
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+/**
+ * Adds `amount` to every running daily and weekly quest counting this event
+ * that the user is in the audience for, in the user's current period.
+ * Progress is best effort: failures are logged and never fail the action
+ * that produced the event.
+ */
+const recordQuestEvent = async (user, event, amount = 1, now = new Date()) => {
+  const action = QUEST_EVENTS[event];
+  if (!action || !(amount > 0)) return 0;
+
+  try {
+    const running = await Quest.find({
+      ...getRunningQuery(now),
+      type: { $in: PERIODIC_QUEST_TYPES },
+      action,
+    })
+      .select('type action requirement requirementPerLevel maxRequirement audience')
+      .lean();
+    // A quest that has not started, or that the user cannot see, must not
+    // open already completed
+    const quests = running.filter((quest) => matchesAudience(user, quest.audience));
+
+    for (const quest of quests) {
+      const period = getQuestPeriod(user, quest, now);
+      const filter = { user: user._id, quest: quest._id, period: period.key };
+      await retryDuplicateUpsert(() =>
+        QuestProgress.updateOne(
+          filter,
+          {
+            $inc: { progress: amount },
+            $set: { updatedAt: now },
+            $setOnInsert: { target: getTarget(user, quest), expiresAt: getInstanceExpiry(period) },
+          },
+          { upsert: true }
+        )
+      );
+      await QuestProgress.updateOne(
+        { ...filter, completedAt: null, $expr: { $gte: ['$progress', '$target'] } },
+        { $set: { completedAt: now } }
+      );
+    }
+    return quests.length;
+  } catch (error) {
+    logger.error(`Quest progress error for ${user._id} on ${event}: ${error.message}`);
+    return 0;
+  }
+};
+
+// The user's instance for a periodic quest, created on first use
+const ensureQuestInstance = (user, quest, period, now = new Date()) => {
+  return retryDuplicateUpsert(() =>
+    QuestProgress.findOneAndUpdate(
+      { user: user._id, quest: quest._id, period: period.key },
+      {
+        $setOnInsert: {
+          progress: 0,
+          target: getTarget(user, quest),
+          expiresAt: getInstanceExpiry(period),
+          updatedAt: now,
+        },
+      },
+      { upsert: true, new: true }
+    )
+  );
+};
+
+/**
+ * Marks the instance claimed. Conditional on it being unclaimed, and for
+ * tracked quests on the target being reached, so only one claim wins.
+ */
+const claimQuestInstance = (instance, quest, { session, now = new Date() } = {}) => {
+  const filter = { _id: instance._id, claimedAt: null };
+  if (isTrackedQuest(quest)) filter.$expr = { $gte: ['$progress', '$target'] };
+  return QuestProgress.findOneAndUpdate(
+    filter,
+    { $set: { claimedAt: now, completedAt: instance.completedAt || now } },
+    { new: true, session }
+  );
+};
+
+// Progress of a one-off quest, read from the user's totals
+const getOneOffProgress = (user, quest, claimed) => {
+  if (quest.type === 'tap' || quest.action === 'tap') return user.totalTaps || 0;
+  if (quest.type === 'level' || quest.action === 'reach_level') return user.level || 0;
+  if (quest.type === 'referral' || quest.action === 'refer') return (user.referrals || []).length;
+  return claimed ? getTarget(user, quest) : 0;
+};
+
+/**
+ * Adds claimed, progress, target and completed to plain quest objects, and
+ * resetsAt for daily and weekly quests, which reopen at the user's local reset.
+ */
+const getQuestStates = async (user, quests, now = new Date()) => {
+  const periods = new Map(quests.map((quest) => [quest._id.toString(), getQuestPeriod(user, quest, now)]));
+  const periodic = quests.filter((quest) => periods.get(quest._id.toString()));
+
+  const instances = periodic.length
+    ? await QuestProgress.find({
+        user: user._id,
+        quest: { $in: periodic.map((quest) => quest._id) },
+        period: { $in: [...new Set(periodic.map((quest) => periods.get(quest._id.toString()).key))] },
+      }).lean()
+    : [];
+  const instanceByKey = new Map(instances.map((entry) => [`${entry.quest}:${entry.period}`, entry]));
+  const completedIds = new Set((user.completedQuests || []).map((id) => (id._id || id).toString()));
+
+  return quests.map((quest) => {
+    const questId = quest._id.toString();
+    const period = periods.get(questId);
+    const target = getTarget(user, quest);
+
+    if (!period) {
+      const claimed = completedIds.has(questId);
+      const progress = getOneOffProgress(user, quest, claimed);
+      return {
+        ...quest,
+        title: fillTarget(quest.title, target),
+        description: fillTarget(quest.description, target),
+        claimed,
+        progress,
+        target,
+        completed: claimed || progress >= target,
+      };
+    }
+
+    const instance = instanceByKey.get(`${questId}:${period.key}`);
+    const claimed = !!(instance && instance.claimedAt);
+    const periodTarget = instance ? instance.target : target;
+    const progress = isTrackedQuest(quest) ? (instance ? instance.progress : 0) : claimed ? periodTarget : 0;
+    return {
+      ...quest,
+      title: fillTarget(quest.title, periodTarget),
+      description: fillTarget(quest.description, periodTarget),
+      claimed,
+      progress,
+      target: periodTarget,
+      completed: claimed || progress >= periodTarget,
+      resetsAt: period.resetsAt,
+    };
+  });
+};
+
+/**
+ * The running quests the user qualifies for, with their progress. Quests
+ * that hit their claim cap stay visible to the users who claimed them.
+ */
+const getVisibleQuests = async (user, now = new Date()) => {
+  const quests = await Quest.find(getRunningQuery(now)).lean();
+  const eligible = quests.filter((quest) => matchesAudience(user, quest.audience));
+  const states = await getQuestStates(user, eligible, now);
+  return states.filter((quest) => quest.claimed || !isCapReached(quest));
+};
+
+module.exports = {
+  PERIODIC_QUEST_TYPES,
+  QUEST_EVENTS,
+  getQuestPeriod,
+  isTrackedQuest,
+  recordQuestEvent,
+  ensureQuestInstance,
+  claimQuestInstance,
+  getQuestStates,
+  getVisibleQuests,
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const Quest = require('../models/Quest');
+const config = require('../config');
+const logger = require('./logger');
+const { QUEST_TEMPLATES } = require('./questTemplatesCatalog');
+const { getWeekStart } = require('./userDay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rotations run Monday to Monday UTC and are keyed by their first day
+const getRotationWindow = (now = new Date()) => {
+  const startsAt = getWeekStart(null, now);
+  const expiresAt = new Date(startsAt.getTime() + 7 * DAY_MS);
+  return { key: startsAt.toISOString().slice(0, 10), startsAt, expiresAt };
+};
+
+// Deterministic random numbers from the rotation key, so a preview shows
+// exactly what the generator will create
+const createRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Templates of one type, skipping last rotation's picks while enough remain
+const pickTemplates = (type, count, previous, random) => {
+  const candidates = shuffle(QUEST_TEMPLATES.filter((template) => template.type === type), random);
+  const fresh = candidates.filter((template) => !previous.has(template.id));
+  const repeats = candidates.filter((template) => previous.has(template.id));
+  return [...fresh, ...repeats].slice(0, count);
+};
+
+const pickRequirement = ({ min, max, step }, random) => {
+  const steps = Math.floor((max - min) / step);
+  return min + Math.floor(random() * (steps + 1)) * step;
+};
+
+// The user's requirement for a quest, scaled by their level
+const getScaledRequirement = (quest, level = 0) => {
+  const base = quest.requirement || 1;
+  const scaled = base + (quest.requirementPerLevel || 0) * Math.max(level, 0);
+  return quest.maxRequirement ? Math.min(scaled, Math.max(quest.maxRequirement, base)) : scaled;
+};
+
+const buildQuest = (template, window, random) => {
+  const requirement = pickRequirement(template.requirement, random);
+  return {
+    title: template.title,
+    description: template.description,
+    type: template.type,
+    action: template.action,
+    requirement,
+    requirementPerLevel: template.requirementPerLevel || 0,
+    maxRequirement: template.maxRequirement,
+    xpReward: Math.round(template.xpReward.base + template.xpReward.perUnit * requirement),
+    boostRewards: template.boostRewards || [],
+    template: template.id,
+    rotation: window.key,
+    expiresAt: window.expiresAt,
+  };
+};
+
+/**
+ * The quests a rotation consists of, given the template ids picked in the
+ * rotation before it. Pure, so previews and the generator always agree.
+ */
+const buildRotation = (window, previousTemplates = []) => {
+  const { dailyCount, weeklyCount } = config.quests.rotation;
+  const random = createRandom(`quest-rotation:${window.key}`);
+  const previous = new Set(previousTemplates);
+
+  return [
+    ...pickTemplates('daily', dailyCount, previous, random),
+    ...pickTemplates('weekly', weeklyCount, previous, random),
+  ].map((template) => buildQuest(template, window, random));
+};
+
+const getRotationTemplates = (key) => Quest.distinct('template', { rotation: key });
+
+/**
+ * Creates the rotation running at `now` unless it exists already, so it is
+ * safe to call on every start as well as from the weekly job.
+ * Returns { created, rotation, quests }.
+ */
+const generateRotation = async (now = new Date()) => {
+  const window = getRotationWindow(now);
+  if (await Quest.exists({ rotation: window.key })) {
+    return { created: false, rotation: window.key, quests: [] };
+  }
+
+  const previousKey = getRotationWindow(new Date(window.startsAt.getTime() - DAY_MS)).key;
+  const quests = buildRotation(window, await getRotationTemplates(previousKey));
+
+  try {
+    const created = await Quest.insertMany(quests, { ordered: false });
+    logger.info(`Quest rotation ${window.key} generated: ${created.length} quests`);
+    return { created: true, rotation: window.key, quests: created };
+  } catch (error) {
+    // Another instance generated the same rotation first
+    if (error.code !== 11000) throw error;
+    logger.info(`Quest rotation ${window.key} already generated`);
+    return { created: false, rotation: window.key, quests: [] };
+  }
+};
+
+/**
+ * The rotation that will start after the current one, with example targets
+ * per level, for team members to review.
+ */
+const previewNextRotation = async (now = new Date(), levels = [0, 5, 10, 20]) => {
+  const current = getRotationWindow(now);
+  const next = getRotationWindow(current.expiresAt);
+  const previousTemplates = await getRotationTemplates(current.key);
+
+  return {
+    rotation: next.key,
+    startsAt: next.startsAt,
+    expiresAt: next.expiresAt,
+    excludedTemplates: previousTemplates,
+    quests: buildRotation(next, previousTemplates).map((quest) => ({
+      ...quest,
+      targetsByLevel: Object.fromEntries(levels.map((level) => [level, getScaledRequirement(quest, level)])),
+    })),
+  };
+};
+
+module.exports = {
+  getRotationWindow,
+  getScaledRequirement,
+  buildRotation,
+  generateRotation,
+  previewNextRotation,
+};
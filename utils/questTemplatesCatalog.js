@@ -0,0 +1,106 @@
+// Templates the weekly rotation draws daily and weekly quests from. Each
+// rotation picks a base requirement from the range (in whole steps); every
+// user's target then grows by requirementPerLevel per level, up to
+// maxRequirement. {target} in the title and description is filled in per user.
+const QUEST_TEMPLATES = [
+  {
+    id: 'daily-check-in',
+    type: 'daily',
+    action: 'login',
+    title: 'Daily Check-in',
+    description: 'Claim your daily check-in reward',
+    requirement: { min: 1, max: 1, step: 1 },
+    xpReward: { base: 150, perUnit: 0 },
+  },
+  {
+    id: 'daily-taps',
+    type: 'daily',
+    action: 'tap',
+    title: 'Tap {target} times',
+    description: 'Tap your mining rig {target} times today',
+    requirement: { min: 200, max: 500, step: 50 },
+    requirementPerLevel: 25,
+    maxRequirement: 1500,
+    xpReward: { base: 100, perUnit: 1 },
+  },
+  {
+    id: 'daily-tap-marathon',
+    type: 'daily',
+    action: 'tap',
+    title: 'Tap Marathon',
+    description: 'Tap your mining rig {target} times before the daily reset',
+    requirement: { min: 1000, max: 2000, step: 250 },
+    requirementPerLevel: 100,
+    maxRequirement: 5000,
+    xpReward: { base: 300, perUnit: 0.5 },
+  },
+  {
+    id: 'daily-invite',
+    type: 'daily',
+    action: 'refer',
+    title: 'Invite a Friend',
+    description: 'Invite {target} friend to Neurolov today',
+    requirement: { min: 1, max: 1, step: 1 },
+    xpReward: { base: 750, perUnit: 0 },
+  },
+  {
+    id: 'daily-tap-warmup',
+    type: 'daily',
+    action: 'tap',
+    title: 'Warm Up',
+    description: 'Tap your mining rig {target} times',
+    requirement: { min: 50, max: 150, step: 25 },
+    requirementPerLevel: 10,
+    maxRequirement: 500,
+    xpReward: { base: 50, perUnit: 1 },
+  },
+  {
+    id: 'weekly-taps',
+    type: 'weekly',
+    action: 'tap',
+    title: 'Tap {target} times this week',
+    description: 'Tap your mining rig {target} times before the weekly reset',
+    requirement: { min: 3000, max: 6000, step: 500 },
+    requirementPerLevel: 250,
+    maxRequirement: 15000,
+    xpReward: { base: 1000, perUnit: 0.5 },
+    boostRewards: [{ type: 'xp_multiplier', tier: 2, durationMinutes: 15, quantity: 1 }],
+  },
+  {
+    id: 'weekly-tap-grind',
+    type: 'weekly',
+    action: 'tap',
+    title: 'The Grind',
+    description: 'Tap your mining rig {target} times this week',
+    requirement: { min: 8000, max: 12000, step: 1000 },
+    requirementPerLevel: 500,
+    maxRequirement: 30000,
+    xpReward: { base: 2500, perUnit: 0.25 },
+    boostRewards: [{ type: 'compute_power', tier: 2, durationMinutes: 30, quantity: 1 }],
+  },
+  {
+    id: 'weekly-invites',
+    type: 'weekly',
+    action: 'refer',
+    title: 'Grow the Network',
+    description: 'Invite {target} friends this week',
+    requirement: { min: 2, max: 5, step: 1 },
+    xpReward: { base: 1000, perUnit: 500 },
+  },
+  {
+    id: 'weekly-check-ins',
+    type: 'weekly',
+    action: 'login',
+    title: 'Regular',
+    description: 'Check in on {target} days this week',
+    requirement: { min: 4, max: 6, step: 1 },
+    xpReward: { base: 500, perUnit: 200 },
+  },
+];
+
+const getQuestTemplate = (templateId) => QUEST_TEMPLATES.find((template) => template.id === templateId) || null;
+
+module.exports = {
+  QUEST_TEMPLATES,
+  getQuestTemplate,
+};
@@ -1,37 +1,100 @@
-const twitterClient = require("./twitterClient");
 const TelegramBot = require("node-telegram-bot-api");
 const config = require("../config");
+const logger = require("./logger");
+const TwitterVerification = require("../models/TwitterVerification");
+const { getTwitterClient } = require("./twitterClient");
 
 const bot = new TelegramBot("7498025356:AAHRulCA9f5wWc3Kcw2aGEm9Tl6iy6tTEtw", {
   polling: false,
 });
 
-const verifyTwitterQuest = async (questType, targetId, userId) => {
-  try {
-    const user = await twitterClient.v2.user(userId);
-    switch (questType) {
-      case "follow":
-        const following = await twitterClient.v2.friendship({
-          source_id: userId,
-          target_id: targetId,
-        });
-        return following.data.following;
-      case "retweet":
-        const retweets = await twitterClient.v2.userRetweets(userId, {
-          max_results: 100,
-        });
-        return retweets.data.some((tweet) => tweet.id === targetId);
-      case "like":
-        const likes = await twitterClient.v2.userLikedTweets(userId, {
-          max_results: 100,
-        });
-        return likes.data.some((tweet) => tweet.id === targetId);
-      default:
-        return false;
+const TWITTER_CHECKS = {
+  follow: (client, xUserId, targetId) => client.isFollowing(xUserId, targetId),
+  retweet: (client, xUserId, targetId) => client.hasRetweeted(xUserId, targetId),
+  like: (client, xUserId, targetId) => client.hasLiked(xUserId, targetId),
+};
+
+// Until when each kind of check is known to be rate limited
+const rateLimitedUntil = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRateLimitError = (error) => !!(error && (error.rateLimitError || error.code === 429));
+
+const getRateLimitReset = (error, now) => {
+  const reset = error.rateLimit && error.rateLimit.reset;
+  return reset ? new Date(reset * 1000) : new Date(now.getTime() + 60 * 1000);
+};
+
+// Follow targets may be given as a handle; the lookups need the numeric id
+const resolveTarget = async (client, action, targetId) => {
+  if (action !== "follow" || /^\d+$/.test(targetId)) return targetId;
+  return client.getUserIdByUsername(targetId.replace(/^@/, ""));
+};
+
+/**
+ * Checks whether the X account followed, retweeted or liked the target.
+ * Results are cached per account and target, passes for longer than
+ * failures. A rate limit that resets within maxRetryWaitSeconds is waited
+ * out; otherwise the result says when to come back. Resolves to
+ * { verified, cached, rateLimited, retryAt, error }.
+ */
+const verifyTwitterQuest = async (action, targetId, xUserId) => {
+  const check = TWITTER_CHECKS[action];
+  if (!check || !targetId || !xUserId) return { verified: false };
+
+  const target = String(targetId);
+  const now = new Date();
+  const cached = await TwitterVerification.findOne({
+    xUserId,
+    action,
+    targetId: target,
+    expiresAt: { $gt: now },
+  }).lean();
+  if (cached) return { verified: cached.verified, cached: true };
+
+  const limitedUntil = rateLimitedUntil.get(action);
+  if (limitedUntil && limitedUntil > now) {
+    return { verified: false, rateLimited: true, retryAt: limitedUntil };
+  }
+
+  const { maxRetries, maxRetryWaitSeconds, passCacheMinutes, failCacheMinutes } =
+    config.twitter.verification;
+  const client = getTwitterClient();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const resolvedTarget = await resolveTarget(client, action, target);
+      const verified = resolvedTarget ? await check(client, xUserId, resolvedTarget) : false;
+      const cacheMinutes = verified ? passCacheMinutes : failCacheMinutes;
+
+      await TwitterVerification.updateOne(
+        { xUserId, action, targetId: target },
+        {
+          $set: {
+            verified,
+            checkedAt: new Date(),
+            expiresAt: new Date(Date.now() + cacheMinutes * 60 * 1000),
+          },
+        },
+        { upsert: true }
+      );
+      return { verified, cached: false };
+    } catch (error) {
+      if (!isRateLimitError(error)) {
+        logger.error(`Error verifying Twitter ${action} of ${target} by ${xUserId}: ${error.message}`);
+        return { verified: false, error: true };
+      }
+
+      const retryAt = getRateLimitReset(error, new Date());
+      const waitMs = Math.max(0, retryAt.getTime() - Date.now());
+      if (attempt >= maxRetries || waitMs > maxRetryWaitSeconds * 1000) {
+        rateLimitedUntil.set(action, retryAt);
+        logger.warn(`Twitter ${action} checks rate limited until ${retryAt.toISOString()}`);
+        return { verified: false, rateLimited: true, retryAt };
+      }
+      await sleep(waitMs);
     }
-  } catch (error) {
-    console.error("Error verifying Twitter quest:", error);
-    return false;
   }
 };
 
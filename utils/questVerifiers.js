@@ -0,0 +1,244 @@
+const { verifyTelegramQuest, verifyTwitterQuest } = require('./questVerification');
+const { ownsCosmetic } = require('./cosmetics');
+const { getScaledRequirement } = require('./questRotation');
+
+// Verifiers keyed by 'type:action'; '*' matches any type or action
+const verifiers = new Map();
+
+/**
+ * Registers the check for quests of a type and action. A verifier receives
+ * (user, quest, context) and resolves to { verified, progress, target,
+ * missing, message }; missing describes what the user still has to do.
+ * rateLimited or unavailable mark a check that could not run and is worth
+ * retrying.
+ */
+const registerVerifier = (type, action, verifier) => {
+  verifiers.set(`${type}:${action}`, verifier);
+};
+
+// The exact pair wins, then the type's verifier, then the action's
+const getVerifier = (quest) => {
+  return (
+    verifiers.get(`${quest.type}:${quest.action}`) ||
+    verifiers.get(`${quest.type}:*`) ||
+    verifiers.get(`*:${quest.action}`) ||
+    null
+  );
+};
+
+/**
+ * Checks the user's actual state against the quest. Quests nobody registered
+ * a verifier for are refused rather than paid out; that includes Discord
+ * quests until Discord accounts can be linked.
+ */
+const verifyQuest = async (user, quest, context = {}) => {
+  const verifier = getVerifier(quest);
+  if (!verifier) {
+    return { verified: false, progress: 0, target: 1, missing: null, message: 'This quest cannot be verified yet' };
+  }
+  return verifier(user, quest, context);
+};
+
+// Result for a counter compared against a target
+const countResult = (progress, target, missing, message) => {
+  const verified = progress >= target;
+  return {
+    verified,
+    progress: Math.min(progress, target),
+    target,
+    missing: verified ? null : missing(target - progress),
+    message: verified ? undefined : message(target - progress),
+  };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Daily and weekly event quests count progress on the user's period instance
+const verifyPeriodProgress = async (user, quest, { instance }) => {
+  const progress = instance ? instance.progress : 0;
+  const target = instance ? instance.target : getScaledRequirement(quest, user.level || 0);
+  return countResult(
+    progress,
+    target,
+    (left) => ({ [quest.action]: left }),
+    (left) => `${left} more to go before the reset`
+  );
+};
+
+for (const type of ['daily', 'weekly']) {
+  for (const action of ['tap', 'refer', 'login']) {
+    registerVerifier(type, action, verifyPeriodProgress);
+  }
+}
+
+const verifyReferrals = async (user, quest) => {
+  return countResult(
+    (user.referrals || []).length,
+    quest.requirement || 1,
+    (left) => ({ referrals: left }),
+    (left) => `Invite ${plural(left, 'more friend')}`
+  );
+};
+
+registerVerifier('referral', '*', verifyReferrals);
+registerVerifier('*', 'refer', verifyReferrals);
+
+const verifyLevel = async (user, quest) => {
+  const target = quest.requirement || 1;
+  return countResult(
+    user.level || 0,
+    target,
+    (left) => ({ levels: left }),
+    (left) => `Reach level ${target} (${plural(left, 'level')} to go)`
+  );
+};
+
+registerVerifier('level', '*', verifyLevel);
+registerVerifier('*', 'reach_level', verifyLevel);
+
+const verifyTaps = async (user, quest) => {
+  const target = getScaledRequirement(quest, user.level || 0);
+  return countResult(
+    user.totalTaps || 0,
+    target,
+    (left) => ({ taps: left }),
+    (left) => `Tap ${plural(left, 'more time')}`
+  );
+};
+
+registerVerifier('tap', '*', verifyTaps);
+registerVerifier('*', 'tap', verifyTaps);
+
+// requirement is the rank to reach, e.g. 10 for a top 10 finish
+const verifyRank = async (user, quest) => {
+  const target = quest.requirement || 1;
+  const bestRank = Number.isFinite(user.highestLeaderboardRank) ? user.highestLeaderboardRank : null;
+  const verified = bestRank !== null && bestRank <= target;
+  return {
+    verified,
+    progress: bestRank,
+    target,
+    missing: verified ? null : { rank: target, bestRank },
+    message: verified
+      ? undefined
+      : bestRank
+      ? `Finish in the top ${target}; your best is #${bestRank}`
+      : `Finish a leaderboard period in the top ${target}`,
+  };
+};
+
+registerVerifier('leaderboard', '*', verifyRank);
+registerVerifier('*', 'rank', verifyRank);
+
+// Specific achievements when achievementIds is set, otherwise a count
+const verifyAchievements = async (user, quest) => {
+  const unlocked = new Set((user.achievements || []).filter((a) => a.completed).map((a) => a.id));
+  const required = quest.achievementIds || [];
+
+  if (!required.length) {
+    return countResult(
+      unlocked.size,
+      quest.requirement || 1,
+      (left) => ({ achievements: left }),
+      (left) => `Unlock ${plural(left, 'more achievement')}`
+    );
+  }
+
+  const missing = required.filter((id) => !unlocked.has(id));
+  return {
+    verified: missing.length === 0,
+    progress: required.length - missing.length,
+    target: required.length,
+    missing: missing.length ? { achievements: missing } : null,
+    message: missing.length ? `Unlock ${missing.join(', ')}` : undefined,
+  };
+};
+
+registerVerifier('achievement', '*', verifyAchievements);
+
+// Owning the target cosmetic completes an unlock_skin quest
+const verifyCosmetic = async (user, quest) => {
+  const verified = await ownsCosmetic(user._id, quest.targetId);
+  return {
+    verified,
+    progress: verified ? 1 : 0,
+    target: 1,
+    missing: verified ? null : { cosmetic: quest.targetId },
+    message: verified ? undefined : 'Unlock the required cosmetic first',
+  };
+};
+
+registerVerifier('*', 'unlock_skin', verifyCosmetic);
+registerVerifier('achievement', 'unlock_skin', verifyCosmetic);
+
+registerVerifier('telegram', 'join', async (user, quest) => {
+  const joined = await verifyTelegramQuest(quest.action, quest.targetId, user.telegramId);
+  return {
+    verified: joined,
+    progress: joined ? 1 : 0,
+    target: 1,
+    missing: joined ? null : { channel: quest.targetId },
+    message: joined ? undefined : 'User has not joined telegram channel',
+    joined,
+  };
+});
+
+const TWITTER_ACTION_MESSAGES = {
+  follow: 'Follow the account on X first',
+  retweet: 'Retweet the post on X first',
+  like: 'Like the post on X first',
+};
+
+// Checked against the X account linked through /api/users/twitter/link
+registerVerifier('twitter', '*', async (user, quest) => {
+  if (!user.twitter || !user.twitter.id) {
+    return {
+      verified: false,
+      progress: 0,
+      target: 1,
+      missing: { twitter: 'link' },
+      message: 'Link your X account first',
+    };
+  }
+
+  const { verified, rateLimited, retryAt, error } = await verifyTwitterQuest(
+    quest.action,
+    quest.targetId,
+    user.twitter.id
+  );
+  // Neither says the user did not do it, so both ask for a retry
+  if (error) {
+    return {
+      verified: false,
+      progress: 0,
+      target: 1,
+      missing: null,
+      message: 'Could not reach X to check this quest, try again shortly',
+      unavailable: true,
+    };
+  }
+  if (rateLimited) {
+    return {
+      verified: false,
+      progress: 0,
+      target: 1,
+      missing: null,
+      message: 'X is not answering right now, try again shortly',
+      rateLimited,
+      retryAt,
+    };
+  }
+  return {
+    verified,
+    progress: verified ? 1 : 0,
+    target: 1,
+    missing: verified ? null : { [quest.action]: quest.targetId },
+    message: verified ? undefined : TWITTER_ACTION_MESSAGES[quest.action] || 'Quest not completed on X yet',
+  };
+});
+
+module.exports = {
+  registerVerifier,
+  getVerifier,
+  verifyQuest,
+};
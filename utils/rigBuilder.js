@@ -0,0 +1,239 @@
+const GPU = require('../models/GPU');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const config = require('../config');
+const { getGpuTier } = require('./gpuCatalog');
+
+// Extra slots unlock every few CP levels
+const getRigSlots = (user) => {
+  const { baseSlots, maxSlots, levelsPerExtraSlot } = config.rig;
+  return Math.min(baseSlots + Math.floor((user.level || 0) / levelsPerExtraSlot), maxSlots);
+};
+
+/**
+ * Users created before rigs existed own no GPU documents. Give them a card
+ * carrying their current compute power so nothing is lost when it is next
+ * recalculated from the rig. The unique starter index makes concurrent calls
+ * create one card; call this before opening a transaction, as a duplicate
+ * key error would abort it.
+ */
+const ensureStarterRig = async (user) => {
+  if (await GPU.exists({ user: user._id })) return;
+
+  const tier = getGpuTier(user.gpuLevel || 1);
+  try {
+    await GPU.create({
+      user: user._id,
+      model: tier.id,
+      level: tier.level,
+      computePower: user.computePower > 0 ? user.computePower : tier.computePower,
+      equipped: true,
+      slot: 0,
+      source: 'starter',
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Keeps User.computePower equal to the sum of the equipped cards
+const recalculateComputePower = async (userId, session = null) => {
+  const equipped = await GPU.find({ user: userId, equipped: true }).session(session);
+  const computePower = equipped.reduce((sum, gpu) => sum + gpu.computePower, 0);
+  return User.findByIdAndUpdate(userId, { $set: { computePower } }, { new: true, session });
+};
+
+const findFreeSlot = (user, equipped) => {
+  const taken = new Set(equipped.map((gpu) => gpu.slot));
+  for (let slot = 0; slot < getRigSlots(user); slot++) {
+    if (!taken.has(slot)) return slot;
+  }
+  return null;
+};
+
+/**
+ * Adds a newly bought card of the given tier, equipping it when a slot is free.
+ */
+const addGpuToRig = async (user, tier, session = null) => {
+  const equipped = await GPU.find({ user: user._id, equipped: true }).session(session);
+  const slot = findFreeSlot(user, equipped);
+
+  const [gpu] = await GPU.create(
+    [
+      {
+        user: user._id,
+        model: tier.id,
+        level: tier.level,
+        computePower: tier.computePower,
+        equipped: slot !== null,
+        slot,
+        source: 'shop',
+      },
+    ],
+    { session }
+  );
+  const updated = await recalculateComputePower(user._id, session);
+  return { gpu, user: updated };
+};
+
+const formatGpu = (gpu) => ({
+  id: gpu._id,
+  model: gpu.model,
+  name: getGpuTier(gpu.level).name,
+  level: gpu.level,
+  computePower: gpu.computePower,
+  equipped: gpu.equipped,
+  slot: gpu.slot,
+  acquiredAt: gpu.acquiredAt,
+});
+
+const getRig = async (user) => {
+  await ensureStarterRig(user);
+  const gpus = await GPU.find({ user: user._id }).sort({ equipped: -1, slot: 1, level: -1 });
+  const equipped = gpus.filter((gpu) => gpu.equipped);
+  return {
+    slots: getRigSlots(user),
+    effectiveComputePower: equipped.reduce((sum, gpu) => sum + gpu.computePower, 0),
+    equipped: equipped.map(formatGpu),
+    inventory: gpus.filter((gpu) => !gpu.equipped).map(formatGpu),
+  };
+};
+
+const markCustomized = (userId, session) => {
+  return User.updateOne({ _id: userId }, { $set: { hasCustomizedRig: true } }, { session });
+};
+
+/**
+ * Runs one rig change inside a transaction. The action receives the user's
+ * GPUs and returns { ok: false, status, message } to refuse the change, or
+ * { ok: true, ...details } after applying it.
+ */
+const changeRig = async (user, action) => {
+  await ensureStarterRig(user);
+  const session = await User.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const gpus = await GPU.find({ user: user._id }).session(session);
+
+      result = await action(gpus, session);
+      if (!result.ok) return;
+
+      await markCustomized(user._id, session);
+      result.user = await recalculateComputePower(user._id, session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Takes a card away outside of the owner's control, e.g. when its purchase
+ * is refunded. If that empties the rig the best remaining card is equipped.
+ * Returns the removed GPU, or null when the user no longer has it.
+ */
+const revokeGpu = async (userId, gpuId) => {
+  const session = await User.startSession();
+  try {
+    let removed;
+    await session.withTransaction(async () => {
+      removed = await GPU.findOneAndDelete({ _id: gpuId, user: userId }, { session });
+      if (!removed) return;
+
+      const remaining = await GPU.find({ user: userId }).sort({ level: -1 }).session(session);
+      if (remaining.length && !remaining.some((gpu) => gpu.equipped)) {
+        remaining[0].equipped = true;
+        remaining[0].slot = 0;
+        await remaining[0].save({ session });
+      }
+      await recalculateComputePower(userId, session);
+    });
+    return removed;
+  } finally {
+    session.endSession();
+  }
+};
+
+const findGpu = (gpus, gpuId) => gpus.find((gpu) => gpu._id.toString() === gpuId);
+
+const equipGpu = (user, gpuId, slot) => {
+  return changeRig(user, async (gpus, session) => {
+    const gpu = findGpu(gpus, gpuId);
+    if (!gpu) return { ok: false, status: 404, message: 'GPU not found' };
+    if (gpu.equipped) return { ok: false, status: 400, message: 'GPU is already equipped' };
+
+    const equipped = gpus.filter((g) => g.equipped);
+    const target = slot === undefined ? findFreeSlot(user, equipped) : slot;
+    if (target === null || target >= getRigSlots(user)) {
+      return { ok: false, status: 400, message: 'No free rig slot' };
+    }
+    if (equipped.some((g) => g.slot === target)) {
+      return { ok: false, status: 400, message: `Slot ${target} is occupied` };
+    }
+
+    gpu.equipped = true;
+    gpu.slot = target;
+    await gpu.save({ session });
+    return { ok: true, gpu };
+  });
+};
+
+const unequipGpu = (user, gpuId) => {
+  return changeRig(user, async (gpus, session) => {
+    const gpu = findGpu(gpus, gpuId);
+    if (!gpu) return { ok: false, status: 404, message: 'GPU not found' };
+    if (!gpu.equipped) return { ok: false, status: 400, message: 'GPU is not equipped' };
+    if (gpus.filter((g) => g.equipped).length === 1) {
+      return { ok: false, status: 400, message: 'Your rig needs at least one GPU' };
+    }
+
+    gpu.equipped = false;
+    gpu.slot = null;
+    await gpu.save({ session });
+    return { ok: true, gpu };
+  });
+};
+
+/**
+ * Removes an unequipped GPU. Selling refunds part of the tier price,
+ * scrapping removes it for nothing.
+ */
+const removeGpu = (user, gpuId, mode) => {
+  return changeRig(user, async (gpus, session) => {
+    const gpu = findGpu(gpus, gpuId);
+    if (!gpu) return { ok: false, status: 404, message: 'GPU not found' };
+    if (gpu.equipped) {
+      return { ok: false, status: 400, message: 'Unequip the GPU before removing it' };
+    }
+
+    const { price } = getGpuTier(gpu.level);
+    const refund = mode === 'sell' ? Math.floor(price.amount * config.rig.sellRefundRate) : 0;
+
+    await GPU.deleteOne({ _id: gpu._id }).session(session);
+    if (refund > 0) {
+      await User.updateOne({ _id: user._id }, { $inc: { [price.currency]: refund } }, { session });
+    }
+
+    await new Activity({
+      user: user._id,
+      type: 'rig_change',
+      details: { action: mode, gpu: gpu.model, level: gpu.level, refund, currency: price.currency },
+    }).save({ session });
+
+    return { ok: true, gpu, refund: { currency: price.currency, amount: refund } };
+  });
+};
+
+module.exports = {
+  getRigSlots,
+  ensureStarterRig,
+  recalculateComputePower,
+  addGpuToRig,
+  revokeGpu,
+  formatGpu,
+  getRig,
+  equipGpu,
+  unequipGpu,
+  removeGpu,
+};
@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const BoostItem = require('../models/BoostItem');
+const Activity = require('../models/Activity');
+const config = require('../config');
+const logger = require('./logger');
+const { STORE_ITEMS, getStoreItem, quoteItem, checkEligibility } = require('./storeCatalog');
+const { grantBoostRewards } = require('./boostInventory');
+const { getGpuTier } = require('./gpuCatalog');
+const { ensureStarterRig, addGpuToRig, revokeGpu } = require('./rigBuilder');
+const { grantCosmetics, revokeCosmetics } = require('./cosmetics');
+
+const CURRENCY = 'XTR';
+
+// Orders that hold stock: paid for and not refunded
+const SOLD_STATUSES = ['paid', 'fulfilled', 'refunding'];
+
+// Every function takes the bot as an argument so tests can pass a stub. The
+// registered bot is kept here for the HTTP routes.
+let paymentsBot = null;
+const setPaymentsBot = (bot) => {
+  paymentsBot = bot;
+};
+const getPaymentsBot = () => paymentsBot;
+
+const getItemCounts = async (item, userId, excludeOrderId = null, session = null) => {
+  const base = { item: item.id, status: { $in: SOLD_STATUSES } };
+  if (excludeOrderId) base._id = { $ne: excludeOrderId };
+
+  // Sequential so the counts can share a transaction session
+  const sold = item.stock !== undefined ? await Order.countDocuments(base).session(session) : 0;
+  const boughtByUser =
+    item.perUserLimit !== undefined
+      ? await Order.countDocuments({ ...base, user: userId }).session(session)
+      : 0;
+  return { sold, boughtByUser };
+};
+
+const getStoreView = async (user) => {
+  return Promise.all(
+    STORE_ITEMS.map(async (item) => {
+      const { stars } = quoteItem(item, user);
+      const counts = await getItemCounts(item, user._id);
+      const check = stars ? checkEligibility(item, user, counts) : { ok: false, reason: 'max_tier' };
+      return {
+        id: item.id,
+        kind: item.kind,
+        title: item.title,
+        description: item.description,
+        stars,
+        boostRewards: item.boostRewards,
+        compute: item.compute,
+        cosmetics: item.cosmetics,
+        streakFreezes: item.streakFreezes,
+        remainingStock: item.stock !== undefined ? Math.max(item.stock - counts.sold, 0) : null,
+        purchasable: check.ok,
+        blockedBy: check.ok ? undefined : check.reason,
+      };
+    })
+  );
+};
+
+const formatOrder = (order) => ({
+  id: order.orderId,
+  item: order.item,
+  title: order.title,
+  stars: order.stars,
+  status: order.status,
+  createdAt: order.createdAt,
+  paidAt: order.paidAt,
+  fulfilledAt: order.fulfilledAt,
+  refundedAt: order.refundedAt,
+});
+
+/**
+ * Creates a pending order and a Stars invoice link for it.
+ * Returns { ok: true, order, invoiceLink } or { ok: false, status, reason, message }.
+ */
+const createInvoice = async (bot, user, itemId) => {
+  const item = getStoreItem(itemId);
+  if (!item) return { ok: false, status: 404, reason: 'not_found', message: 'Item not found' };
+
+  const { stars, details } = quoteItem(item, user);
+  if (!stars) return { ok: false, status: 400, reason: 'max_tier', message: 'Nothing left to buy' };
+
+  const check = checkEligibility(item, user, await getItemCounts(item, user._id), details);
+  if (!check.ok) return { ok: false, status: 400, ...check };
+
+  const order = await Order.create({
+    orderId: crypto.randomBytes(16).toString('hex'),
+    user: user._id,
+    telegramId: user.telegramId,
+    item: item.id,
+    title: item.title,
+    stars,
+    details,
+  });
+
+  // Stars invoices take an empty provider token
+  const invoiceLink = await bot.createInvoiceLink(
+    item.title,
+    item.description,
+    order.orderId,
+    '',
+    CURRENCY,
+    [{ label: item.title, amount: stars }]
+  );
+
+  logger.info(`Created order ${order.orderId} (${item.id}, ${stars} XTR) for ${user.telegramId}`);
+  return { ok: true, order, invoiceLink };
+};
+
+// Reasons to refuse a checkout, or null when the order can be paid
+const checkOrderPayable = async (order, query) => {
+  if (!order) return 'Order not found';
+  if (order.status !== 'pending') return 'This order was already paid';
+  if (query.currency !== CURRENCY || query.total_amount !== order.stars) return 'Price changed, please try again';
+  if (String(query.from.id) !== order.telegramId) return 'This invoice belongs to another user';
+
+  const item = getStoreItem(order.item);
+  const user = await User.findById(order.user);
+  if (!item || !user) return 'Item is no longer available';
+
+  const check = checkEligibility(item, user, await getItemCounts(item, user._id), order.details);
+  return check.ok ? null : check.message;
+};
+
+const handlePreCheckoutQuery = async (bot, query) => {
+  let error;
+  try {
+    const order = await Order.findOne({ orderId: query.invoice_payload });
+    error = await checkOrderPayable(order, query);
+  } catch (err) {
+    logger.error(`Pre-checkout check failed for ${query.invoice_payload}: ${err.message}`);
+    error = 'Something went wrong, please try again';
+  }
+
+  if (error) {
+    logger.info(`Pre-checkout refused for ${query.invoice_payload}: ${error}`);
+    return bot.answerPreCheckoutQuery(query.id, false, { error_message: error });
+  }
+  return bot.answerPreCheckoutQuery(query.id, true);
+};
+
+const deliverItem = async (item, order, user, session) => {
+  switch (item.kind) {
+    case 'boost_pack': {
+      const granted = await grantBoostRewards(user._id, item.boostRewards, {
+        source: 'purchase',
+        sourceId: order.orderId,
+        session,
+      });
+      return { boostItems: granted.map((boostItem) => boostItem._id) };
+    }
+    case 'cosmetic':
+      await grantCosmetics(user._id, item.cosmetics, {
+        source: 'purchase',
+        sourceId: order.orderId,
+        session,
+      });
+      return { cosmetics: item.cosmetics };
+    case 'compute':
+      await User.updateOne({ _id: user._id }, { $inc: { compute: item.compute } }, { session });
+      return { compute: item.compute };
+    case 'streak_freeze': {
+      const { maxStreakFreezes } = config.checkIn;
+      const stocked = await User.findOneAndUpdate(
+        { _id: user._id, streakFreezes: { $lte: maxStreakFreezes - item.streakFreezes } },
+        { $inc: { streakFreezes: item.streakFreezes } },
+        { new: true, session }
+      );
+      return stocked ? { streakFreezes: item.streakFreezes } : null;
+    }
+    case 'gpu_upgrade': {
+      const tier = getGpuTier(order.details.gpuLevel);
+      const upgraded = await User.findOneAndUpdate(
+        { _id: user._id, gpuLevel: tier.level - 1 },
+        { $set: { gpuLevel: tier.level } },
+        { new: true, session }
+      );
+      if (!upgraded) return null;
+      const { gpu } = await addGpuToRig(upgraded, tier, session);
+      return { gpu: gpu._id };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Delivers a paid order. The order moves from paid to fulfilled in the same
+ * transaction as the delivery, so it is delivered at most once.
+ * Returns { ok: true, order } or { ok: false, message }.
+ */
+const fulfilOrder = async (order) => {
+  const item = getStoreItem(order.item);
+  if (item && item.kind === 'gpu_upgrade') {
+    const owner = await User.findById(order.user);
+    if (owner) await ensureStarterRig(owner);
+  }
+
+  const session = await User.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const item = getStoreItem(order.item);
+      const user = await User.findById(order.user).session(session);
+      if (!item || !user) {
+        result = { ok: false, message: 'Item is no longer available' };
+        return;
+      }
+
+      const counts = await getItemCounts(item, user._id, order._id, session);
+      const check = checkEligibility(item, user, counts, order.details);
+      if (!check.ok) {
+        result = check;
+        return;
+      }
+
+      const fulfilment = await deliverItem(item, order, user, session);
+      if (!fulfilment) {
+        result = { ok: false, message: 'Could not deliver the item' };
+        await session.abortTransaction();
+        return;
+      }
+
+      const fulfilled = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'paid' },
+        { $set: { status: 'fulfilled', fulfilment, fulfilledAt: new Date() } },
+        { new: true, session }
+      );
+      if (!fulfilled) {
+        // Someone else delivered it first; roll back this delivery
+        result = { ok: true, order: await Order.findById(order._id), duplicate: true };
+        await session.abortTransaction();
+        return;
+      }
+
+      await new Activity({
+        user: user._id,
+        type: 'purchase',
+        details: { order: order.orderId, item: item.id, stars: order.stars, ...fulfilment },
+      }).save({ session });
+
+      result = { ok: true, order: fulfilled };
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Calls the Bot API refundStarPayment method. node-telegram-bot-api 0.66
+ * predates Bot API 7.4, which added it, so there is no wrapper and the call
+ * goes through the library's internal _request. This is the only place that
+ * does; once the dependency ships bot.refundStarPayment the fallback can go.
+ */
+const refundStarPayment = (bot, telegramId, chargeId) => {
+  if (typeof bot.refundStarPayment === 'function') {
+    return bot.refundStarPayment(telegramId, chargeId);
+  }
+  return bot._request('refundStarPayment', {
+    form: { user_id: telegramId, telegram_payment_charge_id: chargeId },
+  });
+};
+
+// Takes back whatever the buyer has not used yet
+const revokeFulfilment = async (order) => {
+  const { boostItems = [], compute, gpu, cosmetics = [], streakFreezes } = order.fulfilment || {};
+  const revoked = { boostItems: 0, compute: 0, cosmetics: [], streakFreezes: 0, gpu: false, gpuLevel: false };
+
+  if (boostItems.length) {
+    const { deletedCount } = await BoostItem.deleteMany({ _id: { $in: boostItems }, usedAt: null });
+    revoked.boostItems = deletedCount;
+  }
+  if (compute) {
+    const before = await User.findOneAndUpdate(
+      { _id: order.user },
+      [{ $set: { compute: { $max: [{ $subtract: ['$compute', compute] }, 0] } } }],
+      { new: false }
+    );
+    revoked.compute = before ? Math.min(before.compute, compute) : 0;
+  }
+  if (streakFreezes) {
+    const before = await User.findOneAndUpdate(
+      { _id: order.user },
+      [{ $set: { streakFreezes: { $max: [{ $subtract: ['$streakFreezes', streakFreezes] }, 0] } } }],
+      { new: false }
+    );
+    revoked.streakFreezes = before ? Math.min(before.streakFreezes || 0, streakFreezes) : 0;
+  }
+  if (gpu) {
+    revoked.gpu = !!(await revokeGpu(order.user, gpu));
+    // The tier goes back only while nothing was bought on top of it
+    const { gpuLevel } = order.details;
+    const lowered = await User.updateOne({ _id: order.user, gpuLevel }, { $set: { gpuLevel: gpuLevel - 1 } });
+    revoked.gpuLevel = lowered.modifiedCount > 0;
+  }
+  if (cosmetics.length) {
+    revoked.cosmetics = await revokeCosmetics(order.user, cosmetics, {
+      source: 'purchase',
+      sourceId: order.orderId,
+    });
+  }
+  return revoked;
+};
+
+/**
+ * Refunds a paid order through Telegram and revokes unused goods, including
+ * the card and tier of a GPU upgrade.
+ * Returns { ok: true, order } or { ok: false, status, message }.
+ */
+const refundOrder = async (bot, orderId, { reason, requestedBy } = {}) => {
+  const previous = await Order.findOneAndUpdate(
+    { orderId, status: { $in: ['paid', 'fulfilled'] } },
+    { $set: { status: 'refunding' } },
+    { new: false }
+  );
+  if (!previous) {
+    return { ok: false, status: 409, message: 'Order cannot be refunded' };
+  }
+
+  try {
+    await refundStarPayment(bot, Number(previous.telegramId), previous.telegramPaymentChargeId);
+  } catch (error) {
+    await Order.updateOne({ _id: previous._id }, { $set: { status: previous.status } });
+    logger.error(`Stars refund failed for order ${orderId}: ${error.message}`);
+    return { ok: false, status: 502, message: 'Telegram refused the refund' };
+  }
+
+  const revoked = previous.status === 'fulfilled' ? await revokeFulfilment(previous) : null;
+  const order = await Order.findByIdAndUpdate(
+    previous._id,
+    { $set: { status: 'refunded', refundedAt: new Date(), refund: { reason, requestedBy, revoked } } },
+    { new: true }
+  );
+
+  await new Activity({
+    user: order.user,
+    type: 'purchase_refund',
+    details: { order: orderId, item: order.item, stars: order.stars, reason, revoked },
+  }).save();
+
+  logger.info(`Refunded order ${orderId} (${order.stars} XTR): ${reason}`);
+  return { ok: true, order };
+};
+
+const notify = (bot, telegramId, text) => {
+  return Promise.resolve(bot.sendMessage(telegramId, text)).catch((error) =>
+    logger.error(`Failed to send payment message to ${telegramId}: ${error.message}`)
+  );
+};
+
+/**
+ * Handles the successful_payment service message. Telegram may deliver it
+ * more than once; the charge id is stored with the order, so repeats are
+ * recognised and ignored.
+ */
+const handleSuccessfulPayment = async (bot, msg) => {
+  const payment = msg.successful_payment;
+  const chargeId = payment.telegram_payment_charge_id;
+
+  let order;
+  try {
+    order = await Order.findOneAndUpdate(
+      { orderId: payment.invoice_payload, status: 'pending' },
+      { $set: { status: 'paid', telegramPaymentChargeId: chargeId, paidAt: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  if (!order) {
+    const existing = await Order.findOne({ orderId: payment.invoice_payload });
+    if (existing && existing.telegramPaymentChargeId === chargeId) {
+      logger.info(`Duplicate payment update for order ${existing.orderId} ignored`);
+      return { ok: true, order: existing, duplicate: true };
+    }
+    logger.error(`Payment ${chargeId} does not match a pending order (${payment.invoice_payload})`);
+    return { ok: false, message: 'Unknown order' };
+  }
+
+  const result = await fulfilOrder(order);
+  if (!result.ok) {
+    logger.warn(`Order ${order.orderId} could not be fulfilled: ${result.message}`);
+    const refund = await refundOrder(bot, order.orderId, { reason: result.message });
+    await notify(bot, order.telegramId, `We could not deliver ${order.title} (${result.message}). Your ${order.stars} Stars were refunded.`);
+    return { ok: false, message: result.message, order: refund.order };
+  }
+
+  if (!result.duplicate) {
+    await notify(bot, order.telegramId, `✅ ${order.title} delivered. Thanks for your purchase!`);
+  }
+  return result;
+};
+
+const registerPaymentHandlers = (bot) => {
+  setPaymentsBot(bot);
+
+  bot.on('pre_checkout_query', (query) => {
+    handlePreCheckoutQuery(bot, query).catch((error) =>
+      logger.error(`pre_checkout_query handler failed: ${error.message}`)
+    );
+  });
+
+  bot.on('successful_payment', (msg) => {
+    handleSuccessfulPayment(bot, msg).catch((error) =>
+      logger.error(`successful_payment handler failed: ${error.message}`)
+    );
+  });
+};
+
+module.exports = {
+  setPaymentsBot,
+  getPaymentsBot,
+  getStoreView,
+  formatOrder,
+  createInvoice,
+  handlePreCheckoutQuery,
+  fulfilOrder,
+  refundOrder,
+  handleSuccessfulPayment,
+  registerPaymentHandlers,
+};
@@ -0,0 +1,138 @@
+const { getNextGpuTier, checkGpuPurchase } = require('./gpuCatalog');
+const config = require('../config');
+
+// Items sold for Telegram Stars (currency XTR). Prices are whole Stars.
+// stock limits sales across all users, perUserLimit per buyer.
+const STORE_ITEMS = [
+  {
+    id: 'xp-boost-pack',
+    kind: 'boost_pack',
+    title: 'XP Boost Pack',
+    description: 'Three 2x XP boosts, 15 minutes each',
+    stars: 50,
+    boostRewards: [{ type: 'xp_multiplier', tier: 2, durationMinutes: 15, quantity: 3 }],
+  },
+  {
+    id: 'tap-speed-pack',
+    kind: 'boost_pack',
+    title: 'Tap Speed Pack',
+    description: 'Three tap speed boosts that halve energy per tap for 15 minutes',
+    stars: 40,
+    boostRewards: [{ type: 'tap_speed', tier: 2, durationMinutes: 15, quantity: 3 }],
+  },
+  {
+    id: 'compute-crate',
+    kind: 'compute',
+    title: 'Compute Crate',
+    description: '25,000 Compute added to your balance',
+    stars: 75,
+    compute: 25000,
+  },
+  {
+    id: 'gpu-upgrade',
+    kind: 'gpu_upgrade',
+    title: 'GPU Upgrade',
+    description: 'Unlocks your next GPU tier without spending Compute',
+    // Price grows with the tier being bought
+    starsPerTier: 50,
+  },
+  {
+    id: 'neon-rig-skin',
+    kind: 'cosmetic',
+    title: 'Neon Grid Rig Skin',
+    description: 'An epic glowing skin for your mining rig',
+    stars: 100,
+    perUserLimit: 1,
+    cosmetics: ['rig-neon'],
+  },
+  {
+    id: 'lightning-tap-effect',
+    kind: 'cosmetic',
+    title: 'Lightning Tap Effect',
+    description: 'Every tap strikes with an epic lightning bolt',
+    stars: 80,
+    perUserLimit: 1,
+    cosmetics: ['tap-lightning'],
+  },
+  {
+    id: 'streak-freeze',
+    kind: 'streak_freeze',
+    title: 'Streak Freeze',
+    description: 'Keeps your check-in streak alive through one missed day',
+    stars: 20,
+    streakFreezes: 1,
+  },
+  {
+    id: 'streak-freeze-pack',
+    kind: 'streak_freeze',
+    title: 'Streak Freeze Pack',
+    description: 'Three streak freezes, used automatically when you miss a day',
+    stars: 50,
+    streakFreezes: 3,
+  },
+  {
+    id: 'founders-bundle',
+    kind: 'boost_pack',
+    title: "Founder's Bundle",
+    description: 'One of each 3x XP and 200% compute boost, 30 minutes each',
+    stars: 150,
+    stock: 1000,
+    perUserLimit: 1,
+    boostRewards: [
+      { type: 'xp_multiplier', tier: 3, durationMinutes: 30, quantity: 1 },
+      { type: 'compute_power', tier: 3, durationMinutes: 30, quantity: 1 },
+    ],
+  },
+];
+
+const getStoreItem = (itemId) => STORE_ITEMS.find((item) => item.id === itemId) || null;
+
+/**
+ * Works out what the user would buy right now: the price in Stars and any
+ * item-specific details that fulfilment needs (e.g. the GPU tier).
+ */
+const quoteItem = (item, user) => {
+  if (item.kind !== 'gpu_upgrade') {
+    return { stars: item.stars, details: {} };
+  }
+  const tier = getNextGpuTier(user);
+  return tier
+    ? { stars: item.starsPerTier * (tier.level - 1), details: { gpuLevel: tier.level } }
+    : { stars: null, details: {} };
+};
+
+/**
+ * Checks stock, per-user limits and item rules.
+ * counts: { sold, boughtByUser } for this item.
+ * Returns { ok: true } or { ok: false, reason, message }.
+ */
+const checkEligibility = (item, user, counts, details = {}) => {
+  if (item.stock !== undefined && counts.sold >= item.stock) {
+    return { ok: false, reason: 'sold_out', message: `${item.title} is sold out` };
+  }
+  if (item.perUserLimit !== undefined && counts.boughtByUser >= item.perUserLimit) {
+    return { ok: false, reason: 'limit_reached', message: `You already own ${item.title}` };
+  }
+  if (item.kind === 'gpu_upgrade') {
+    const tier = getNextGpuTier(user);
+    if (details.gpuLevel !== undefined && (!tier || tier.level !== details.gpuLevel)) {
+      return { ok: false, reason: 'tier_changed', message: 'Your GPU tier changed since the invoice was created' };
+    }
+    const check = checkGpuPurchase(user, tier, { skipFunds: true });
+    if (!check.ok) return check;
+  }
+  if (item.kind === 'streak_freeze') {
+    const { maxStreakFreezes } = config.checkIn;
+    if ((user.streakFreezes || 0) + item.streakFreezes > maxStreakFreezes) {
+      return { ok: false, reason: 'limit_reached', message: `You can hold at most ${maxStreakFreezes} streak freezes` };
+    }
+  }
+  return { ok: true };
+};
+
+module.exports = {
+  STORE_ITEMS,
+  getStoreItem,
+  quoteItem,
+  checkEligibility,
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const config = require('../config');
+const logger = require('./logger');
+
+const coefficientOfVariation = (values) => {
+  if (values.length < 2) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  if (mean === 0) return 0;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+};
+
+// Batches are ordered oldest first: { count, startedAt, endedAt } in ms
+const getCadenceStats = (batches) => {
+  const rates = batches.map(
+    (b) => b.count / Math.max((b.endedAt - b.startedAt) / 1000, 1)
+  );
+  const gaps = [];
+  let longestSessionMs = 0;
+  let sessionStart = batches.length ? batches[0].startedAt : 0;
+
+  for (let i = 1; i < batches.length; i++) {
+    const gap = batches[i].startedAt - batches[i - 1].endedAt;
+    gaps.push(gap);
+    if (gap > config.antiCheat.sessionGapMs) {
+      sessionStart = batches[i].startedAt;
+    }
+    longestSessionMs = Math.max(longestSessionMs, batches[i].endedAt - sessionStart);
+  }
+
+  return {
+    batches: batches.length,
+    rateVariation: coefficientOfVariation(rates),
+    gapVariation: coefficientOfVariation(gaps),
+    longestSessionHours: longestSessionMs / (60 * 60 * 1000),
+  };
+};
+
+// Coarse shape of the most recent batches, shared by scripted accounts
+const getPatternFingerprint = (batches) => {
+  const { fingerprintLength } = config.antiCheat;
+  if (batches.length < fingerprintLength) return null;
+
+  const shape = batches
+    .slice(-fingerprintLength)
+    .map((b) => `${b.count}/${Math.round((b.endedAt - b.startedAt) / 100)}`)
+    .join(',');
+  return crypto.createHash('sha1').update(shape).digest('hex');
+};
+
+const scoreCadence = (stats, sharedPatternUsers = 0) => {
+  const reasons = [];
+  let score = 0;
+
+  if (stats.batches >= config.antiCheat.minBatchesForScoring) {
+    if (stats.rateVariation !== null && stats.rateVariation < 0.05) {
+      score += 40;
+      reasons.push('constant_tap_rate');
+    } else if (stats.rateVariation !== null && stats.rateVariation < 0.1) {
+      score += 20;
+      reasons.push('low_tap_rate_variance');
+    }
+    if (stats.gapVariation !== null && stats.gapVariation < 0.05) {
+      score += 20;
+      reasons.push('constant_batch_gaps');
+    }
+  }
+  if (stats.longestSessionHours > config.antiCheat.maxSessionHours) {
+    score += 40;
+    reasons.push('never_ending_session');
+  }
+  if (sharedPatternUsers > 0) {
+    score += 40;
+    reasons.push('pattern_shared_across_accounts');
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+const toBatch = (activity) => ({
+  count: activity.details.count,
+  startedAt: activity.details.startedAt,
+  endedAt: activity.details.endedAt,
+});
+
+/**
+ * Stores an accepted tap batch in the activity log and re-scores the user.
+ * Evidence older than the last review is ignored so a cleared user starts over.
+ */
+const trackTapBatch = async (user, batch, acceptedTaps) => {
+  const since = user.flagReviewedAt || new Date(0);
+  const previous = await Activity.find({
+    user: user._id,
+    type: 'tap',
+    timestamp: { $gt: since },
+  })
+    .sort({ timestamp: -1 })
+    .limit(config.antiCheat.windowSize - 1)
+    .lean();
+
+  const current = {
+    count: acceptedTaps,
+    startedAt: batch.startedAt,
+    endedAt: batch.endedAt,
+  };
+  const batches = [...previous.reverse().map(toBatch), current];
+  const fingerprint = getPatternFingerprint(batches);
+
+  await new Activity({
+    user: user._id,
+    type: 'tap',
+    details: { seq: batch.seq, ...current, fingerprint },
+  }).save();
+
+  let sharedPatternUsers = 0;
+  if (fingerprint) {
+    const others = await Activity.distinct('user', {
+      type: 'tap',
+      'details.fingerprint': fingerprint,
+      user: { $ne: user._id },
+      timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    });
+    sharedPatternUsers = others.length;
+  }
+
+  const stats = getCadenceStats(batches);
+  const { score, reasons } = scoreCadence(stats, sharedPatternUsers);
+  const shouldFlag = !user.isFlagged && score >= config.antiCheat.flagThreshold;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: shouldFlag
+        ? { riskScore: score, isFlagged: true, flagReasons: reasons, flaggedAt: new Date() }
+        : { riskScore: score },
+    }
+  );
+
+  if (shouldFlag) {
+    await new Activity({
+      user: user._id,
+      type: 'risk_flag',
+      details: { score, reasons, stats },
+    }).save();
+    logger.warn(`User ${user.telegramId} flagged for review (score ${score}): ${reasons.join(', ')}`);
+  }
+
+  return { score, reasons, flagged: user.isFlagged || shouldFlag };
+};
+
+module.exports = {
+  getCadenceStats,
+  getPatternFingerprint,
+  scoreCadence,
+  trackTapBatch,
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { getEnergyStatus, secondsUntilTaps, formatEnergyStatus } = require('./energy');
+
+// Rejection codes returned to the mini-app so it can show the right message
+const REJECTION = {
+  INVALID_BATCH: 'INVALID_BATCH',
+  BAD_SIGNATURE: 'BAD_SIGNATURE',
+  REPLAYED_BATCH: 'REPLAYED_BATCH',
+  STALE_BATCH: 'STALE_BATCH',
+  RATE_EXCEEDED: 'RATE_EXCEEDED',
+  OUT_OF_ENERGY: 'OUT_OF_ENERGY',
+};
+
+const REJECTION_STATUS = {
+  INVALID_BATCH: 400,
+  BAD_SIGNATURE: 401,
+  REPLAYED_BATCH: 409,
+  STALE_BATCH: 409,
+  RATE_EXCEEDED: 429,
+  OUT_OF_ENERGY: 429,
+};
+
+// Per-user key the client uses to sign its tap batches
+const getTapKey = (telegramId) => {
+  return crypto
+    .createHmac('sha256', config.tap.signingSecret)
+    .update(`tap:${telegramId}`)
+    .digest('hex');
+};
+
+const signTapBatch = (tapKey, { seq, count, startedAt, endedAt }) => {
+  return crypto
+    .createHmac('sha256', tapKey)
+    .update(`${seq}:${count}:${startedAt}:${endedAt}`)
+    .digest('hex');
+};
+
+const reject = (code, message, extra = {}) => ({
+  ok: false,
+  status: REJECTION_STATUS[code],
+  rejection: { code, message, ...extra },
+});
+
+const signatureMatches = (expected, actual) => {
+  if (typeof actual !== 'string' || actual.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+/**
+ * Checks a tap batch against the user's tap state.
+ * Returns { ok: true, acceptedTaps, energyAfter } when the batch can be
+ * credited, or { ok: false, status, rejection } describing why it cannot.
+ * An active tap speed boost lowers the energy each tap costs.
+ */
+const verifyTapBatch = (user, batch, now = Date.now(), modifiers = {}) => {
+  const { seq, count, startedAt, endedAt, signature } = batch;
+  const limits = config.tap;
+
+  if (
+    !Number.isInteger(seq) || seq < 1 ||
+    !Number.isInteger(count) || count < 1 || count > limits.maxBatchSize ||
+    !Number.isInteger(startedAt) || !Number.isInteger(endedAt) ||
+    endedAt < startedAt
+  ) {
+    return reject(REJECTION.INVALID_BATCH, 'Malformed tap batch');
+  }
+
+  const expected = signTapBatch(getTapKey(user.telegramId), batch);
+  if (!signatureMatches(expected, signature)) {
+    return reject(REJECTION.BAD_SIGNATURE, 'Tap batch signature is invalid');
+  }
+
+  if (seq <= (user.lastTapSeq || 0)) {
+    return reject(REJECTION.REPLAYED_BATCH, 'Tap batch was already processed', {
+      lastSeq: user.lastTapSeq,
+    });
+  }
+
+  const lastBatchEnd = user.lastTapBatchEnd ? user.lastTapBatchEnd.getTime() : 0;
+  if (startedAt < lastBatchEnd) {
+    return reject(REJECTION.STALE_BATCH, 'Tap batch overlaps a previous batch', {
+      lastBatchEnd,
+    });
+  }
+
+  if (endedAt > now + limits.maxClockSkewMs || startedAt < now - limits.maxBatchAgeMs) {
+    return reject(REJECTION.STALE_BATCH, 'Tap batch timestamps are out of range');
+  }
+
+  const durationSeconds = Math.max((endedAt - startedAt) / 1000, 1);
+  if (count > Math.ceil(durationSeconds * limits.maxTapsPerSecond)) {
+    return reject(REJECTION.RATE_EXCEEDED, 'Tapping faster than allowed', {
+      maxTapsPerSecond: limits.maxTapsPerSecond,
+    });
+  }
+
+  // Taps beyond the available energy are dropped
+  const energy = getEnergyStatus(user, now);
+  const costPerTap = config.energy.costPerTap * (1 - (modifiers.tapEnergyDiscount || 0));
+  const affordableTaps = Math.floor(energy.exactEnergy / costPerTap);
+  if (affordableTaps < 1) {
+    return reject(REJECTION.OUT_OF_ENERGY, 'Not enough energy to tap', {
+      ...formatEnergyStatus(energy),
+      retryAfter: secondsUntilTaps(energy, 1, costPerTap),
+    });
+  }
+
+  const acceptedTaps = Math.min(count, affordableTaps);
+  const energyAfter = energy.exactEnergy - acceptedTaps * costPerTap;
+
+  return { ok: true, acceptedTaps, energyAfter };
+};
+
+module.exports = {
+  REJECTION,
+  getTapKey,
+  signTapBatch,
+  verifyTapBatch,
+};
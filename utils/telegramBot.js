@@ -2,6 +2,11 @@ const TelegramBot = require('node-telegram-bot-api');
 const logger = require('./logger');
 const config = require('../config');
 const User = require('../models/User');
+const { grantBoostItems, countUsableItems } = require('./boostInventory');
+const { getBoostDefinition } = require('./boostEngine');
+const { levelEvents } = require('./levelProgression');
+const { registerPaymentHandlers } = require('./starsPayments');
+const { formatTitle } = require('./titles');
 
 const initTelegramBot = () => {
   return new Promise((resolve, reject) => {
@@ -33,6 +38,7 @@ Start now and revolutionize distributed computing with Neurolov! 💻💡`;
         { command: 'upgrade', description: 'Upgrade your GPU' },
         { command: 'quests', description: 'View available quests' },
         { command: 'leaderboard', description: 'Check the leaderboard' },
+        { command: 'boosts', description: 'See your boost inventory' },
         { command: 'invite', description: 'Get your referral link' },
         { command: 'settings', description: 'Adjust your settings' }
       ];
@@ -92,11 +98,13 @@ Start now and revolutionize distributed computing with Neurolov! 💻💡`;
         try {
           const user = await User.findOne({ telegramId: userId });
           if (user) {
-            const stats = `Your current stats:
+            const title = formatTitle(user.activeTitle);
+            const stats = `Your current stats:${title ? `\n🏷️ Title: ${title.name}` : ''}
 🔢 XP: ${user.xp}
 💻 Compute: ${user.compute}
 ⚡ Compute Power: ${user.computePower}
 🔝 Level: ${user.level}
+🪙 ${config.tokens.name}: ${user.nlovBalance || 0}
 👥 Referrals: ${user.referrals.length}`;
             bot.sendMessage(chatId, stats);
           } else {
@@ -108,6 +116,54 @@ Start now and revolutionize distributed computing with Neurolov! 💻💡`;
         }
       });
 
+      bot.onText(/\/boosts/, async (msg) => {
+        const chatId = msg.chat.id;
+        try {
+          const user = await User.findOne({ telegramId: msg.from.id.toString() });
+          if (!user) {
+            return bot.sendMessage(chatId, 'User not found. Please use /start to set up your account.');
+          }
+          const count = await countUsableItems(user._id);
+          bot.sendMessage(chatId, `🚀 You have ${count} boost(s) ready. Activate them in the Web App!`);
+        } catch (error) {
+          logger.error('Error in /boosts command:', error);
+          bot.sendMessage(chatId, 'An error occurred while fetching your boosts. Please try again later.');
+        }
+      });
+
+      // Team members only: /grantboost <telegramId> <type> <tier> <minutes> [quantity]
+      bot.onText(/\/grantboost (\S+) (\S+) (\d) (\d+)(?: (\d+))?/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        try {
+          const sender = await User.findOne({ telegramId: msg.from.id.toString() });
+          if (!sender || !sender.isTeamMember) {
+            return bot.sendMessage(chatId, 'Access denied. Team members only.');
+          }
+
+          const [, telegramId, type, tier, minutes, quantity] = match;
+          const reward = {
+            type,
+            tier: parseInt(tier, 10),
+            durationMinutes: parseInt(minutes, 10),
+            quantity: quantity ? Math.min(parseInt(quantity, 10), 100) : 1,
+          };
+          if (!getBoostDefinition(reward.type, reward.tier) || ![5, 15, 30].includes(reward.durationMinutes)) {
+            return bot.sendMessage(chatId, 'Unknown boost type, tier or duration.');
+          }
+
+          const recipient = await User.findOne({ telegramId });
+          if (!recipient) {
+            return bot.sendMessage(chatId, `User ${telegramId} not found.`);
+          }
+
+          await grantBoostItems(recipient._id, reward, { source: 'bot', grantedBy: sender._id });
+          bot.sendMessage(chatId, `Granted ${reward.quantity} ${type} boost(s) to ${recipient.username}.`);
+        } catch (error) {
+          logger.error('Error in /grantboost command:', error);
+          bot.sendMessage(chatId, 'An error occurred while granting boosts.');
+        }
+      });
+
       // Add handlers for other commands
       bot.onText(/\/compute/, (msg) => {
         bot.sendMessage(msg.chat.id, "Open the Web App to start computing!");
@@ -133,6 +189,17 @@ Start now and revolutionize distributed computing with Neurolov! 💻💡`;
         bot.sendMessage(msg.chat.id, "Adjust your settings in the Web App for a personalized experience!");
       });
 
+      levelEvents.on('levelUp', ({ user, level, rewards }) => {
+        if (!user.notifications) return;
+        const compute = rewards.reduce((sum, r) => sum + r.rewards.compute, 0);
+        bot
+          .sendMessage(user.telegramId, `🎉 You reached CP Level ${level}! +${compute} Compute added to your balance.`)
+          .catch((error) => logger.error(`Failed to send level-up message to ${user.telegramId}:`, error));
+      });
+
+      // Telegram Stars checkout and fulfilment
+      registerPaymentHandlers(bot);
+
       bot.on('error', (error) => {
         logger.error('Telegram bot error:', error);
       });
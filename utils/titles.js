@@ -0,0 +1,79 @@
+const User = require('../models/User');
+const UserTitle = require('../models/UserTitle');
+const logger = require('./logger');
+const { TITLES, getTitle } = require('./titlesCatalog');
+
+/**
+ * Records that the user earned a title. Earning it again bumps the count
+ * instead of creating a second entry.
+ */
+const grantTitle = async (userId, titleId, { source, sourceId, session } = {}) => {
+  if (!titleId || !getTitle(titleId)) return null;
+
+  const now = new Date();
+  await UserTitle.updateOne(
+    { user: userId, title: titleId },
+    {
+      $setOnInsert: { source, firstEarnedAt: now },
+      $set: { sourceId: sourceId ? sourceId.toString() : undefined, lastEarnedAt: now },
+      $inc: { timesEarned: 1 },
+    },
+    { upsert: true, session }
+  );
+  logger.info(`Title ${titleId} granted to ${userId} from ${source}`);
+  return titleId;
+};
+
+const formatTitle = (titleId) => {
+  const title = getTitle(titleId);
+  return title ? { id: title.id, name: title.name } : null;
+};
+
+const getTitles = async (user) => {
+  const earned = await UserTitle.find({ user: user._id }).lean();
+  const earnedById = new Map(earned.map((entry) => [entry.title, entry]));
+
+  return {
+    active: formatTitle(user.activeTitle),
+    titles: TITLES.map((title) => {
+      const entry = earnedById.get(title.id);
+      return {
+        id: title.id,
+        name: title.name,
+        source: title.source,
+        earned: !!entry,
+        timesEarned: entry ? entry.timesEarned : 0,
+        lastEarnedAt: entry ? entry.lastEarnedAt : undefined,
+        active: user.activeTitle === title.id,
+      };
+    }),
+  };
+};
+
+/**
+ * Sets the title shown next to the user's name, or clears it with null.
+ * Returns { ok: true, user } or { ok: false, status, message }.
+ */
+const setActiveTitle = async (user, titleId) => {
+  if (titleId) {
+    const title = getTitle(titleId);
+    if (!title) return { ok: false, status: 404, message: 'Title not found' };
+    if (!(await UserTitle.exists({ user: user._id, title: titleId }))) {
+      return { ok: false, status: 403, message: `You have not earned ${title.name}` };
+    }
+  }
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    titleId ? { $set: { activeTitle: titleId } } : { $unset: { activeTitle: 1 } },
+    { new: true }
+  );
+  return { ok: true, user: updated };
+};
+
+module.exports = {
+  grantTitle,
+  formatTitle,
+  getTitles,
+  setActiveTitle,
+};
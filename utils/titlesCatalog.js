@@ -0,0 +1,40 @@
+// Titles a user can display next to their name. Achievement titles are
+// referenced from routes/achievementRoutes.js by id.
+const TITLES = [
+  { id: 'novice-miner', name: 'Novice Miner', source: 'achievement' },
+  { id: 'tap-master', name: 'Tap Master', source: 'achievement' },
+  { id: 'networker', name: 'The Networker', source: 'achievement' },
+  { id: 'powerhouse', name: 'Powerhouse', source: 'achievement' },
+  { id: 'devoted', name: 'The Devoted', source: 'achievement' },
+  { id: 'legend', name: 'Legend', source: 'achievement' },
+  { id: 'daily-champion', name: 'Daily Champion', source: 'leaderboard' },
+  { id: 'daily-podium', name: 'Daily Podium', source: 'leaderboard' },
+  { id: 'weekly-champion', name: 'Weekly Champion', source: 'leaderboard' },
+  { id: 'weekly-top-10', name: 'Weekly Top 10', source: 'leaderboard' },
+];
+
+// Rewards for final placement in a closed period, best match first.
+// Cosmetic ids come from utils/cosmeticsCatalog.js.
+const PLACEMENT_REWARDS = {
+  daily: [
+    { maxRank: 1, title: 'daily-champion' },
+    { maxRank: 3, title: 'daily-podium' },
+  ],
+  weekly: [
+    { maxRank: 1, title: 'weekly-champion', cosmetics: ['rig-gilded', 'frame-champion'] },
+    { maxRank: 10, title: 'weekly-top-10' },
+  ],
+};
+
+const getTitle = (titleId) => TITLES.find((title) => title.id === titleId) || null;
+
+const getPlacementReward = (type, rank) => {
+  return (PLACEMENT_REWARDS[type] || []).find((reward) => rank <= reward.maxRank) || null;
+};
+
+module.exports = {
+  TITLES,
+  PLACEMENT_REWARDS,
+  getTitle,
+  getPlacementReward,
+};
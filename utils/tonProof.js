@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// ton_proof verification as described in the TON Connect spec:
+// https://docs.ton.org/develop/dapps/ton-connect/sign
+const PROOF_PREFIX = 'ton-proof-item-v2/';
+const CONNECT_PREFIX = 'ton-connect';
+
+// DER header that turns a raw 32 byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const BOC_MAGIC = 0xb5ee9c72;
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+const fail = (reason, message) => ({ ok: false, reason, message });
+
+/**
+ * Accepts the raw form ("0:<hex>") or the base64/base64url user-friendly form.
+ * Returns { workchain, hash } or null.
+ */
+const parseAddress = (address) => {
+  if (typeof address !== 'string') return null;
+
+  const raw = address.match(/^(-?\d+):([0-9a-fA-F]{64})$/);
+  if (raw) {
+    return { workchain: parseInt(raw[1], 10), hash: Buffer.from(raw[2], 'hex') };
+  }
+
+  const bytes = Buffer.from(address.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  if (bytes.length !== 36) return null;
+  return { workchain: bytes.readInt8(1), hash: bytes.subarray(2, 34) };
+};
+
+const toRawAddress = ({ workchain, hash }) => `${workchain}:${hash.toString('hex')}`;
+
+const readUint = (buffer, offset, size) => {
+  let value = 0;
+  for (let i = 0; i < size; i++) value = value * 256 + buffer[offset + i];
+  return value;
+};
+
+/**
+ * Minimal bag-of-cells reader for ordinary cells. Each cell keeps its
+ * descriptor bytes and padded data as stored, which is also the form its
+ * representation hash is computed over.
+ */
+const parseBoc = (boc) => {
+  if (boc.length < 6 || boc.readUInt32BE(0) !== BOC_MAGIC) {
+    throw new Error('Not a bag of cells');
+  }
+
+  const flags = boc[4];
+  const hasIndex = (flags & 0x80) !== 0;
+  const refSize = flags & 0x07;
+  const offsetSize = boc[5];
+  if (refSize < 1 || refSize > 4 || offsetSize < 1 || offsetSize > 8) {
+    throw new Error('Invalid bag of cells header');
+  }
+  let offset = 6;
+
+  // Every count is checked against the input before anything is allocated
+  // for it, so a short input cannot declare millions of cells
+  const need = (bytes) => {
+    if (offset + bytes > boc.length) throw new Error('Truncated bag of cells');
+  };
+
+  need(refSize * 3 + offsetSize);
+  const cellCount = readUint(boc, offset, refSize);
+  offset += refSize;
+  const rootCount = readUint(boc, offset, refSize);
+  offset += refSize;
+  const absentCount = readUint(boc, offset, refSize);
+  offset += refSize;
+  offset += offsetSize; // total cells size
+  if (cellCount === 0 || cellCount > boc.length) throw new Error('Invalid cell count');
+  if (rootCount === 0 || rootCount > cellCount || absentCount > cellCount) {
+    throw new Error('Invalid root or absent cell count');
+  }
+
+  need(refSize * rootCount);
+  const rootIndex = readUint(boc, offset, refSize);
+  offset += refSize * rootCount;
+  if (rootIndex >= cellCount) throw new Error('Invalid root index');
+  if (hasIndex) {
+    need(offsetSize * cellCount);
+    offset += offsetSize * cellCount;
+  }
+
+  const cells = [];
+  for (let i = 0; i < cellCount; i++) {
+    need(2);
+    const d1 = boc[offset];
+    const d2 = boc[offset + 1];
+    if (d1 & 0xf8) throw new Error('Only ordinary cells without stored hashes are supported');
+    const refCount = d1 & 0x07;
+    if (refCount > 4) throw new Error('A cell has at most four references');
+
+    const dataLength = Math.ceil(d2 / 2);
+    need(2 + dataLength + refCount * refSize);
+    const data = boc.subarray(offset + 2, offset + 2 + dataLength);
+    offset += 2 + dataLength;
+
+    const refs = [];
+    for (let r = 0; r < refCount; r++) {
+      const index = readUint(boc, offset, refSize);
+      if (index <= i || index >= cellCount) throw new Error('Invalid cell reference');
+      refs.push(index);
+      offset += refSize;
+    }
+    cells.push({ d1, d2, data, refs });
+  }
+
+  // References always point forward, so hash from the last cell back
+  for (let i = cells.length - 1; i >= 0; i--) {
+    const cell = cells[i];
+    cell.refs = cell.refs.map((index) => cells[index]);
+    cell.depth = cell.refs.length ? Math.max(...cell.refs.map((ref) => ref.depth)) + 1 : 0;
+    cell.hash = sha256(
+      Buffer.from([cell.d1, cell.d2]),
+      cell.data,
+      ...cell.refs.map((ref) => {
+        const depth = Buffer.alloc(2);
+        depth.writeUInt16BE(ref.depth);
+        return depth;
+      }),
+      ...cell.refs.map((ref) => ref.hash)
+    );
+  }
+
+  return cells[rootIndex];
+};
+
+const readBits = (cell, start, count) => {
+  const out = Buffer.alloc(Math.ceil(count / 8));
+  for (let i = 0; i < count; i++) {
+    const bit = (cell.data[(start + i) >> 3] >> (7 - ((start + i) & 7))) & 1;
+    if (bit) out[i >> 3] |= 1 << (7 - (i & 7));
+  }
+  return out;
+};
+
+// StateInit: split_depth:(Maybe (## 5)) special:(Maybe TickTock) code:(Maybe ^Cell) data:(Maybe ^Cell) ...
+const getStateInitData = (stateInit) => {
+  let bit = 0;
+  const next = () => readBits(stateInit, bit++, 1)[0] !== 0;
+  if (next()) bit += 5;
+  if (next()) bit += 2;
+  const hasCode = next();
+  const hasData = next();
+  if (!hasData) return null;
+  return stateInit.refs[hasCode ? 1 : 0] || null;
+};
+
+// Standard wallets keep the key after seqno and wallet id (v3/v4), or after
+// an extra signature flag bit (v5)
+const WALLET_KEY_OFFSETS = [64, 65];
+
+const stateInitHoldsKey = (stateInit, publicKey) => {
+  const data = getStateInitData(stateInit);
+  if (!data) return false;
+  return WALLET_KEY_OFFSETS.some((offset) => readBits(data, offset, 256).equals(publicKey));
+};
+
+const buildProofMessage = (address, proof) => {
+  const workchain = Buffer.alloc(4);
+  workchain.writeInt32BE(address.workchain);
+  const domainLength = Buffer.alloc(4);
+  domainLength.writeUInt32LE(proof.domain.lengthBytes);
+  const timestamp = Buffer.alloc(8);
+  timestamp.writeBigUInt64LE(BigInt(proof.timestamp));
+
+  const message = Buffer.concat([
+    Buffer.from(PROOF_PREFIX),
+    workchain,
+    address.hash,
+    domainLength,
+    Buffer.from(proof.domain.value),
+    timestamp,
+    Buffer.from(proof.payload),
+  ]);
+
+  return sha256(Buffer.from([0xff, 0xff]), Buffer.from(CONNECT_PREFIX), sha256(message));
+};
+
+const verifySignature = (publicKey, digest, signature) => {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey]),
+    format: 'der',
+    type: 'spki',
+  });
+  return crypto.verify(null, digest, key, signature);
+};
+
+/**
+ * Verifies a TON Connect ton_proof without calling the chain. The wallet's
+ * stateInit must hash to the claimed address and contain the public key that
+ * signed the proof.
+ *
+ * wallet: { address, network, publicKey, walletStateInit, proof }
+ * expectedPayload: the nonce issued to this user
+ * Returns { ok: true, address, publicKey } or { ok: false, reason, message }.
+ */
+const verifyTonProof = (wallet, expectedPayload, now = Date.now()) => {
+  const { network, allowedDomains, proofTtlSeconds } = config.ton;
+  const { proof } = wallet;
+
+  const address = parseAddress(wallet.address);
+  if (!address) return fail('invalid_address', 'Invalid wallet address');
+  if (String(wallet.network) !== network) return fail('wrong_network', 'Wallet is on the wrong network');
+
+  if (!allowedDomains.includes(proof.domain.value)) {
+    return fail('wrong_domain', 'Proof was issued for another domain');
+  }
+  if (Buffer.byteLength(proof.domain.value) !== proof.domain.lengthBytes) {
+    return fail('invalid_domain', 'Domain length does not match');
+  }
+
+  const ageSeconds = now / 1000 - proof.timestamp;
+  if (ageSeconds > proofTtlSeconds || ageSeconds < -60) {
+    return fail('expired', 'Proof has expired');
+  }
+  if (!expectedPayload || proof.payload !== expectedPayload) {
+    return fail('wrong_payload', 'Proof payload does not match the issued nonce');
+  }
+
+  const publicKey = Buffer.from(wallet.publicKey, 'hex');
+  const signature = Buffer.from(proof.signature, 'base64');
+  if (publicKey.length !== 32 || signature.length !== 64) {
+    return fail('invalid_signature', 'Malformed public key or signature');
+  }
+
+  let stateInit;
+  try {
+    stateInit = parseBoc(Buffer.from(wallet.walletStateInit, 'base64'));
+  } catch (error) {
+    return fail('invalid_state_init', `Invalid wallet state init: ${error.message}`);
+  }
+  if (!stateInit.hash.equals(address.hash)) {
+    return fail('address_mismatch', 'Wallet state init does not match the address');
+  }
+  if (!stateInitHoldsKey(stateInit, publicKey)) {
+    return fail('key_mismatch', 'Public key does not belong to this wallet');
+  }
+
+  if (!verifySignature(publicKey, buildProofMessage(address, proof), signature)) {
+    return fail('invalid_signature', 'Signature verification failed');
+  }
+
+  return { ok: true, address: toRawAddress(address), publicKey: publicKey.toString('hex') };
+};
+
+const generateProofPayload = () => crypto.randomBytes(32).toString('hex');
+
+module.exports = {
+  parseAddress,
+  toRawAddress,
+  parseBoc,
+  verifyTonProof,
+  generateProofPayload,
+};
@@ -1,10 +1,113 @@
 const { TwitterApi } = require('twitter-api-v2');
+const config = require('../config');
 
-const client = new TwitterApi({
-  appKey: process.env.TWITTER_API_KEY,
-  appSecret: process.env.TWITTER_API_SECRET,
-  accessToken: process.env.TWITTER_ACCESS_TOKEN,
-  accessSecret: process.env.TWITTER_ACCESS_SECRET,
-});
+/**
+ * Everything the app needs from X, behind one small interface so the real
+ * API can be swapped for utils/twitterFakeClient.js:
+ *
+ *   generateAuthLink(redirectUri) -> { url, state, codeVerifier }
+ *   exchangeCode({ code, codeVerifier, redirectUri }) -> { id, username }
+ *   getUserIdByUsername(username) -> id or null
+ *   isFollowing(userId, targetUserId) -> boolean
+ *   hasRetweeted(userId, tweetId) -> boolean
+ *   hasLiked(userId, tweetId) -> boolean
+ *
+ * Rate limited calls reject with the API error, which carries
+ * rateLimitError and rateLimit.reset (unix seconds).
+ */
 
-module.exports = client;
+// Reads run on the app's credentials, linking on the OAuth 2.0 client
+const createReadClient = () => {
+  if (process.env.TWITTER_BEARER_TOKEN) {
+    return new TwitterApi(process.env.TWITTER_BEARER_TOKEN).readOnly;
+  }
+  return new TwitterApi({
+    appKey: process.env.TWITTER_API_KEY,
+    appSecret: process.env.TWITTER_API_SECRET,
+    accessToken: process.env.TWITTER_ACCESS_TOKEN,
+    accessSecret: process.env.TWITTER_ACCESS_SECRET,
+  }).readOnly;
+};
+
+const createOAuthClient = () =>
+  new TwitterApi({
+    clientId: process.env.TWITTER_CLIENT_ID,
+    clientSecret: process.env.TWITTER_CLIENT_SECRET,
+  });
+
+// Scans pages of a list endpoint until `matches` finds the entry
+const scanPages = async (fetchPage, matches) => {
+  let paginationToken;
+  for (let page = 0; page < config.twitter.verification.maxPages; page++) {
+    const result = await fetchPage(paginationToken);
+    if ((result.data || []).some(matches)) return true;
+    paginationToken = result.meta && result.meta.next_token;
+    if (!paginationToken) break;
+  }
+  return false;
+};
+
+const createApiClient = () => {
+  let readClient;
+  const read = () => {
+    if (!readClient) readClient = createReadClient();
+    return readClient.v2;
+  };
+
+  return {
+    generateAuthLink: (redirectUri) =>
+      createOAuthClient().generateOAuth2AuthLink(redirectUri, { scope: config.twitter.scopes }),
+
+    exchangeCode: async ({ code, codeVerifier, redirectUri }) => {
+      const { client } = await createOAuthClient().loginWithOAuth2({ code, codeVerifier, redirectUri });
+      const { data } = await client.v2.me();
+      return { id: data.id, username: data.username };
+    },
+
+    getUserIdByUsername: async (username) => {
+      const result = await read().userByUsername(username);
+      return result.data ? result.data.id : null;
+    },
+
+    // Following lists are newest first, so a fresh follow is on the first page
+    isFollowing: (userId, targetUserId) =>
+      scanPages(
+        (token) => read().following(userId, { max_results: 1000, pagination_token: token }),
+        (user) => user.id === targetUserId
+      ),
+
+    hasRetweeted: (userId, tweetId) =>
+      scanPages(
+        (token) => read().tweetRetweetedBy(tweetId, { max_results: 100, pagination_token: token }),
+        (user) => user.id === userId
+      ),
+
+    hasLiked: (userId, tweetId) =>
+      scanPages(
+        async (token) => {
+          const paginator = await read().userLikedTweets(userId, { max_results: 100, pagination_token: token });
+          return paginator.data;
+        },
+        (tweet) => tweet.id === tweetId
+      ),
+  };
+};
+
+let client = null;
+
+const getTwitterClient = () => {
+  if (!client) {
+    client = config.twitter.useFake ? require('./twitterFakeClient').createFakeClient() : createApiClient();
+  }
+  return client;
+};
+
+// Replaces the client, e.g. with a fake in tests; null goes back to the default
+const setTwitterClient = (replacement) => {
+  client = replacement;
+};
+
+module.exports = {
+  getTwitterClient,
+  setTwitterClient,
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for utils/twitterClient.js, used when TWITTER_FAKE=true
+ * or installed with setTwitterClient. Accounts, follows, retweets and likes
+ * are set up through the helpers; issueCode plays the part of the user
+ * approving the app on X.
+ */
+const createFakeClient = () => {
+  const users = new Map();
+  const codes = new Map();
+  const follows = new Set();
+  const retweets = new Set();
+  const likes = new Set();
+  let rateLimit = null;
+
+  // Fails like the API does while a simulated rate limit is active
+  const call = (fn) => async (...args) => {
+    if (rateLimit && rateLimit.remaining > 0 && Date.now() < rateLimit.reset * 1000) {
+      rateLimit.remaining--;
+      const error = new Error('Too Many Requests');
+      error.code = 429;
+      error.rateLimitError = true;
+      error.rateLimit = { limit: 15, remaining: 0, reset: rateLimit.reset };
+      throw error;
+    }
+    return fn(...args);
+  };
+
+  return {
+    generateAuthLink: call(async (redirectUri) => {
+      const state = crypto.randomBytes(16).toString('hex');
+      return {
+        url: `https://x.com/i/oauth2/authorize?state=${state}&redirect_uri=${encodeURIComponent(redirectUri)}`,
+        state,
+        codeVerifier: crypto.randomBytes(32).toString('hex'),
+      };
+    }),
+
+    exchangeCode: call(async ({ code }) => {
+      const userId = codes.get(code);
+      if (!userId) throw new Error('Invalid authorization code');
+      codes.delete(code);
+      return { ...users.get(userId) };
+    }),
+
+    getUserIdByUsername: call(async (username) => {
+      const name = username.replace(/^@/, '').toLowerCase();
+      const user = [...users.values()].find((u) => u.username.toLowerCase() === name);
+      return user ? user.id : null;
+    }),
+
+    isFollowing: call(async (userId, targetUserId) => follows.has(`${userId}:${targetUserId}`)),
+    hasRetweeted: call(async (userId, tweetId) => retweets.has(`${userId}:${tweetId}`)),
+    hasLiked: call(async (userId, tweetId) => likes.has(`${userId}:${tweetId}`)),
+
+    // Helpers for setting up the fake
+    addUser: (id, username) => {
+      users.set(String(id), { id: String(id), username });
+    },
+    issueCode: (userId) => {
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, String(userId));
+      return code;
+    },
+    follow: (userId, targetUserId) => follows.add(`${userId}:${targetUserId}`),
+    unfollow: (userId, targetUserId) => follows.delete(`${userId}:${targetUserId}`),
+    retweet: (userId, tweetId) => retweets.add(`${userId}:${tweetId}`),
+    like: (userId, tweetId) => likes.add(`${userId}:${tweetId}`),
+    // Up to `calls` calls are rate limited until resetInSeconds from now
+    simulateRateLimit: (calls = 1, resetInSeconds = 1) => {
+      rateLimit = { remaining: calls, reset: Math.ceil(Date.now() / 1000) + resetInSeconds };
+    },
+  };
+};
+
+module.exports = { createFakeClient };
@@ -0,0 +1,132 @@
+const User = require('../models/User');
+const config = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Offsets are minutes east of UTC, i.e. -new Date().getTimezoneOffset() in the mini-app
+const isValidUtcOffset = (offset) => {
+  const { minOffsetMinutes, maxOffsetMinutes } = config.timezone;
+  return (
+    Number.isInteger(offset) &&
+    offset >= minOffsetMinutes &&
+    offset <= maxOffsetMinutes &&
+    offset % 15 === 0
+  );
+};
+
+const getUtcOffset = (user) => {
+  const offset = user && user.utcOffsetMinutes;
+  return isValidUtcOffset(offset) ? offset : 0;
+};
+
+// Start of the user's local day containing `now`, as a UTC instant
+const getDayStart = (user, now = new Date()) => {
+  const offsetMs = getUtcOffset(user) * MINUTE_MS;
+  return new Date(Math.floor((now.getTime() + offsetMs) / DAY_MS) * DAY_MS - offsetMs);
+};
+
+const getNextDailyReset = (user, now = new Date()) => {
+  return new Date(getDayStart(user, now).getTime() + DAY_MS);
+};
+
+// Local weeks start on Monday
+const getWeekStart = (user, now = new Date()) => {
+  const dayStart = getDayStart(user, now);
+  const localWeekday = new Date(dayStart.getTime() + getUtcOffset(user) * MINUTE_MS).getUTCDay();
+  return new Date(dayStart.getTime() - ((localWeekday + 6) % 7) * DAY_MS);
+};
+
+const getNextWeeklyReset = (user, now = new Date()) => {
+  return new Date(getWeekStart(user, now).getTime() + 7 * DAY_MS);
+};
+
+// The user's local calendar date, YYYY-MM-DD
+const getLocalDayKey = (user, date = new Date()) => {
+  return new Date(new Date(date).getTime() + getUtcOffset(user) * MINUTE_MS).toISOString().slice(0, 10);
+};
+
+// Key of the user's local 'daily' or 'weekly' period; weeks use their Monday
+const getPeriodKey = (user, period, now = new Date()) => {
+  return period === 'weekly' ? getLocalDayKey(user, getWeekStart(user, now)) : getLocalDayKey(user, now);
+};
+
+const getNextReset = (user, period, now = new Date()) => {
+  return period === 'weekly' ? getNextWeeklyReset(user, now) : getNextDailyReset(user, now);
+};
+
+// Mongo expression for the start of each user's local day, for per-user filters
+const dayStartExpression = (now = new Date()) => {
+  const offsetMs = { $multiply: [{ $ifNull: ['$utcOffsetMinutes', 0] }, MINUTE_MS] };
+  return {
+    $toDate: {
+      $subtract: [
+        { $multiply: [{ $floor: { $divide: [{ $add: [now.getTime(), offsetMs] }, DAY_MS] } }, DAY_MS] },
+        offsetMs,
+      ],
+    },
+  };
+};
+
+/**
+ * Whether the user may change their offset now. Changes are rate limited so
+ * hopping between timezones cannot open extra daily claims.
+ */
+const canChangeUtcOffset = (user, now = new Date()) => {
+  if (!user.utcOffsetUpdatedAt) return true;
+  const cooldownMs = config.timezone.changeCooldownHours * 60 * MINUTE_MS;
+  return now.getTime() - user.utcOffsetUpdatedAt.getTime() >= cooldownMs;
+};
+
+/**
+ * Stores the offset reported by the mini-app. The update is conditional on
+ * the last change time that was read, so two requests cannot both slip
+ * through one cooldown. Returns { ok: true, user, changed } or
+ * { ok: false, status, message, retryAt }.
+ */
+const setUtcOffset = async (user, offset, now = new Date()) => {
+  if (!isValidUtcOffset(offset)) {
+    return { ok: false, status: 400, message: 'Invalid UTC offset' };
+  }
+  if (user.utcOffsetMinutes === offset) return { ok: true, user, changed: false };
+  if (!canChangeUtcOffset(user, now)) {
+    const cooldownMs = config.timezone.changeCooldownHours * 60 * MINUTE_MS;
+    return {
+      ok: false,
+      status: 429,
+      message: 'Timezone was changed recently',
+      retryAt: new Date(user.utcOffsetUpdatedAt.getTime() + cooldownMs),
+    };
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, utcOffsetUpdatedAt: user.utcOffsetUpdatedAt || null },
+    { $set: { utcOffsetMinutes: offset, utcOffsetUpdatedAt: now } },
+    { new: true }
+  );
+  if (!updated) return { ok: false, status: 409, message: 'Timezone is being updated' };
+  return { ok: true, user: updated, changed: true };
+};
+
+// Day boundary details the client needs to show countdowns
+const formatDayBoundary = (user, now = new Date()) => ({
+  utcOffsetMinutes: getUtcOffset(user),
+  today: getLocalDayKey(user, now),
+  nextResetAt: getNextDailyReset(user, now),
+});
+
+module.exports = {
+  isValidUtcOffset,
+  getUtcOffset,
+  getDayStart,
+  getNextDailyReset,
+  getWeekStart,
+  getNextWeeklyReset,
+  getLocalDayKey,
+  getPeriodKey,
+  getNextReset,
+  dayStartExpression,
+  canChangeUtcOffset,
+  setUtcOffset,
+  formatDayBoundary,
+};
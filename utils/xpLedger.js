@@ -0,0 +1,151 @@
+const XpLedger = require('../models/XpLedger');
+const User = require('../models/User');
+const logger = require('./logger');
+const { syncLevel, announceLevelUps } = require('./levelProgression');
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+/**
+ * XP earned before the ledger existed is recorded once as an opening
+ * balance, so the ledger total always matches User.xp.
+ */
+const openLedger = async (userId, session) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, xpLedgerOpened: { $ne: true } },
+    { $set: { xpLedgerOpened: true } },
+    { new: false, session }
+  );
+  if (!user || !user.xp) return;
+
+  await XpLedger.create(
+    [
+      {
+        user: userId,
+        amount: user.xp,
+        balanceAfter: user.xp,
+        reason: 'opening_balance',
+        idempotencyKey: 'opening_balance',
+      },
+    ],
+    { session }
+  );
+};
+
+const writeEntry = async (userId, amount, options, session) => {
+  const { reason, source = {}, idempotencyKey, inc = {} } = options;
+
+  await openLedger(userId, session);
+
+  const [entry] = await XpLedger.create(
+    [{ user: userId, amount, reason, source, idempotencyKey }],
+    { session }
+  );
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { ...inc, xp: amount } },
+    { new: true, session }
+  );
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  entry.balanceAfter = user.xp;
+  await entry.save({ session });
+
+  const { levelUps, levelUp } = await syncLevel(user, session);
+  return { entry, user, levelUps, levelUp, duplicate: false };
+};
+
+/**
+ * Every XP change goes through here. Writes a ledger entry and applies the
+ * amount to User.xp in one transaction, then brings the level up to date.
+ * A repeated idempotencyKey for the same user changes nothing and returns the
+ * original entry with duplicate: true.
+ *
+ * options: { reason, source: { kind, id }, idempotencyKey, inc, session }
+ * inc holds extra counters to bump alongside XP (e.g. totalReferralXP).
+ * With a caller's session, the caller passes the result to announceLevelUps
+ * after its transaction commits.
+ */
+const recordXp = async (userId, amount, options) => {
+  if (!options.idempotencyKey) {
+    throw new Error('XP changes need an idempotency key');
+  }
+
+  // Inside a caller's transaction a duplicate aborts that whole transaction
+  if (options.session) {
+    return writeEntry(userId, amount, options, options.session);
+  }
+
+  const session = await User.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await writeEntry(userId, amount, options, session);
+    });
+    announceLevelUps(result);
+    return result;
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+
+    logger.info(`Duplicate XP grant ignored for ${userId}: ${options.idempotencyKey}`);
+    const entry = await XpLedger.findOne({ user: userId, idempotencyKey: options.idempotencyKey });
+    const user = await User.findById(userId);
+    return { entry, user, levelUps: [], levelUp: null, duplicate: true };
+  } finally {
+    session.endSession();
+  }
+};
+
+const getLedgerPage = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [entries, total] = await Promise.all([
+    XpLedger.find({ user: userId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    XpLedger.countDocuments({ user: userId }),
+  ]);
+
+  return {
+    entries: entries.map((entry) => ({
+      id: entry._id,
+      amount: entry.amount,
+      balanceAfter: entry.balanceAfter,
+      reason: entry.reason,
+      source: entry.source,
+      idempotencyKey: entry.idempotencyKey,
+      createdAt: entry.createdAt,
+    })),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+  };
+};
+
+// The invariant: the sum of a user's ledger entries equals User.xp
+const checkBalance = async (userId) => {
+  const [user, totals] = await Promise.all([
+    User.findById(userId).select('xp xpLedgerOpened'),
+    XpLedger.aggregate([
+      { $match: { user: userId } },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]),
+  ]);
+  if (!user) return null;
+
+  const ledgerTotal = totals.length ? totals[0].total : 0;
+  const consistent = user.xpLedgerOpened ? ledgerTotal === user.xp : true;
+  if (!consistent) {
+    logger.warn(`XP ledger mismatch for ${userId}: ledger ${ledgerTotal}, user ${user.xp}`);
+  }
+  return { xp: user.xp, ledgerTotal, opened: !!user.xpLedgerOpened, consistent };
+};
+
+module.exports = {
+  recordXp,
+  getLedgerPage,
+  checkBalance,
+};
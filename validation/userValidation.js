@@ -1,4 +1,5 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { COSMETIC_SLOTS } = require('../utils/cosmeticsCatalog');
 
 exports.validateUser = [
 
@@ -42,4 +43,145 @@ exports.validateTelegramAuth = [
     }
     next();
   }
-];
\ No newline at end of file
+];
+
+exports.validateTapBatch = [
+  body('seq').isInt({ min: 1 }).toInt().withMessage('Batch sequence number is required'),
+  body('count').isInt({ min: 1 }).toInt().withMessage('Tap count must be a positive integer'),
+  body('startedAt').isInt({ min: 0 }).toInt().withMessage('Batch start timestamp is required'),
+  body('endedAt').isInt({ min: 0 }).toInt().withMessage('Batch end timestamp is required'),
+  body('signature').isHexadecimal().withMessage('Batch signature is required'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Tap batch rejected',
+        rejection: { code: 'INVALID_BATCH', message: 'Malformed tap batch' },
+        errors: errors.array(),
+      });
+    }
+    next();
+  }
+];
+
+exports.validateBoost = [
+  body('itemId').isMongoId().withMessage('A boost item id is required'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+exports.validateBoostActivation = [
+  param('itemId').isMongoId().withMessage('Invalid boost item id'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+// Reward spec shared by quests, achievements and team grants
+exports.boostRewardRules = (prefix) => [
+  body(`${prefix}.type`).isIn(['xp_multiplier', 'tap_speed', 'compute_power']).withMessage('Invalid boost type'),
+  body(`${prefix}.tier`).isInt({ min: 1, max: 3 }).toInt().withMessage('Boost tier must be 1, 2 or 3'),
+  body(`${prefix}.durationMinutes`).isIn([5, 15, 30]).toInt().withMessage('Boost duration must be 5, 15 or 30 minutes'),
+  body(`${prefix}.quantity`).optional().isInt({ min: 1, max: 100 }).toInt(),
+  body(`${prefix}.expiresInHours`).optional().isInt({ min: 1 }).toInt(),
+];
+
+exports.validateBoostGrant = [
+  body('telegramIds').isArray({ min: 1, max: 1000 }).withMessage('telegramIds must list 1 to 1000 users'),
+  body('telegramIds.*').isString().trim().notEmpty(),
+  ...exports.boostRewardRules('reward'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+exports.validateRigChange = [
+  param('gpuId').isMongoId().withMessage('Invalid GPU id'),
+  body('action').isIn(['equip', 'unequip', 'sell', 'scrap']).withMessage('Invalid rig action'),
+  body('slot').optional().isInt({ min: 0 }).toInt(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+exports.validateLedgerQuery = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+exports.validateTokenConversion = [
+  body('tokens').isInt({ min: 1 }).toInt(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+exports.validateTonProof = [
+  body('address').isString().notEmpty(),
+  body('network').notEmpty(),
+  body('publicKey').isHexadecimal().isLength({ min: 64, max: 64 }),
+  body('walletStateInit').isBase64(),
+  body('proof.timestamp').isInt({ min: 0 }).toInt(),
+  body('proof.domain.lengthBytes').isInt({ min: 1 }).toInt(),
+  body('proof.domain.value').isString().notEmpty(),
+  body('proof.payload').isString().notEmpty(),
+  body('proof.signature').isBase64(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+exports.validateEquipCosmetic = [
+  body('slot').isIn(COSMETIC_SLOTS),
+  body('cosmeticId').optional({ values: 'null' }).isString(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+exports.validateActiveTitle = [
+  body('titleId').optional({ values: 'null' }).isString(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];